@@ -19,9 +19,67 @@ const path = require("path");
 const fs = require("fs").promises;
 const { v4: uuidv4 } = require("uuid");
 const multiAIService = require("./services/AIService");
-
-const AgoraAccessToken = require("agora-access-token");
-const { RtcTokenBuilder, RtcRole } = AgoraAccessToken;
+const reportService = require("./services/ReportService");
+const {
+  createStore,
+  ENCRYPTED_FIELDS,
+  resolveDataDir,
+  collectionFiles,
+} = require("./services/storage");
+const { repairSummary } = require("./services/summarySchema");
+const ConversationMemory = require("./services/ConversationMemory");
+const HistoryService = require("./services/HistoryService");
+const { RedactionService } = require("./services/redaction");
+const PrivacyService = require("./services/PrivacyService");
+const SessionLifecycle = require("./services/SessionLifecycle");
+const AgoraService = require("./services/AgoraService");
+const HandoffService = require("./services/HandoffService");
+const AuthService = require("./services/AuthService");
+const {
+  identify,
+  isVolunteer,
+  requireAdmin,
+  requireSessionOwner,
+  requireVolunteer,
+  setIdentityCookie,
+} = require("./services/sessionAccess");
+const {
+  getCategory,
+  listCategories,
+  normalizeCategory,
+} = require("./services/categories");
+const {
+  getLanguage,
+  listLanguages,
+  normalizeLanguage,
+} = require("./services/languages");
+const { detectMismatch } = require("./services/topicClassifier");
+const {
+  assessRisk,
+  getHotlines,
+  isAtLeast,
+  maxSeverity,
+  safetyMessage,
+} = require("./services/riskClassifier");
+const {
+  CORPUS_VERSION,
+  getLaw,
+  listLaws,
+  provisionId,
+  retrieve: retrieveLaws,
+} = require("./services/laws");
+const { verifyCitations } = require("./services/laws/citations");
+const {
+  ContactDirectory,
+  REGIONS,
+  normalizeLocation,
+  toContactList,
+} = require("./services/contacts");
+const { computeDeadlines, withStatus } = require("./services/deadlines");
+const { toICS } = require("./services/deadlines/ics");
+const { createTTSService } = require("./services/tts");
+const { createSTTService, MAX_AUDIO_BYTES } = require("./services/stt");
+const { httpError } = require("./services/httpError");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -34,25 +92,31 @@ app.use(express.json());
 app.use(express.static("public"));
 
 // --- FILE SYSTEM SETUP ---
-const DATA_DIR = path.join(__dirname, "data");
+const DATA_DIR = resolveDataDir();
 const REPORTS_DIR = path.join(__dirname, "reports");
-const DB_FILES = {
-  sessions: path.join(DATA_DIR, "sessions.json"),
-  transcripts: path.join(DATA_DIR, "transcripts.json"),
-  summaries: path.join(DATA_DIR, "summaries.json"),
-  reports: path.join(DATA_DIR, "reports.json"),
-};
+const DB_FILES = collectionFiles(DATA_DIR);
+
+// Routes talk to JSONService; STORAGE_BACKEND decides whether that is the
+// flat JSON files or SQLite.
+const JSONService = createStore({
+  backend: process.env.STORAGE_BACKEND,
+  dataDir: DATA_DIR,
+  files: DB_FILES,
+  encryption: {
+    key: process.env.DATA_ENCRYPTION_KEY,
+    previousKeys: process.env.DATA_ENCRYPTION_PREVIOUS_KEYS,
+    fields: ENCRYPTED_FIELDS,
+  },
+});
 
 async function initializeDatabase() {
   try {
     await fs.mkdir(DATA_DIR, { recursive: true });
     await fs.mkdir(REPORTS_DIR, { recursive: true });
-    for (const filePath of Object.values(DB_FILES)) {
-      try {
-        await fs.access(filePath);
-      } catch {
-        await fs.writeFile(filePath, JSON.stringify([], null, 2));
-      }
+    await JSONService.init();
+    console.log(`🗄️ Storage backend: ${JSONService.backend}`);
+    if (JSONService.keyId) {
+      console.log(`🔐 Field encryption on (key ${JSONService.keyId})`);
     }
   } catch (error) {
     console.error("Database initialization error:", error);
@@ -60,92 +124,302 @@ async function initializeDatabase() {
 }
 
 // --- HELPER SERVICES ---
-class JSONService {
-  static async read(file) {
-    try {
-      const data = await fs.readFile(DB_FILES[file], "utf8");
-      return JSON.parse(data);
-    } catch (error) {
-      return [];
-    }
+const conversationMemory = new ConversationMemory({
+  store: JSONService,
+  ai: multiAIService,
+});
+const historyService = new HistoryService({ store: JSONService });
+// Agencies and hotlines; admins edit them in the "contacts" collection
+const contactDirectory = new ContactDirectory({ store: JSONService });
+// Masks names, numbers and addresses before any text reaches a provider
+const redactionService = new RedactionService({ store: JSONService });
+// Spoken AI replies; the call page falls back to the browser's voice
+const ttsService = createTTSService({
+  cacheDir: path.join(DATA_DIR, "tts-cache"),
+});
+// RETENTION_DAYS=0 keeps sessions forever; RETENTION_MODE is anonymize|purge
+const privacyService = new PrivacyService({
+  store: JSONService,
+  reportService,
+  ttsService,
+  retentionDays: process.env.RETENTION_DAYS,
+  retentionMode: process.env.RETENTION_MODE,
+});
+// Ends sessions left open when the tab was closed. SESSION_IDLE_MINUTES
+// without a heartbeat makes one ABANDONED, SESSION_MAX_HOURS TIMED_OUT
+// (0 for no limit); SESSION_AUTO_SUMMARY=true writes their summaries too.
+const sessionLifecycle = new SessionLifecycle({
+  store: JSONService,
+  idleMinutes: process.env.SESSION_IDLE_MINUTES,
+  maxHours: process.env.SESSION_MAX_HOURS,
+  onEnded: process.env.SESSION_AUTO_SUMMARY === "true" ? summarizeEnded : null,
+});
+// Voice channel tokens, one channel per session; AGORA_MOCK=true runs calls
+// without Agora during development
+const agoraService = new AgoraService({
+  store: JSONService,
+  appId: process.env.AGORA_APP_ID,
+  appCertificate: process.env.AGORA_APP_CERTIFICATE,
+  mock: process.env.AGORA_MOCK === "true",
+  tokenTtlSeconds: process.env.AGORA_TOKEN_TTL_SECONDS,
+});
+// Sessions waiting for (or taken over by) a PAO or partner paralegal
+const handoffService = new HandoffService({ store: JSONService });
+// Transcribes recorded audio for browsers without (or not trusted with)
+// the Web Speech API
+const sttService = createSTTService();
+const authService = new AuthService({
+  store: JSONService,
+  secret: process.env.AUTH_SECRET,
+  // Sign-in codes are POSTed as { email, code } to a mail relay
+  sendCode: process.env.AUTH_CODE_WEBHOOK_URL
+    ? AuthService.webhookSender(process.env.AUTH_CODE_WEBHOOK_URL)
+    : null,
+});
+
+// Every request gets req.user (signed in or anonymous); sessionId routes
+// additionally check that the session belongs to that user
+app.use(identify(authService));
+app.use((req, res, next) => {
+  res.locals.volunteer = isVolunteer(req.user);
+  next();
+});
+const ownsSession = requireSessionOwner(JSONService);
+const ownsSessionPage = requireSessionOwner(JSONService, { page: true });
+
+// Suggest a better-fitting category, at most once per category per session
+async function checkCategoryMismatch(session, message) {
+  const suggestion = detectMismatch(message, session.category);
+  if (!suggestion) return null;
+
+  const alreadySuggested = session.categorySuggestions || [];
+  if (alreadySuggested.includes(suggestion.category)) return null;
+
+  await JSONService.update(
+    "sessions",
+    { sessionId: session.sessionId },
+    { categorySuggestions: [...alreadySuggested, suggestion.category] }
+  );
+  console.log(
+    `🔀 Category mismatch: ${session.category} -> ${suggestion.category} (${suggestion.confidence})`
+  );
+
+  return {
+    ...suggestion,
+    message: `It sounds like your concern is about ${
+      suggestion.label
+    } rather than ${
+      getCategory(session.category).label
+    }. You can switch categories and I'll keep everything you've told me so far.`,
+  };
+}
+
+// Record danger the user describes on the session so someone can follow
+// up. The flag only ever escalates; a calmer message later doesn't clear it.
+async function flagRisk(session, text) {
+  const assessment = assessRisk(text);
+  if (!isAtLeast(assessment.severity, "MEDIUM")) return assessment;
+
+  const previous = session.risk || { signals: [], hotlines: [] };
+  const signals = [
+    ...new Set([
+      ...previous.signals,
+      ...assessment.signals.map((signal) => signal.type),
+    ]),
+  ];
+  const hotlines = [
+    ...new Set([
+      ...previous.hotlines,
+      ...assessment.hotlines.map((hotline) => hotline.id),
+    ]),
+  ];
+  const severity = maxSeverity(
+    previous.severity || "NONE",
+    assessment.severity
+  );
+  if (
+    severity === previous.severity &&
+    signals.length === previous.signals.length &&
+    hotlines.length === previous.hotlines.length
+  ) {
+    return assessment;
   }
-  static async append(file, item) {
-    const data = await this.read(file);
-    data.push(item);
-    await fs.writeFile(DB_FILES[file], JSON.stringify(data, null, 2));
-    return item;
-  }
-  static async findOne(file, predicate) {
-    const data = await this.read(file);
-    return data.find(predicate);
-  }
-  static async update(file, predicate, updates) {
-    const data = await this.read(file);
-    const index = data.findIndex(predicate);
-    if (index !== -1) {
-      data[index] = { ...data[index], ...updates };
-      await fs.writeFile(DB_FILES[file], JSON.stringify(data, null, 2));
-      return data[index];
-    }
-    return null;
+
+  const now = Date.now();
+  session.risk = {
+    severity,
+    signals,
+    hotlines,
+    flaggedAt: previous.flaggedAt || now,
+    updatedAt: now,
+    followUp: previous.followUp || "PENDING",
+  };
+  await JSONService.update(
+    "sessions",
+    { sessionId: session.sessionId },
+    { risk: session.risk }
+  );
+  console.log(
+    `🚨 Risk ${severity} in session ${session.sessionId}: ${signals.join(", ")}`
+  );
+  // Someone in danger should reach a person, not only the AI
+  if (severity === "HIGH" && session.status === "ACTIVE") {
+    await handoffService.request(session, "high-risk");
   }
+  return assessment;
 }
 
-class AgoraService {
-  static generateToken(channelName, uid) {
-    const appId = process.env.AGORA_APP_ID;
-    const appCertificate = process.env.AGORA_APP_CERTIFICATE;
+// What the call page needs for its emergency panel, from session.risk
+function toEmergency(risk) {
+  return { severity: risk.severity, hotlines: getHotlines(risk.hotlines) };
+}
 
-    if (!appId || !appCertificate) {
-      console.warn("⚠️ AGORA KEYS MISSING: Using mock token.");
-      return { rtcToken: "mock_token", appId: "mock_app_id" };
-    }
+// Law passages for a chat prompt, matched on the new message plus what the
+// user said in the recent turns, so "what about the deposit?" keeps context
+function chatReferences(session, message, memory) {
+  const earlier = memory.history
+    .filter((turn) => turn.speaker === "USER")
+    .map((turn) => turn.text)
+    .join(" ");
+  return retrieveLaws(`${message} ${earlier}`, { category: session.category });
+}
 
-    const role = RtcRole.PUBLISHER;
-    const expiration = 3600;
-    const currentTimestamp = Math.floor(Date.now() / 1000);
-    const privilegeExpiredTs = currentTimestamp + expiration;
-
-    const token = RtcTokenBuilder.buildTokenWithUid(
-      appId,
-      appCertificate,
-      channelName,
-      uid || 0,
-      role,
-      privilegeExpiredTs
-    );
+// Passages for a whole consultation, matched on what the user said
+function transcriptReferences(category, transcripts) {
+  const said = transcripts
+    .filter((t) => t.speaker === "USER")
+    .map((t) => t.text)
+    .join(" ");
+  return retrieveLaws(said, { category, limit: 6 });
+}
 
-    return { rtcToken: token, appId, channelName, uid: uid || 0 };
-  }
+// Marks each cited law verified or unverified against the bundled corpus
+function checkCitations(summary) {
+  return {
+    citations: verifyCitations(summary.relevantLaws),
+    corpusVersion: CORPUS_VERSION,
+  };
+}
+
+// Deadlines stored with a summary, or computed for summaries made before
+// the calculator existed
+function summaryDeadlines(session, summary, transcripts) {
+  return withStatus(
+    summary && summary.deadlines
+      ? summary.deadlines
+      : computeDeadlines({ category: session.category, transcripts })
+  );
+}
+
+// Summary for a session the sweeper ended, unless there is nothing to
+// summarize or the user already got one. The running analysis stored
+// during the call does not count.
+async function summarizeEnded(session) {
+  const { sessionId } = session;
+  const [transcript, summary] = await Promise.all([
+    JSONService.findOne("transcripts", { sessionId }),
+    historyService.finalSummary(sessionId),
+  ]);
+  if (!transcript || summary) return;
+  await generateSummary(session);
 }
 
 // --- ROUTES ---
 
 // 1. Pages
 app.get("/", (req, res) => res.render("home"));
-app.get("/call", (req, res) => res.render("dashboard"));
-app.get("/call/:sessionId", async (req, res) => {
-  const session = await JSONService.findOne(
-    "sessions",
-    (s) => s.sessionId === req.params.sessionId
-  );
-  if (!session) return res.redirect("/");
-  res.render("call", { session });
+app.get("/call", (req, res) =>
+  res.render("dashboard", {
+    categories: listCategories(),
+    regions: REGIONS,
+    languages: listLanguages(),
+  })
+);
+app.get("/history", (req, res) =>
+  res.render("history", { categories: listCategories() })
+);
+app.get("/login", (req, res) =>
+  res.render("login", {
+    next: safeRedirect(req.query.next),
+    codeLogin: authService.codeLoginEnabled,
+  })
+);
+app.get("/call/:sessionId", ownsSessionPage, async (req, res) => {
+  const session = req.consultation;
+  // An ended call can't be rejoined; a switched one continues elsewhere
+  if (session.status === "SWITCHED" && session.linkedTo) {
+    return res.redirect(`/call/${session.linkedTo}`);
+  }
+  if (session.status !== "ACTIVE") {
+    return res.redirect(`/summary/${session.sessionId}`);
+  }
+  // Carried over by a category switch, or said before the page was
+  // reloaded or reopened
+  const transcripts = (
+    await JSONService.query("transcripts", { sessionId: session.sessionId })
+  ).sort((a, b) => a.timestamp - b.timestamp);
+  res.render("call", {
+    session,
+    transcripts,
+    resumed: transcripts.some((t) => !t.carriedFrom),
+    handoff: handoffService.forUser(session),
+    heartbeatMs: sessionLifecycle.heartbeatMs,
+    rtcMode: agoraService.mode,
+    category: getCategory(session.category),
+    emergency: session.risk ? toEmergency(session.risk) : null,
+    contacts: await contactDirectory.select(session.category, session.location),
+    language: getLanguage(session.language),
+    speech: ttsService.options(),
+    transcription: sttService.options(),
+  });
 });
 
-app.get("/summary/:sessionId", async (req, res) => {
-  const session = await JSONService.findOne(
-    "sessions",
-    (s) => s.sessionId === req.params.sessionId
-  );
-  const summary = await JSONService.findOne(
-    "summaries",
-    (s) => s.sessionId === req.params.sessionId
-  );
-  const transcripts = (await JSONService.read("transcripts")).filter(
-    (t) => t.sessionId === req.params.sessionId
-  );
-  res.render("summary", { session, summary, transcripts });
+app.get("/summary/:sessionId", ownsSessionPage, async (req, res) => {
+  const session = req.consultation;
+  const storedSummary = await historyService.finalSummary(req.params.sessionId);
+  // Older summaries predate the schema; coerce them for display only
+  const summary = storedSummary ? repairSummary(storedSummary).summary : null;
+  // Re-check citations made against an older corpus, also for display only
+  if (summary && summary.corpusVersion !== CORPUS_VERSION) {
+    Object.assign(summary, checkCitations(summary));
+  }
+  const transcripts = await JSONService.query("transcripts", {
+    sessionId: req.params.sessionId,
+  });
+  // Summaries from before the directory listed contacts as { name: detail }
+  const contacts = summary ? toContactList(summary.contacts) : [];
+  res.render("summary", {
+    session,
+    summary,
+    deadlines: summaryDeadlines(session, summary, transcripts),
+    language: getLanguage(session.language),
+    contacts: contacts.length
+      ? contacts
+      : await contactDirectory.select(session.category, session.location),
+    transcripts,
+    reportTemplates: reportService.listTemplates(session.category),
+  });
+});
+
+// The bundled law library, where verified citations link to
+app.get("/laws", (req, res) =>
+  res.render("laws", {
+    laws: listLaws(),
+    law: null,
+    version: CORPUS_VERSION,
+    provisionId,
+  })
+);
+app.get("/laws/:lawId", (req, res) => {
+  const law = getLaw(req.params.lawId);
+  if (!law) return res.redirect("/laws");
+  res.render("laws", {
+    laws: listLaws(),
+    law,
+    supersededBy: law.supersededBy ? getLaw(law.supersededBy) : null,
+    version: CORPUS_VERSION,
+    provisionId,
+  });
 });
 
 // 2. Session Management
@@ -153,80 +427,302 @@ app.post("/api/session/start", async (req, res) => {
   try {
     const session = {
       sessionId: uuidv4(),
-      category: req.body.category || "GENERAL",
+      category: normalizeCategory(req.body.category),
       status: "ACTIVE",
       startTime: Date.now(),
+      userId: req.user.userId,
+      language: normalizeLanguage(req.body.language),
     };
+    // English for offices next to the user's language; moot for English
+    if (req.body.bilingualSummary && session.language !== "en") {
+      session.bilingualSummary = true;
+    }
+    // Only kept when given, to pick the nearest offices
+    const location = normalizeLocation(req.body.location);
+    if (location.region || location.city) session.location = location;
     await JSONService.append("sessions", session);
     res.json(session);
   } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
     console.error(e);
     res.status(500).json({ error: "Failed to start session" });
   }
 });
 
-app.post("/api/session/end", async (req, res) => {
-  await JSONService.update(
-    "sessions",
-    (s) => s.sessionId === req.body.sessionId,
-    { status: "COMPLETED", endTime: Date.now() }
-  );
-  res.json({ success: true });
+app.post("/api/session/end", ownsSession, async (req, res) => {
+  try {
+    await JSONService.update(
+      "sessions",
+      { sessionId: req.body.sessionId },
+      { status: "COMPLETED", endTime: Date.now() }
+    );
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to end session" });
+  }
 });
 
-// 3. NEW - Final Summarization Endpoint
-app.post("/api/session/summarize", async (req, res) => {
+// Sent by the open call page; a session that stops sending them is ended
+// by the sweeper. 409 tells the page the session already ended.
+app.post("/api/session/heartbeat", ownsSession, async (req, res) => {
+  try {
+    const alive = await sessionLifecycle.heartbeat(req.consultation.sessionId);
+    if (!alive) {
+      return res
+        .status(409)
+        .json({ error: "Session has ended", status: req.consultation.status });
+    }
+    res.json({
+      success: true,
+      handoff: handoffService.forUser(req.consultation),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to record heartbeat" });
+  }
+});
+
+// The call page's "Talk to a person" button
+app.post("/api/session/handoff", ownsSession, async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const session = req.consultation;
+    await handoffService.request(session, "asked");
+    res.json({ handoff: handoffService.forUser(session) });
+  } catch (e) {
+    if (e.status === 409) return res.status(409).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: "Failed to request a person" });
+  }
+});
 
-    console.log("\n📋 ============ GENERATING FINAL SUMMARY ============");
-    console.log("Session ID:", sessionId);
+// Start a linked session in another category, carrying the transcript over
+app.post("/api/session/switch-category", ownsSession, async (req, res) => {
+  try {
+    const { sessionId, category } = req.body;
+    const previous = req.consultation;
+
+    const nextCategory = normalizeCategory(category);
+    if (nextCategory === previous.category) {
+      return res
+        .status(400)
+        .json({ error: `Session is already in ${nextCategory}` });
+    }
+
+    const session = {
+      sessionId: uuidv4(),
+      category: nextCategory,
+      status: "ACTIVE",
+      startTime: Date.now(),
+      linkedFrom: previous.sessionId,
+      userId: previous.userId,
+    };
+    // A safety flag follows the conversation into the new category
+    if (previous.risk) session.risk = previous.risk;
+    if (previous.location) session.location = previous.location;
+    if (previous.language) session.language = previous.language;
+    if (previous.bilingualSummary) session.bilingualSummary = true;
+    await JSONService.append("sessions", session);
+
+    const transcripts = (
+      await JSONService.query("transcripts", { sessionId })
+    ).sort((a, b) => a.timestamp - b.timestamp);
+    for (const transcript of transcripts) {
+      await JSONService.append("transcripts", {
+        ...transcript,
+        sessionId: session.sessionId,
+        carriedFrom: previous.sessionId,
+      });
+    }
 
-    const session = await JSONService.findOne(
+    await JSONService.update(
       "sessions",
-      (s) => s.sessionId === sessionId
+      { sessionId },
+      { status: "SWITCHED", endTime: Date.now(), linkedTo: session.sessionId }
     );
-    if (!session) {
-      return res.status(404).json({ error: "Session not found" });
-    }
 
-    const transcripts = (await JSONService.read("transcripts")).filter(
-      (t) => t.sessionId === sessionId
+    console.log(
+      `🔀 Session ${sessionId} switched to ${nextCategory} as ${session.sessionId}`
     );
+    res.json(session);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to switch category" });
+  }
+});
 
-    if (transcripts.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "No conversation found to summarize" });
+// Consultation history: ?category=&status=&from=&to=&q=&limit=&offset=
+app.get("/api/sessions", async (req, res) => {
+  try {
+    res.json(await historyService.list(req.query, { userId: req.user.userId }));
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+});
+
+app.get("/api/sessions/:sessionId", ownsSession, async (req, res) => {
+  try {
+    const session = await historyService.get(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json(session);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to load session" });
+  }
+});
+
+// What was masked before each provider call, without the values
+app.get(
+  "/api/sessions/:sessionId/redactions",
+  ownsSession,
+  async (req, res) => {
+    try {
+      res.json(await redactionService.auditLog(req.params.sessionId));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Failed to load redaction audit" });
     }
+  }
+);
 
-    const fullTranscript = transcripts
-      .map((t) => `${t.speaker}: ${t.text}`)
-      .join("\n");
+// Everything stored about a session (and its linked sessions) as .tar.gz
+app.get("/api/sessions/:sessionId/export", ownsSession, async (req, res) => {
+  try {
+    const archive = await privacyService.exportSession(req.params.sessionId);
+    res.attachment(`justifi-session-${req.params.sessionId}.tar.gz`);
+    res.type("application/gzip").send(archive);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to export session" });
+  }
+});
 
-    console.log("Transcript length:", fullTranscript.length, "characters");
-    console.log("Category:", session.category);
+// Upcoming deadlines as a calendar file, with reminders
+app.get(
+  "/api/sessions/:sessionId/deadlines.ics",
+  ownsSession,
+  async (req, res) => {
+    try {
+      const session = req.consultation;
+      const summary = await historyService.finalSummary(session.sessionId);
+      const transcripts = summary?.deadlines
+        ? []
+        : await JSONService.query("transcripts", {
+            sessionId: session.sessionId,
+          });
+      const upcoming = summaryDeadlines(session, summary, transcripts).filter(
+        (deadline) =>
+          deadline.status === "soon" || deadline.status === "upcoming"
+      );
+      res.attachment(`justifi-deadlines-${session.sessionId}.ics`);
+      res.type("text/calendar").send(
+        toICS(upcoming, {
+          sessionId: session.sessionId,
+          baseUrl: `${req.protocol}://${req.get("host")}`,
+        })
+      );
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Failed to build calendar" });
+    }
+  }
+);
 
-    // Call the new generateFinalSummary method
-    const summary = await multiAIService.generateFinalSummary(
-      fullTranscript,
-      session.category
-    );
+// Right to erasure: removes the session from every store and reports/
+app.delete("/api/sessions/:sessionId", ownsSession, async (req, res) => {
+  try {
+    const record = await privacyService.eraseSession(req.params.sessionId, {
+      actor: req.user.anonymous ? "anonymous-owner" : "owner",
+      reason: req.body && req.body.reason,
+    });
+    res.json({ success: true, erasure: record });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to erase session" });
+  }
+});
 
-    const completeSummary = {
-      sessionId,
-      ...summary,
-      totalTranscripts: transcripts.length,
-      createdAt: Date.now(),
-    };
+// Writes and stores the final summary of a session. Used when the user
+// ends the call and, with SESSION_AUTO_SUMMARY, for abandoned calls.
+async function generateSummary(session) {
+  const { sessionId } = session;
+  console.log("\n📋 ============ GENERATING FINAL SUMMARY ============");
+  console.log("Session ID:", sessionId);
 
-    await JSONService.append("summaries", completeSummary);
+  const transcripts = await JSONService.query("transcripts", { sessionId });
 
-    console.log("✅ Summary generated and saved");
-    console.log("============================================\n");
+  if (transcripts.length === 0) {
+    throw httpError(400, "No conversation found to summarize");
+  }
+
+  const fullTranscript = transcripts
+    .map((t) => `${t.speaker}: ${t.text}`)
+    .join("\n");
+
+  console.log("Transcript length:", fullTranscript.length, "characters");
+  console.log("Category:", session.category);
+
+  // Contacts come from the directory, not the model; it only gets the
+  // names so its steps can point at the right offices
+  const contacts = await contactDirectory.select(
+    session.category,
+    session.location
+  );
+
+  // A bilingual summary is written in English for the offices, then
+  // translated for the user
+  const language = getLanguage(session.language).code;
+  const bilingual = !!session.bilingualSummary && language !== "en";
+
+  const redaction = await redactionService.scope(session);
+  const draft = await multiAIService.generateFinalSummary(
+    redaction.redact(fullTranscript),
+    session.category,
+    transcriptReferences(session.category, transcripts),
+    contacts,
+    bilingual ? "en" : language
+  );
+  // Translated while names are still masked. A failed translation still
+  // leaves the English summary.
+  const translation = bilingual
+    ? await multiAIService.translateSummary(draft, language).catch((error) => {
+        console.error("⚠️ Summary translation failed:", error.message);
+        return null;
+      })
+    : null;
+  const summary = redaction.restore(draft);
+  await redactionService.commit(redaction, "summary");
 
-    res.json(completeSummary);
+  const completeSummary = {
+    sessionId,
+    ...summary,
+    kind: "summary",
+    ...checkCitations(summary),
+    language: bilingual ? "en" : language,
+    ...(translation && { translation: redaction.restore(translation) }),
+    contacts,
+    deadlines: computeDeadlines({ category: session.category, transcripts }),
+    totalTranscripts: transcripts.length,
+    createdAt: Date.now(),
+  };
+
+  await JSONService.append("summaries", completeSummary);
+
+  console.log("✅ Summary generated and saved");
+  console.log("============================================\n");
+  return completeSummary;
+}
+
+// 3. NEW - Final Summarization Endpoint
+app.post("/api/session/summarize", ownsSession, async (req, res) => {
+  try {
+    res.json(await generateSummary(req.consultation));
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error("\n❌ ============ SUMMARIZATION ERROR ============");
     console.error("Error:", error.message);
     console.error("Stack:", error.stack);
@@ -240,24 +736,55 @@ app.post("/api/session/summarize", async (req, res) => {
 });
 
 // 4. Transcript & AI
-app.post("/api/transcript/save", async (req, res) => {
-  const { sessionId, speaker, text } = req.body;
-  await JSONService.append("transcripts", {
-    sessionId,
-    speaker,
-    text,
-    timestamp: Date.now(),
-  });
-  res.json({ success: true });
+app.post("/api/transcript/save", ownsSession, async (req, res) => {
+  try {
+    const { sessionId, speaker, text } = req.body;
+    await JSONService.append("transcripts", {
+      sessionId,
+      speaker,
+      text,
+      timestamp: Date.now(),
+    });
+
+    let emergency = null;
+    if (String(speaker).toUpperCase() === "USER") {
+      const risk = await flagRisk(req.consultation, text);
+      if (isAtLeast(risk.severity, "MEDIUM")) {
+        emergency = toEmergency(req.consultation.risk);
+      }
+      if (
+        HandoffService.wantsHuman(text) &&
+        req.consultation.status === "ACTIVE"
+      ) {
+        await handoffService.request(req.consultation, "asked");
+      }
+    }
+    res.json({
+      success: true,
+      emergency,
+      handoff: handoffService.forUser(req.consultation),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to save transcript" });
+  }
 });
 
-app.post("/api/ai/chat", async (req, res) => {
+// While a volunteer is in the call the AI only takes notes (/api/ai/process)
+function sendHumanPresent(res, session) {
+  res.status(409).json({
+    error: "A person is handling this call; the AI is taking notes",
+    handoff: handoffService.forUser(session),
+  });
+}
+
+app.post("/api/ai/chat", ownsSession, async (req, res) => {
   try {
-    const { message, context } = req.body;
+    const { sessionId, message } = req.body;
 
     console.log("\n💬 ============ AI CHAT REQUEST ============");
+    console.log("Session ID:", sessionId);
     console.log("Message:", message);
-    console.log("Context:", context?.substring(0, 100) + "...");
 
     if (!message || typeof message !== "string") {
       console.error("❌ Invalid message received");
@@ -267,12 +794,60 @@ app.post("/api/ai/chat", async (req, res) => {
       });
     }
 
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("AI request timeout after 30s")), 30000)
+    const session = req.consultation;
+    if (handoffService.isHumanPresent(session))
+      return sendHumanPresent(res, session);
+    // Someone in danger gets safety instructions, not legal analysis
+    const risk = await flagRisk(session, message);
+    if (risk.severity === "HIGH") {
+      console.log("🚨 Sending safety instructions instead of an AI reply");
+      return res.json({
+        response: safetyMessage(risk, session.language),
+        emergency: toEmergency(session.risk),
+      });
+    }
+
+    const categorySuggestion = await checkCategoryMismatch(session, message);
+    if (categorySuggestion) {
+      return res.json({
+        response: categorySuggestion.message,
+        categorySuggestion,
+      });
+    }
+
+    const redaction = await redactionService.scope(session);
+    const { context, memory } = await conversationMemory.build(
+      session,
+      message,
+      { redaction }
+    );
+    console.log(
+      `History: ${memory.history.length} recent turns${
+        memory.earlierSummary ? " + earlier summary" : ""
+      }`
     );
 
-    const aiPromise = multiAIService.generateResponse(message, context || "");
-    const response = await Promise.race([aiPromise, timeoutPromise]);
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error("AI request timeout after 30s")),
+        30000
+      );
+    });
+
+    const aiPromise = multiAIService.generateResponse(
+      redaction.redact(message),
+      context,
+      memory,
+      chatReferences(session, message, memory),
+      session.language
+    );
+    const response = redaction.restore(
+      await Promise.race([aiPromise, timeoutPromise]).finally(() =>
+        clearTimeout(timer)
+      )
+    );
+    await redactionService.commit(redaction, "chat");
 
     console.log("✅ AI Response:", response);
     console.log("============================================\n");
@@ -286,26 +861,163 @@ app.post("/api/ai/chat", async (req, res) => {
     console.error("==========================================\n");
 
     res.json({
-      response: "Pasensya na, may problema sa AI. Maaari mo bang ulitin?",
+      response: getLanguage(req.consultation.language).messages.chatError,
     });
   }
 });
 
-app.post("/api/ai/process", async (req, res) => {
+// Same as /api/ai/chat but sends the reply as Server-Sent Events while it is
+// being generated: "token" events carry text chunks, then one "done" (or
+// "error") event carries the full reply. An "emergency" event comes first
+// when the message describes danger. Closing the connection aborts the
+// upstream provider request.
+app.post("/api/ai/chat/stream", ownsSession, async (req, res) => {
+  const { message } = req.body;
+  const session = req.consultation;
+  if (handoffService.isHumanPresent(session))
+    return sendHumanPresent(res, session);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  if (!message || typeof message !== "string") {
+    send("done", {
+      response:
+        "Sorry, I didn't receive your message properly. Please try again.",
+    });
+    return res.end();
+  }
+
+  // Someone in danger gets safety instructions, not legal analysis
+  const risk = await flagRisk(session, message).catch((error) => {
+    console.error("⚠️ Risk check failed:", error);
+    return assessRisk(message);
+  });
+  if (risk.severity === "HIGH") {
+    console.log("🚨 Sending safety instructions instead of an AI reply");
+    send("emergency", toEmergency(session.risk));
+    send("done", { response: safetyMessage(risk, session.language) });
+    return res.end();
+  }
+
+  const categorySuggestion = await checkCategoryMismatch(
+    session,
+    message
+  ).catch(() => null);
+  if (categorySuggestion) {
+    send("category", categorySuggestion);
+    send("done", { response: categorySuggestion.message });
+    return res.end();
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, 30000);
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let fullResponse = "";
+  let redaction = null;
+  try {
+    redaction = await redactionService.scope(session);
+    const restorer = redaction.createStreamRestorer();
+    const { context, memory } = await conversationMemory.build(
+      session,
+      message,
+      { redaction }
+    );
+
+    for await (const chunk of multiAIService.streamResponse(
+      redaction.redact(message),
+      context,
+      {
+        signal: controller.signal,
+        memory,
+        references: chatReferences(session, message, memory),
+        language: session.language,
+      }
+    )) {
+      const text = restorer.push(chunk);
+      fullResponse += text;
+      if (text) send("token", { text });
+    }
+    const rest = restorer.flush();
+    if (rest) {
+      fullResponse += rest;
+      send("token", { text: rest });
+    }
+
+    if (timedOut) throw new Error("AI stream timeout after 30s");
+    if (!controller.signal.aborted) send("done", { response: fullResponse });
+  } catch (error) {
+    console.error("❌ AI stream error:", error.message);
+    if (!res.writableEnded) {
+      send("error", {
+        response: getLanguage(session.language).messages.chatError,
+        partial: fullResponse,
+      });
+    }
+  } finally {
+    clearTimeout(timeout);
+    if (!res.writableEnded) res.end();
+    if (redaction) {
+      await redactionService
+        .commit(redaction, "chat")
+        .catch((error) => console.error("⚠️ Redaction audit failed:", error));
+    }
+  }
+});
+
+app.post("/api/ai/process", ownsSession, async (req, res) => {
   try {
-    const { sessionId, fullTranscript, category } = req.body;
+    const { sessionId, fullTranscript } = req.body;
+    if (typeof fullTranscript !== "string" || !fullTranscript.trim()) {
+      return res
+        .status(400)
+        .json({ error: "fullTranscript must be a non-empty string" });
+    }
+    // The session's own category, not whatever the page sent
+    const { category } = req.consultation;
 
-    const analysis = await multiAIService.analyzeLegalSituation(
-      fullTranscript,
-      category
+    const redaction = await redactionService.scope(req.consultation);
+    const analysis = redaction.restore(
+      await multiAIService.analyzeLegalSituation(
+        redaction.redact(fullTranscript),
+        category,
+        retrieveLaws(fullTranscript, { category, limit: 6 }),
+        req.consultation.language
+      )
     );
+    await redactionService.commit(redaction, "analysis");
 
+    // The running analysis beside the call, never the final summary
     const summary = {
       sessionId,
+      kind: "analysis",
       situation: analysis.situation || "No situation extracted",
       relevantLaws: analysis.relevantLaws || [],
+      ...checkCitations(analysis),
       recommendedSteps: analysis.recommendedSteps || [],
-      contacts: analysis.contacts || {},
+      contacts: await contactDirectory.select(
+        req.consultation.category,
+        req.consultation.location
+      ),
+      deadlines: computeDeadlines({
+        category: req.consultation.category,
+        transcripts: await JSONService.query("transcripts", { sessionId }),
+      }),
       nextAction: analysis.nextAction || "No urgent action detected.",
       totalDuration: analysis.totalDuration || 0,
       aiTalkTime: analysis.aiTalkTime || 0,
@@ -322,21 +1034,481 @@ app.post("/api/ai/process", async (req, res) => {
   }
 });
 
-// 5. Agora Token
-app.post("/api/agora/token", (req, res) => {
+// Audio for one AI reply (or sentence of one). Responses are cacheable by
+// the browser too, since the same text, voice and rate give the same audio.
+app.post("/api/tts", ownsSession, async (req, res) => {
   try {
-    const token = AgoraService.generateToken(
-      req.body.channelName || "default",
-      0
+    const { sessionId, text, voice, rate } = req.body;
+    const speech = await ttsService.synthesize(text, {
+      voice,
+      rate,
+      sessionId,
+    });
+    res.set({
+      "Content-Type": speech.contentType,
+      "Cache-Control": "private, max-age=86400",
+      "X-TTS-Engine": speech.engine,
+      "X-TTS-Cache": speech.cached ? "hit" : "miss",
+    });
+    res.send(speech.audio);
+  } catch (e) {
+    if (e.status === 400 || e.status === 503) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error(e);
+    res.status(502).json({ error: "Text-to-speech failed" });
+  }
+});
+
+app.get("/api/tts/voices", (req, res) => res.json(ttsService.options()));
+
+// Text for a recording from the call page (WAV body). Nothing is saved
+// here: the page sends the text through /api/transcript/save and the chat
+// like speech recognised in the browser.
+app.post(
+  "/api/sessions/:sessionId/transcribe",
+  ownsSession,
+  express.raw({ type: "audio/*", limit: MAX_AUDIO_BYTES }),
+  async (req, res) => {
+    try {
+      res.json(
+        await sttService.transcribe(req.body, {
+          language: req.query.language || "auto",
+        })
+      );
+    } catch (e) {
+      if ([400, 413, 503].includes(e.status)) {
+        return res.status(e.status).json({ error: e.message });
+      }
+      console.error(e);
+      res.status(502).json({ error: "Speech-to-text failed" });
+    }
+  }
+);
+
+// 5. Reports
+app.post("/api/report/generate", ownsSession, async (req, res) => {
+  try {
+    const { sessionId, reportType, templateData } = req.body;
+    const session = req.consultation;
+
+    const summary = await historyService.finalSummary(sessionId);
+    if (!summary && !templateData?.details) {
+      return res
+        .status(400)
+        .json({ error: "No summary available to build a report from" });
+    }
+
+    const report = await reportService.generate({
+      session,
+      summary,
+      reportType,
+      templateData,
+    });
+
+    await JSONService.append("reports", report);
+
+    console.log(`📄 Report generated: ${report.fileName}`);
+    res.json(report);
+  } catch (error) {
+    if (error.status === 400) {
+      return res
+        .status(400)
+        .json({ error: error.message, missingFields: error.missingFields });
+    }
+    console.error("Report generation error:", error);
+    res.status(500).json({
+      error: "Failed to generate report",
+      details: error.message,
+    });
+  }
+});
+
+// ?q= searches provisions; without it, lists the laws (optionally by category)
+app.get("/api/laws", (req, res) => {
+  const { q, category } = req.query;
+  if (q) {
+    return res.json({
+      version: CORPUS_VERSION,
+      results: retrieveLaws(String(q), { category, limit: 5 }),
+    });
+  }
+  res.json({
+    version: CORPUS_VERSION,
+    laws: listLaws(category).map(
+      ({ id, citeAs, title, status, categories, sourceUrl }) => ({
+        id,
+        citeAs,
+        title,
+        status,
+        categories,
+        sourceUrl,
+        url: `/laws/${id}`,
+      })
+    ),
+  });
+});
+
+// Directory contacts for a category and place, e.g. ?category=TENANT&region=NCR
+app.get("/api/contacts", async (req, res) => {
+  try {
+    const { category, region, province, city } = req.query;
+    res.json(
+      await contactDirectory.select(category, { region, province, city })
     );
-    res.json(token);
   } catch (e) {
-    console.error("Agora Token Error:", e);
-    res.status(500).json({ error: "Token generation failed" });
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: "Failed to load contacts" });
+  }
+});
+
+app.get("/api/report/templates", (req, res) => {
+  res.json(reportService.listTemplates(req.query.category || "GENERAL"));
+});
+
+app.get(
+  "/reports/:fileName",
+  requireSessionOwner(JSONService, {
+    page: true,
+    resolveSessionId: async (req) => {
+      const report = await JSONService.findOne("reports", {
+        fileName: req.params.fileName,
+      });
+      return report && report.sessionId;
+    },
+  }),
+  (req, res) => res.sendFile(reportService.getFilePath(req.params.fileName))
+);
+
+// 6. Accounts
+// Only allow redirects back into this site after signing in
+function safeRedirect(next) {
+  return typeof next === "string" && /^\/(?!\/)/.test(next) ? next : "/history";
+}
+
+async function signIn(req, res, user) {
+  const claimedSessions = req.user.anonymous
+    ? await authService.claimAnonymousSessions(req.user.userId, user.userId)
+    : 0;
+  setIdentityCookie(res, authService, {
+    userId: user.userId,
+    anonymous: false,
+    username: user.username,
+  });
+  res.json({ user, claimedSessions });
+}
+
+function sendAuthError(res, error, fallback) {
+  if (error.status)
+    return res.status(error.status).json({ error: error.message });
+  console.error(error);
+  res.status(500).json({ error: fallback });
+}
+
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    await signIn(req, res, await authService.register(req.body));
+  } catch (error) {
+    sendAuthError(res, error, "Failed to create account");
   }
 });
 
-// 6. Test Endpoint
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    await signIn(req, res, await authService.login(req.body));
+  } catch (error) {
+    sendAuthError(res, error, "Failed to sign in");
+  }
+});
+
+app.post("/api/auth/code/request", async (req, res) => {
+  try {
+    res.json(await authService.requestCode(req.body, { ip: req.ip }));
+  } catch (error) {
+    sendAuthError(res, error, "Failed to send sign-in code");
+  }
+});
+
+app.post("/api/auth/code/verify", async (req, res) => {
+  try {
+    await signIn(req, res, await authService.verifyCode(req.body));
+  } catch (error) {
+    sendAuthError(res, error, "Failed to verify code");
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  setIdentityCookie(res, authService, authService.createAnonymousIdentity());
+  res.json({ success: true });
+});
+
+app.get("/api/auth/me", (req, res) => res.json(req.user));
+
+app.get("/api/account/export", async (req, res) => {
+  try {
+    const archive = await privacyService.exportUser(req.user.userId);
+    res.attachment("justifi-my-data.tar.gz");
+    res.type("application/gzip").send(archive);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to export your data" });
+  }
+});
+
+// Erases the account (if any) and every session it owns, then signs out
+app.delete("/api/account", async (req, res) => {
+  try {
+    const record = await privacyService.eraseUser(req.user.userId, {
+      actor: req.user.anonymous ? "anonymous-owner" : "owner",
+      reason: req.body && req.body.reason,
+    });
+    setIdentityCookie(res, authService, authService.createAnonymousIdentity());
+    res.json({ success: true, erasure: record });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Failed to erase your data" });
+  }
+});
+
+// 7. Admin - the contacts directory. ADMIN_USERS is a comma-separated list
+// of account usernames allowed in.
+const adminOnly = requireAdmin();
+
+function sendContactError(res, error, fallback) {
+  if (error.status)
+    return res.status(error.status).json({ error: error.message });
+  console.error(error);
+  res.status(500).json({ error: fallback });
+}
+
+app.get("/admin/contacts", requireAdmin({ page: true }), async (req, res) =>
+  res.render("admin-contacts", {
+    contacts: await contactDirectory.list(),
+    regions: REGIONS,
+    categories: listCategories(),
+  })
+);
+
+app.get("/api/admin/contacts", adminOnly, async (req, res) => {
+  try {
+    res.json(await contactDirectory.list());
+  } catch (error) {
+    sendContactError(res, error, "Failed to load contacts");
+  }
+});
+
+app.post("/api/admin/contacts", adminOnly, async (req, res) => {
+  try {
+    const contact = await contactDirectory.create(req.body, {
+      actor: req.user.username,
+    });
+    console.log(`📇 ${req.user.username} added contact ${contact.id}`);
+    res.status(201).json(contact);
+  } catch (error) {
+    sendContactError(res, error, "Failed to add contact");
+  }
+});
+
+app.put("/api/admin/contacts/:id", adminOnly, async (req, res) => {
+  try {
+    const contact = await contactDirectory.update(req.params.id, req.body, {
+      actor: req.user.username,
+    });
+    console.log(`📇 ${req.user.username} updated contact ${contact.id}`);
+    res.json(contact);
+  } catch (error) {
+    sendContactError(res, error, "Failed to update contact");
+  }
+});
+
+// Bundled entries go back to their defaults; added ones are deleted
+app.delete("/api/admin/contacts/:id", adminOnly, async (req, res) => {
+  try {
+    if (!(await contactDirectory.reset(req.params.id))) {
+      return res.status(404).json({ error: "No changes to reset" });
+    }
+    console.log(`📇 ${req.user.username} reset contact ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    sendContactError(res, error, "Failed to reset contact");
+  }
+});
+
+// 8. Agora Token
+function sendAgoraError(res, error, fallback) {
+  if ([400, 404, 409, 503].includes(error.status)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Agora Token Error:", error);
+  res.status(500).json({ error: fallback });
+}
+
+// A token for the session's own channel: { sessionId, role }
+app.post("/api/agora/token", ownsSession, async (req, res) => {
+  try {
+    const role = AgoraService.normalizeRole(req.body.role);
+    res.json(
+      await agoraService.issueToken(req.consultation, {
+        userId: req.user.userId,
+        role,
+      })
+    );
+  } catch (e) {
+    sendAgoraError(res, e, "Token generation failed");
+  }
+});
+
+// Called on token-privilege-will-expire: { sessionId, uid }
+app.post("/api/agora/token/renew", ownsSession, async (req, res) => {
+  try {
+    res.json(
+      await agoraService.renewToken(req.consultation, {
+        userId: req.user.userId,
+        uid: req.body.uid,
+      })
+    );
+  } catch (e) {
+    sendAgoraError(res, e, "Token renewal failed");
+  }
+});
+
+// 9. Volunteer console - PAO and partner paralegals taking over calls.
+// VOLUNTEER_USERS is a comma-separated list of account usernames; admins
+// are let in too.
+const volunteerOnly = requireVolunteer();
+
+function sendHandoffError(res, error, fallback) {
+  if ([400, 404, 409, 503].includes(error.status)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ error: fallback });
+}
+
+// Loads the session for the volunteer routes; the claim is checked by each
+async function volunteerSession(req, res, next) {
+  try {
+    const session = await JSONService.findOne("sessions", {
+      sessionId: req.params.sessionId,
+    });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    req.consultation = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.get("/volunteer", requireVolunteer({ page: true }), (req, res) =>
+  res.render("volunteer", {
+    categories: listCategories(),
+    languages: listLanguages(),
+    rtcMode: agoraService.mode,
+  })
+);
+
+app.get("/api/volunteer/sessions", volunteerOnly, async (req, res) => {
+  try {
+    res.json(await handoffService.queue(req.user));
+  } catch (e) {
+    sendHandoffError(res, e, "Failed to list sessions");
+  }
+});
+
+app.post(
+  "/api/volunteer/sessions/:sessionId/claim",
+  volunteerOnly,
+  volunteerSession,
+  async (req, res) => {
+    try {
+      await handoffService.claim(req.consultation, req.user);
+      res.json(await handoffService.liveView(req.consultation));
+    } catch (e) {
+      sendHandoffError(res, e, "Failed to claim session");
+    }
+  }
+);
+
+// Polled by the console: transcript lines after ?since=, the latest
+// analysis, and the volunteer's presence in the call
+app.get(
+  "/api/volunteer/sessions/:sessionId",
+  volunteerOnly,
+  volunteerSession,
+  async (req, res) => {
+    try {
+      await handoffService.touch(req.consultation, req.user);
+      res.json(
+        await handoffService.liveView(req.consultation, {
+          since: Number(req.query.since) || 0,
+        })
+      );
+    } catch (e) {
+      sendHandoffError(res, e, "Failed to load session");
+    }
+  }
+);
+
+// Joining the voice channel; from here on the AI only takes notes
+app.post(
+  "/api/volunteer/sessions/:sessionId/token",
+  volunteerOnly,
+  volunteerSession,
+  async (req, res) => {
+    try {
+      handoffService.assertClaimed(req.consultation, req.user);
+      const token = await agoraService.issueToken(req.consultation, {
+        userId: req.user.userId,
+        role: "publisher",
+      });
+      await handoffService.touch(req.consultation, req.user, { joined: true });
+      res.json(token);
+    } catch (e) {
+      sendAgoraError(res, e, "Token generation failed");
+    }
+  }
+);
+
+app.post(
+  "/api/volunteer/sessions/:sessionId/token/renew",
+  volunteerOnly,
+  volunteerSession,
+  async (req, res) => {
+    try {
+      handoffService.assertClaimed(req.consultation, req.user);
+      res.json(
+        await agoraService.renewToken(req.consultation, {
+          userId: req.user.userId,
+          uid: req.body.uid,
+        })
+      );
+    } catch (e) {
+      sendAgoraError(res, e, "Token renewal failed");
+    }
+  }
+);
+
+// Leaving the call hands it back to the AI
+app.post(
+  "/api/volunteer/sessions/:sessionId/release",
+  volunteerOnly,
+  volunteerSession,
+  async (req, res) => {
+    try {
+      await handoffService.release(req.consultation, req.user);
+      res.json({ success: true });
+    } catch (e) {
+      sendHandoffError(res, e, "Failed to leave session");
+    }
+  }
+);
+
+// 10. Test Endpoints
+app.get("/api/ai/providers", (req, res) => {
+  res.json(multiAIService.getProviderStatus());
+});
+
 app.get("/api/test-groq", async (req, res) => {
   try {
     console.log("\n🧪 TESTING GROQ CONNECTION...");
@@ -384,8 +1556,33 @@ app.get("/api/test-groq", async (req, res) => {
 
 // Start Server
 initializeDatabase().then(() => {
+  privacyService.startRetentionSchedule(
+    (Number(process.env.RETENTION_SWEEP_HOURS) || 24) * 60 * 60 * 1000
+  );
+  sessionLifecycle.startSweepSchedule(
+    (Number(process.env.SESSION_SWEEP_MINUTES) || 5) * 60 * 1000
+  );
   app.listen(PORT, () => {
     console.log(`\n🚀 AI Legal Buddy running on http://localhost:${PORT}`);
+    console.log(
+      `📞 Voice calls: ${
+        {
+          live: "Agora",
+          mock: "MOCK MODE (no Agora, development only)",
+          disabled: "off (set AGORA_APP_ID and AGORA_APP_CERTIFICATE)",
+        }[agoraService.mode]
+      }`
+    );
+    console.log(
+      `🔊 Text-to-speech: ${
+        ttsService.options().engine || "browser voice only"
+      }`
+    );
+    console.log(
+      `🎙️ Speech-to-text: ${
+        sttService.options().engine || "browser recognition only"
+      }`
+    );
     console.log(`📝 Logs will appear below:\n`);
   });
 });
@@ -0,0 +1,52 @@
+// migrate-to-sqlite.js - Run this once to import the JSON files into SQLite
+// Usage: node migrate-to-sqlite.js [--force]
+// Reads from DATA_DIR (default data/), like the app.
+require("dotenv").config();
+
+const path = require("path");
+const {
+  JSONStore,
+  SQLiteStore,
+  resolveDataDir,
+  collectionFiles,
+} = require("./services/storage");
+
+const DATA_DIR = resolveDataDir();
+const DB_FILES = collectionFiles(DATA_DIR);
+
+async function migrate() {
+  const force = process.argv.includes("--force");
+  const source = new JSONStore(DB_FILES);
+  const target = new SQLiteStore({
+    filePath: process.env.SQLITE_PATH || path.join(DATA_DIR, "legal-buddy.db"),
+    collections: Object.keys(DB_FILES),
+  });
+
+  try {
+    await target.init();
+    console.log(`🗄️ Migrating JSON files into ${target.filePath}`);
+
+    for (const collection of Object.keys(DB_FILES)) {
+      const existing = await target.count(collection);
+      if (existing > 0 && !force) {
+        console.log(
+          `⏭️ ${collection}: already has ${existing} rows, skipping (use --force to import anyway)`
+        );
+        continue;
+      }
+
+      const items = await source.read(collection);
+      const imported = await target.appendMany(collection, items);
+      console.log(`✅ ${collection}: imported ${imported} records`);
+    }
+
+    console.log("✅ Migration complete. Set STORAGE_BACKEND=sqlite to use it.");
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    target.close();
+  }
+}
+
+migrate();
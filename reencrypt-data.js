@@ -0,0 +1,57 @@
+// reencrypt-data.js - Re-seal stored records under the current encryption key
+// Usage: node reencrypt-data.js
+//
+// Key rotation: put the new secret in DATA_ENCRYPTION_KEY and the old one in
+// DATA_ENCRYPTION_PREVIOUS_KEYS, restart the app (new writes use the new
+// key), run this once, then drop the old key. Also encrypts any records
+// written before encryption was turned on.
+require("dotenv").config();
+
+const {
+  createStore,
+  ENCRYPTED_FIELDS,
+  resolveDataDir,
+  collectionFiles,
+} = require("./services/storage");
+
+const DATA_DIR = resolveDataDir();
+const DB_FILES = collectionFiles(DATA_DIR);
+
+async function reencrypt() {
+  if (!process.env.DATA_ENCRYPTION_KEY) {
+    console.error("❌ Set DATA_ENCRYPTION_KEY to the key records should use");
+    process.exitCode = 1;
+    return;
+  }
+
+  const store = createStore({
+    backend: process.env.STORAGE_BACKEND,
+    dataDir: DATA_DIR,
+    files: DB_FILES,
+    encryption: {
+      key: process.env.DATA_ENCRYPTION_KEY,
+      previousKeys: process.env.DATA_ENCRYPTION_PREVIOUS_KEYS,
+      fields: ENCRYPTED_FIELDS,
+    },
+  });
+
+  try {
+    await store.init();
+    console.log(
+      `🔐 Re-encrypting ${store.backend} data under key ${store.keyId}`
+    );
+
+    const counts = await store.reencrypt();
+    for (const [collection, count] of Object.entries(counts)) {
+      console.log(`✅ ${collection}: ${count} records re-encrypted`);
+    }
+    console.log("✅ Done. Keys only listed as previous keys can be removed.");
+  } catch (error) {
+    console.error("❌ Re-encryption failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+reencrypt();
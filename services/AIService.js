@@ -1,24 +1,39 @@
 // services/AIService.js - With Final Summarization Support
 
-const OpenAI = require("openai");
+const { createProviders, ERROR_TYPES } = require("./providers");
+const { validateSummary, repairSummary } = require("./summarySchema");
+const { describeCategory } = require("./categories");
+const { formatPassages } = require("./laws");
+const { getLanguage } = require("./languages");
+
+// Summary fields a bilingual summary translates; law citations stay in
+// English so they can still be checked against the law library
+const TRANSLATED_FIELDS = [
+  "situation",
+  "recommendedSteps",
+  "watchOutFor",
+  "nextAction",
+];
+
+// How long a provider sits out after each kind of failure
+const COOLDOWNS = {
+  [ERROR_TYPES.BALANCE]: 3600000,
+  [ERROR_TYPES.CONFIG]: 3600000,
+  [ERROR_TYPES.RATE_LIMIT]: 60000,
+  [ERROR_TYPES.TRANSIENT]: 60000,
+};
 
 class MultiAIService {
   constructor() {
-    this.providers = {
-      groq: {
-        name: "Groq (Llama)",
-        client: process.env.GROQ_API_KEY
-          ? new OpenAI({
-              apiKey: process.env.GROQ_API_KEY,
-              baseURL: "https://api.groq.com/openai/v1",
-            })
-          : null,
-        enabled: !!process.env.GROQ_API_KEY,
-        priority: 1,
-        available: true,
-      },
-    };
+    this.providers = createProviders();
     this.lastError = {};
+
+    const enabled = this.getAvailableProviders();
+    console.log(
+      enabled.length
+        ? `🤖 AI providers enabled: ${enabled.join(", ")}`
+        : "⚠️ No AI provider keys configured"
+    );
   }
 
   getAvailableProviders() {
@@ -34,16 +49,70 @@ class MultiAIService {
       `⚠️ Provider ${this.providers[provider].name} marked unavailable`
     );
     this.providers[provider].available = false;
-    setTimeout(() => {
+    const timer = setTimeout(() => {
       if (this.providers[provider]) {
         this.providers[provider].available = true;
         console.log(`✅ Provider ${this.providers[provider].name} re-enabled`);
       }
     }, duration);
+    // Don't keep scripts and tests alive just to re-enable a provider
+    timer.unref();
+  }
+
+  // Try each available provider in priority order until one succeeds.
+  // Failed providers are benched for a cooldown based on why they failed,
+  // except for invalid requests which would fail the same way anywhere.
+  async _withFallback(task, label) {
+    const providers = this.getAvailableProviders();
+
+    if (providers.length === 0) {
+      throw new Error("No AI providers available");
+    }
+
+    for (const provider of providers) {
+      const config = this.providers[provider];
+      try {
+        console.log(`🤖 Trying ${config.name} for ${label}...`);
+        const result = await task(config.adapter, provider);
+        console.log(`✅ Success with ${config.name}`);
+        return result;
+      } catch (error) {
+        const { type, status, retryAfterMs } =
+          config.adapter.classifyError(error);
+        console.error(
+          `❌ ${config.name} failed (${type}${status ? ` ${status}` : ""}):`,
+          error.message
+        );
+        this.lastError[provider] = error.message;
+
+        if (type !== ERROR_TYPES.INVALID_REQUEST) {
+          this.markProviderUnavailable(
+            provider,
+            retryAfterMs || COOLDOWNS[type]
+          );
+        }
+        continue;
+      }
+    }
+
+    throw new Error(
+      `All AI providers failed. Last errors: ${JSON.stringify(this.lastError)}`
+    );
   }
 
   // ========== NEW METHOD: FINAL COMPREHENSIVE SUMMARIZATION ==========
-  async generateFinalSummary(fullTranscript, category) {
+  // references are passages from the law corpus (laws.retrieve); citing
+  // them is what lets the summary page mark a law as verified. contacts come
+  // from the directory and are shown beside the summary, so the model only
+  // refers to them by name. language is the code the summary is written in
+  // (services/languages).
+  async generateFinalSummary(
+    fullTranscript,
+    category,
+    references = [],
+    contacts = [],
+    language = "en"
+  ) {
     console.log("\n🔍 ============ GENERATE FINAL SUMMARY ============");
     console.log("Transcript length:", fullTranscript.length);
     console.log("Category:", category);
@@ -62,8 +131,8 @@ Your job is to analyze the user's situation and produce a clear, structured cons
 CONVERSATION TRANSCRIPT:
 ${fullTranscript}
 
-LEGAL CATEGORY: ${category}
-
+LEGAL CATEGORY: ${describeCategory(category)}
+${this._referencesSection(references)}${this._officesSection(contacts)}
 Always include the following sections:
 
 1. SITUATION SUMMARY  
@@ -73,27 +142,21 @@ Always include the following sections:
 2. RELEVANT PHILIPPINE LAWS  
    - List only applicable statutes, rules, and government regulations.  
    - Use layman explanations.
+   - Write each one as "<law>, <Sec./Art. number> - <explanation>", e.g. "RA 9653, Sec. 9 - ...".
+   - Prefer the provisions under REFERENCE LAW when they apply.
 
 3. RECOMMENDED STEPS (VERY IMPORTANT)  
    - List practical steps the user must take next.  
+   - When a step involves an office, name it the way OFFICES SHOWN TO THE USER does.  
    - Include both legal actions and safety precautions.  
    - Make the steps simple, numbered, and beginner-friendly.
 
 4. WHAT TO WATCH OUT FOR (RED FLAGS)  
    - Add a warning list.  
-   - Identify risks, illegal behavior, signs of escalation, or deadlines (ex: prescription periods).
-
-5. IMPORTANT CONTACTS & HOTLINES  
-   Include at least the relevant ones below:  
-   - **PNP**: 911 (emergency), 8888 (non-emergency reporting)  
-   - **Barangay**: Local barangay hall hotline  
-   - **PAO (Public Attorney's Office)**: (02) 8426-2075 / nearest district office  
-   - **DSWD**: 1343 Actionline  
-   - **NBI**: (02) 8523-8231  
-   - **PWC or VAWC Desk** for abuse cases  
-   - **Cybercrime Hotlines** for online threats: (02) 723-0401 local 7483
-
-6. NEXT ACTION (URGENT)  
+   - Identify risks, illegal behavior, or signs of escalation.
+   - Mention deadlines in general terms only; exact dates are computed separately from the dates the user gave.
+
+5. NEXT ACTION (URGENT)  
    - One clear, prioritized task they must do immediately.
 
 FORMAT THE OUTPUT AS A JSON OBJECT:
@@ -102,14 +165,14 @@ FORMAT THE OUTPUT AS A JSON OBJECT:
   "relevantLaws": [],
   "recommendedSteps": [],
   "watchOutFor": [],
-  "contacts": {},
   "nextAction": ""
 }
 
 LANGUAGE INSTRUCTIONS:
-- Always respond in fluent, natural English.
-- You must fully understand Tagalog, Filipino slang, and Taglish.
-- But your output must ALWAYS be in English.
+- Always respond in ${getLanguage(language).style}.
+- You must fully understand Tagalog, Cebuano, Filipino slang, and Taglish.
+- Write the law names and numbers in "relevantLaws" in English, as they are officially cited.
+- Keep the JSON keys in English.
 
 TONE REQUIREMENTS:
 - Professional
@@ -122,269 +185,403 @@ Respond ONLY with valid JSON, no markdown or explanation.`;
 
     console.log("📤 Prompt prepared, length:", prompt.length);
 
-    for (const provider of providers) {
-      try {
-        console.log(`🤖 Attempting with ${this.providers[provider].name}...`);
-
-        if (provider === "groq") {
-          console.log("🔄 Calling Groq API...");
-
-          const response =
-            await this.providers.groq.client.chat.completions.create({
-              model: "llama-3.3-70b-versatile", // Updated to newer model
-              messages: [{ role: "user", content: prompt }],
-              temperature: 0.7,
-              max_tokens: 3000,
-              response_format: { type: "json_object" },
-            });
-
-          console.log("📥 Groq API responded");
-
-          const text = response.choices[0].message.content;
-          console.log("📝 Raw response length:", text.length);
-          console.log("📝 First 200 chars:", text.substring(0, 200));
-
-          const summary = this._extractJSON(text);
-          console.log("✅ JSON parsed successfully");
-          console.log("📋 Summary fields:", Object.keys(summary));
-
-          return summary;
-        }
-      } catch (error) {
-        console.error(`❌ ${this.providers[provider].name} failed:`);
-        console.error("Error message:", error.message);
-        console.error("Error type:", error.constructor.name);
-        console.error("Full error:", error);
-
-        this.lastError[provider] = error.message;
-
-        if (this._isBalanceError(error)) {
-          console.warn("💰 Balance/quota issue detected");
-          this.markProviderUnavailable(provider, 3600000);
-        } else {
-          console.warn("⏱️ Temporary failure, will retry");
-          this.markProviderUnavailable(provider, 60000);
-        }
-        continue;
-      }
+    try {
+      const summary = await this._withFallback(async (adapter) => {
+        return this._completeValidSummary(
+          adapter,
+          [{ role: "user", content: prompt }],
+          { temperature: 0.7, maxTokens: 3000 }
+        );
+      }, "final summary");
+
+      console.log("✅ JSON parsed successfully");
+      console.log("📋 Summary fields:", Object.keys(summary));
+      return summary;
+    } catch (error) {
+      console.error("❌ All providers exhausted");
+      throw new Error(
+        `Failed to generate summary with all providers. Last errors: ${JSON.stringify(
+          this.lastError
+        )}`
+      );
     }
+  }
+  // ====================================================================
 
-    console.error("❌ All providers exhausted");
-    throw new Error(
-      `Failed to generate summary with all providers. Last errors: ${JSON.stringify(
-        this.lastError
-      )}`
+  // The user's-language half of a bilingual summary: TRANSLATED_FIELDS of
+  // an English summary, translated. A translation with missing fields or a
+  // different number of items is rejected so the next provider is tried.
+  async translateSummary(summary, language) {
+    const target = getLanguage(language);
+    const source = Object.fromEntries(
+      TRANSLATED_FIELDS.map((field) => [field, summary[field]])
     );
+    const prompt = `Translate the values of this consultation summary from English into ${
+      target.style
+    }.
+
+TRANSLATE INTO: ${target.name}
+- Keep the JSON keys, and the same number of items in every array.
+- Keep agency names (PAO, DOLE, NLRC), law names and numbers, amounts and dates exactly as they are.
+- Keep bracketed placeholders such as [PERSON_1a2b] exactly as they are.
+- Use plain words a non-lawyer understands.
+
+SOURCE:
+${JSON.stringify(source, null, 2)}
+
+Respond ONLY with the translated JSON object, no markdown or explanation.`;
+
+    return this._withFallback(async (adapter) => {
+      const parsed = this._parseJSON(
+        await adapter.completeJSON([{ role: "user", content: prompt }], {
+          temperature: 0.3,
+          maxTokens: 3000,
+        })
+      );
+      const invalid =
+        !parsed ||
+        TRANSLATED_FIELDS.some((field) =>
+          Array.isArray(source[field])
+            ? !Array.isArray(parsed[field]) ||
+              parsed[field].length !== source[field].length ||
+              !parsed[field].every((item) => typeof item === "string")
+            : typeof parsed[field] !== "string" || !parsed[field].trim()
+        );
+      if (invalid) throw new Error("Translation did not match the summary");
+
+      return {
+        language: target.code,
+        ...Object.fromEntries(
+          TRANSLATED_FIELDS.map((field) => [field, parsed[field]])
+        ),
+      };
+    }, "summary translation");
   }
-  // ====================================================================
 
   // EXISTING METHOD: Quick in-call analysis
-  async analyzeLegalSituation(transcript, category) {
+  async analyzeLegalSituation(
+    transcript,
+    category,
+    references = [],
+    language = "en"
+  ) {
+    return this._withFallback(
+      (adapter) =>
+        this._analyzeLegalWithProvider(
+          adapter,
+          transcript,
+          category,
+          references,
+          language
+        ),
+      "analysis"
+    );
+  }
+
+  async generateResponse(userMessage, context, memory, references, language) {
     const providers = this.getAvailableProviders();
+    const { messages } = getLanguage(language);
 
     if (providers.length === 0) {
-      throw new Error("No AI providers available");
+      return messages.noProviders;
     }
 
-    for (const provider of providers) {
-      try {
-        console.log(`🤖 Trying ${this.providers[provider].name}...`);
-        const result = await this._analyzeLegalWithProvider(
-          provider,
-          transcript,
-          category
-        );
-        console.log(`✅ Success with ${this.providers[provider].name}`);
-        return result;
-      } catch (error) {
-        console.error(
-          `❌ ${this.providers[provider].name} failed:`,
-          error.message
+    try {
+      return await this._withFallback(async (adapter, provider) => {
+        const result = await this._generateResponseWithProvider(
+          adapter,
+          userMessage,
+          context,
+          memory,
+          references,
+          language
         );
-        this.lastError[provider] = error.message;
 
-        if (this._isBalanceError(error)) {
-          this.markProviderUnavailable(provider, 3600000);
-        } else {
-          this.markProviderUnavailable(provider, 60000);
+        if (!result || typeof result !== "string") {
+          throw new Error(`Invalid response from ${provider}`);
         }
-        continue;
-      }
-    }
-
-    throw new Error(`All AI providers failed`);
-  }
 
-  _detectCategoryMismatch(userMessage, selectedCategory) {
-    // Very simple keyword-based detection
-    const categoryKeywords = {
-      labor: [
-        "work",
-        "salary",
-        "employer",
-        "contract",
-        "overtime",
-        "termination",
-        "resign",
-      ],
-      tenancy: ["landlord", "rent", "tenant", "apartment", "eviction", "lease"],
-      family: ["marriage", "child", "support", "custody"],
-      crime: ["police", "theft", "assault", "harassment"],
-    };
-
-    selectedCategory = selectedCategory.toLowerCase();
-
-    // Scan text for keywords of OTHER categories
-    for (const [category, keywords] of Object.entries(categoryKeywords)) {
-      if (category === selectedCategory) continue;
-      if (keywords.some((k) => userMessage.toLowerCase().includes(k))) {
-        return category; // mismatch detected → suggested category
-      }
+        return result;
+      }, "chat");
+    } catch (error) {
+      return messages.providersDown;
     }
-
-    return null; // no mismatch
   }
 
-  async generateResponse(userMessage, context) {
+  // Streaming twin of generateResponse. Falls over to the next provider only
+  // until the first chunk has been sent; after that a failure is thrown,
+  // since half a reply can't be taken back. Aborting the signal cancels the
+  // upstream request and ends the stream quietly.
+  async *streamResponse(
+    userMessage,
+    context,
+    { signal, memory, references, language } = {}
+  ) {
     const providers = this.getAvailableProviders();
+    const fallbacks = getLanguage(language).messages;
 
     if (providers.length === 0) {
-      return "Pasensya na, walang available na AI service. Please check your API keys.";
+      yield fallbacks.noProviders;
+      return;
     }
-    // 🔍 NEW: Detect category mismatch
-    const suggestedCategory = this._detectCategoryMismatch(
+
+    const messages = this._buildChatMessages(
       userMessage,
-      context?.category || ""
+      context,
+      memory,
+      references,
+      language
     );
 
-    if (suggestedCategory) {
-      return `It looks like your issue falls under ${
-        suggestedCategory.charAt(0).toUpperCase() + suggestedCategory.slice(1)
-      } law rather than your selected category. Would you like me to open a new conversation for that topic?`;
-    }
-
     for (const provider of providers) {
-      try {
-        console.log(`🤖 Trying ${this.providers[provider].name} for chat...`);
-        const result = await this._generateResponseWithProvider(
-          provider,
-          userMessage,
-          context
-        );
+      const config = this.providers[provider];
+      let started = false;
 
-        if (!result || typeof result !== "string") {
-          throw new Error(`Invalid response from ${provider}`);
+      try {
+        console.log(`🤖 Streaming from ${config.name}...`);
+        for await (const chunk of config.adapter.stream(messages, {
+          temperature: 0.7,
+          maxTokens: 300,
+          signal,
+        })) {
+          if (signal?.aborted) return;
+          started = true;
+          yield chunk;
         }
-
-        return result;
+        if (started) return;
+        throw new Error(`Empty stream from ${provider}`);
       } catch (error) {
+        if (signal?.aborted) {
+          console.log(`🛑 Stream from ${config.name} cancelled`);
+          return;
+        }
+
+        const { type, status, retryAfterMs } =
+          config.adapter.classifyError(error);
         console.error(
-          `❌ ${this.providers[provider].name} failed:`,
+          `❌ ${config.name} stream failed (${type}${
+            status ? ` ${status}` : ""
+          }):`,
           error.message
         );
         this.lastError[provider] = error.message;
 
-        if (this._isBalanceError(error)) {
-          this.markProviderUnavailable(provider, 3600000);
-        } else {
-          this.markProviderUnavailable(provider, 60000);
+        if (type !== ERROR_TYPES.INVALID_REQUEST) {
+          this.markProviderUnavailable(
+            provider,
+            retryAfterMs || COOLDOWNS[type]
+          );
         }
-        continue;
+        if (started) throw error;
       }
     }
 
-    return "Pasensya na, lahat ng AI providers ay hindi available sa ngayon.";
-  }
-
-  _isBalanceError(error) {
-    const errorMessage = error.message?.toLowerCase() || "";
-    const errorCode = error.status || error.code || "";
-
-    return (
-      errorMessage.includes("insufficient") ||
-      errorMessage.includes("quota") ||
-      errorMessage.includes("balance") ||
-      errorCode === 429 ||
-      errorCode === 402
-    );
+    yield fallbacks.providersDown;
   }
 
-  async _analyzeLegalWithProvider(provider, transcript, category) {
+  async _analyzeLegalWithProvider(
+    adapter,
+    transcript,
+    category,
+    references,
+    language
+  ) {
     const prompt = `You are a Filipino legal advisor AI. Analyze this ${category} legal situation briefly.
+Category scope: ${describeCategory(category)}
 
 Transcript: ${transcript}
-
+${this._referencesSection(references)}
 Provide JSON with:
 1. situation: Brief summary
-2. relevantLaws: Array of Philippine laws
+2. relevantLaws: Array of Philippine laws, each as "<law>, <Sec./Art. number> - <explanation>"
 3. recommendedSteps: Array of 3-5 actionable steps
-4. contacts: Object with government contacts
-5. nextAction: Most urgent step
+4. nextAction: Most urgent step
 
+Write the values in ${
+      getLanguage(language).style
+    }, keeping law names and numbers as officially cited.
 Respond ONLY with valid JSON.`;
 
-    if (provider === "groq") {
-      const response = await this.providers.groq.client.chat.completions.create(
-        {
-          model: "llama-3.3-70b-versatile", // Updated to newer model
-          messages: [{ role: "user", content: prompt }],
-          temperature: 0.7,
-          max_tokens: 2000,
-          response_format: { type: "json_object" },
-        }
-      );
-      return this._extractJSON(response.choices[0].message.content);
-    }
-
-    throw new Error(`Provider not configured: ${provider}`);
+    return this._completeValidSummary(
+      adapter,
+      [{ role: "user", content: prompt }],
+      { temperature: 0.7, maxTokens: 2000 }
+    );
   }
 
-  async _generateResponseWithProvider(provider, userMessage, context) {
-    const prompt = `You are a Filipino legal advisor assisting the user in a voice conversation.
+  // memory.history is the stored transcript ({ speaker, text }) for the
+  // recent turns; memory.earlierSummary condenses everything before them.
+  _buildChatMessages(
+    userMessage,
+    context,
+    memory = {},
+    references = [],
+    language = "en"
+  ) {
+    const { history = [], earlierSummary = "" } = memory;
+
+    const instructions = `You are a Filipino legal advisor assisting the user in a voice conversation.
 
 LANGUAGE RULES:
-- Always respond in fluent, natural English.
-- You must fully understand Tagalog and Taglish, but your answers must remain in English.
+- Always respond in ${getLanguage(language).style}.
+- You must fully understand Tagalog, Cebuano and Taglish, but your answers must remain in ${
+      getLanguage(language).name
+    }.
 - Keep responses clear, concise, and conversational, like a lawyer speaking on the phone.
 
 RESPONSE RULES:
 - Reply in only 2–3 short sentences (maximum 30 words total).
 - Maintain a professional, calm tone.
 - Provide helpful guidance and ask one brief follow-up question for clarification.
+- Remember the facts the user already gave you; do not ask for them again.
 
-Context: ${context}
-User: ${userMessage}
+Context: ${context}`;
 
-Respond naturally, in English only:`;
+    const messages = [{ role: "system", content: instructions }];
 
-    if (provider === "groq") {
-      const response = await this.providers.groq.client.chat.completions.create(
-        {
-          model: "llama-3.3-70b-versatile", // Updated to newer model (faster for chat)
-          messages: [{ role: "user", content: prompt }],
-          temperature: 0.7,
-          max_tokens: 300,
-        }
+    if (references.length) {
+      messages.push({
+        role: "system",
+        content: `RELEVANT PHILIPPINE LAW (from the local law library):
+${formatPassages(references)}
+
+Base legal points on these provisions and name the one you rely on (e.g. "under RA 9653, Sec. 9"). If none of them fit, say so instead of guessing a law number.`,
+      });
+    }
+
+    if (earlierSummary) {
+      messages.push({
+        role: "system",
+        content: `Summary of the earlier part of this conversation:\n${earlierSummary}`,
+      });
+    }
+
+    for (const turn of history) {
+      messages.push({
+        role: turn.speaker === "USER" ? "user" : "assistant",
+        content: turn.text,
+      });
+    }
+
+    messages.push({ role: "user", content: userMessage });
+    return messages;
+  }
+
+  // Fold older turns into a running summary so long consultations keep
+  // their early facts without resending the whole transcript
+  async summarizeConversation(previousSummary, turns, category) {
+    const transcript = turns.map((t) => `${t.speaker}: ${t.text}`).join("\n");
+    const prompt = `You keep notes for a Filipino legal advisor during a ${category} consultation.
+
+${
+  previousSummary ? `NOTES SO FAR:\n${previousSummary}\n\n` : ""
+}NEW CONVERSATION TURNS:
+${transcript}
+
+Update the notes so they include every important fact: names, dates, places, amounts, documents, what the other party did, and what advice was already given.
+Write at most 150 words in English, as short bullet points. Respond with the notes only.`;
+
+    return this._withFallback(
+      (adapter) =>
+        adapter.chat([{ role: "user", content: prompt }], {
+          temperature: 0.3,
+          maxTokens: 400,
+        }),
+      "conversation memory"
+    );
+  }
+
+  async _generateResponseWithProvider(
+    adapter,
+    userMessage,
+    context,
+    memory,
+    references,
+    language
+  ) {
+    return adapter.chat(
+      this._buildChatMessages(
+        userMessage,
+        context,
+        memory,
+        references,
+        language
+      ),
+      { temperature: 0.7, maxTokens: 300 }
+    );
+  }
+
+  // The directory contacts shown next to the summary, so steps name the
+  // same offices and the model has no reason to write numbers of its own
+  _officesSection(contacts = []) {
+    if (!contacts.length) return "";
+    return `
+OFFICES SHOWN TO THE USER (their numbers are listed next to your summary):
+${contacts.map((contact) => `- ${contact.name}`).join("\n")}
+Do not write phone numbers yourself.
+`;
+  }
+
+  // Prompt section listing the corpus passages, or nothing without any
+  _referencesSection(references = []) {
+    if (!references.length) return "";
+    return `
+REFERENCE LAW (verified provisions from the local law library):
+${formatPassages(references)}
+Cite laws from this list whenever they apply. Only cite a law outside it if you are certain of its number and name.
+`;
+  }
+
+  // Ask for a summary, and if it doesn't match the schema, show the
+  // provider its mistakes once. Anything still off afterwards is coerced by
+  // repairSummary; unparseable output throws so the next provider is tried.
+  async _completeValidSummary(adapter, messages, options) {
+    let text = await adapter.completeJSON(messages, options);
+    console.log("📝 Raw response length:", text.length);
+    console.log("📝 First 200 chars:", text.substring(0, 200));
+
+    let parsed = this._parseJSON(text);
+    const errors = parsed
+      ? validateSummary(parsed)
+      : ["Response was not valid JSON"];
+    let reprompted = false;
+
+    if (errors.length > 0) {
+      console.warn("⚠️ Summary failed validation:", errors);
+      reprompted = true;
+      text = await adapter.completeJSON(
+        [
+          ...messages,
+          { role: "assistant", content: text },
+          {
+            role: "user",
+            content: `Your previous response did not match the required format:\n${errors
+              .map((e) => `- ${e}`)
+              .join(
+                "\n"
+              )}\n\nReturn the corrected JSON object only, with every field filled in.`,
+          },
+        ],
+        options
       );
-      return response.choices[0].message.content;
+      parsed = this._parseJSON(text) || parsed;
     }
 
-    throw new Error(`Provider not configured: ${provider}`);
+    if (!parsed) {
+      throw new Error("Provider returned invalid JSON after a retry");
+    }
+
+    const { summary, repairedFields } = repairSummary(parsed);
+    if (repairedFields.length > 0) {
+      console.warn("🔧 Repaired summary fields:", repairedFields);
+    }
+    return { ...summary, repairedFields, reprompted };
   }
 
-  _extractJSON(text) {
+  _parseJSON(text) {
+    if (typeof text !== "string") return null;
     try {
-      const parsed = JSON.parse(text);
-
-      // Normalize the nextAction field if it's an object
-      if (parsed.nextAction && typeof parsed.nextAction === "object") {
-        parsed.nextAction =
-          parsed.nextAction.step ||
-          `${parsed.nextAction.step} (Timeline: ${parsed.nextAction.timeline})` ||
-          "Seek legal counsel immediately";
-      }
-
-      return parsed;
+      return JSON.parse(text);
     } catch {
       const jsonMatch =
         text.match(/```json\s*([\s\S]*?)\s*```/) || text.match(/\{[\s\S]*\}/);
@@ -395,46 +592,20 @@ Respond naturally, in English only:`;
           const cleanText = contentToParse
             .replace(/^```json\s*|```\s*$/g, "")
             .trim();
-          const parsed = JSON.parse(cleanText);
-
-          // Normalize the nextAction field
-          if (parsed.nextAction && typeof parsed.nextAction === "object") {
-            parsed.nextAction =
-              parsed.nextAction.step ||
-              `${parsed.nextAction.step} (Timeline: ${parsed.nextAction.timeline})` ||
-              "Seek legal counsel immediately";
-          }
-
-          return parsed;
+          return JSON.parse(cleanText);
         } catch (e) {
-          console.error("JSON parse error:", e);
+          console.error("JSON parse error:", e.message);
         }
       }
-
-      // Enhanced fallback with watchOutFor field
-      return {
-        situation: "Unable to analyze situation automatically",
-        relevantLaws: ["Please consult with a legal professional"],
-        recommendedSteps: [
-          "Contact PAO (Public Attorney's Office) at (02) 8426-2075",
-          "Visit your local barangay hall",
-          "Gather all relevant documents",
-        ],
-        watchOutFor: [
-          "Ensure all claims are documented with evidence",
-          "Be aware of prescription periods for filing cases",
-        ],
-        contacts: {
-          pao: "PAO: (02) 8426-2075",
-          barangay: "Local Barangay Hall",
-          pnp: "PNP Emergency: 911",
-          dswd: "DSWD Hotline: 1343",
-        },
-        nextAction: "Seek immediate legal counsel from PAO",
-      };
+      return null;
     }
   }
 
+  // Lenient parse for callers that must always get a summary back
+  _extractJSON(text) {
+    return repairSummary(this._parseJSON(text)).summary;
+  }
+
   getProviderStatus() {
     return Object.entries(this.providers).map(([key, config]) => ({
       provider: key,
@@ -0,0 +1,173 @@
+// services/AgoraService.js - Agora RTC tokens bound to a consultation
+//
+// Every ACTIVE session has its own channel, and a token is only signed for
+// that channel. Each participant gets a uid of their own, recorded on the
+// session so a renewed token keeps the same uid and role:
+//   publisher  - speaks and listens (the user, later a paralegal)
+//   subscriber - listens only
+//
+// Without AGORA_APP_ID and AGORA_APP_CERTIFICATE no tokens are signed.
+// AGORA_MOCK=true is the development mode: the call page gets told, says so
+// on screen and runs on the browser's microphone without joining Agora.
+
+const crypto = require("crypto");
+const { RtcTokenBuilder, RtcRole } = require("agora-access-token");
+const { httpError } = require("./httpError");
+
+const ROLES = {
+  publisher: RtcRole.PUBLISHER,
+  subscriber: RtcRole.SUBSCRIBER,
+};
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+// Agora uids are unsigned 32-bit; 0 means "let Agora pick", so never use it
+const MAX_UID = 2 ** 32 - 1;
+// Tries at recording a join; each failed one means another join was
+// recorded, so this covers that many people joining at the same moment
+const MAX_ATTEMPTS = 10;
+
+function sameParticipants(a, b) {
+  return JSON.stringify(a || []) === JSON.stringify(b || []);
+}
+
+function readTtl(value) {
+  const seconds = Number(value);
+  return Number.isInteger(seconds) && seconds >= 60
+    ? seconds
+    : DEFAULT_TOKEN_TTL_SECONDS;
+}
+
+class AgoraService {
+  constructor({ store, appId, appCertificate, mock, tokenTtlSeconds }) {
+    this.store = store;
+    this.appId = appId || null;
+    this.appCertificate = appCertificate || null;
+    this.tokenTtlSeconds = readTtl(tokenTtlSeconds);
+    if (this.appId && this.appCertificate) this.mode = "live";
+    else this.mode = mock ? "mock" : "disabled";
+  }
+
+  static channelFor(sessionId) {
+    return `justifi-${sessionId}`;
+  }
+
+  static normalizeRole(role) {
+    if (role === undefined || role === null || role === "") return "publisher";
+    const value = String(role).toLowerCase();
+    if (!ROLES[value]) {
+      throw httpError(
+        400,
+        `role must be one of: ${Object.keys(ROLES).join(", ")}`
+      );
+    }
+    return value;
+  }
+
+  _newUid(taken) {
+    let uid;
+    do {
+      uid = crypto.randomInt(1, MAX_UID);
+    } while (taken.has(uid));
+    return uid;
+  }
+
+  _sign(channel, uid, role, now) {
+    const expiresAt = Math.floor(now / 1000) + this.tokenTtlSeconds;
+    if (this.mode === "mock") {
+      return { rtcToken: null, appId: null, expiresAt: expiresAt * 1000 };
+    }
+    const rtcToken = RtcTokenBuilder.buildTokenWithUid(
+      this.appId,
+      this.appCertificate,
+      channel,
+      uid,
+      ROLES[role],
+      expiresAt
+    );
+    return { rtcToken, appId: this.appId, expiresAt: expiresAt * 1000 };
+  }
+
+  _check(session) {
+    if (this.mode === "disabled") {
+      throw httpError(503, "Voice calls are not configured");
+    }
+    if (session.status !== "ACTIVE") {
+      throw httpError(409, "Session has ended");
+    }
+  }
+
+  // A token for userId in the session's channel, adding them as a
+  // participant with a fresh uid the first time they join in a role
+  async issueToken(session, { userId, role, now = Date.now() }) {
+    this._check(session);
+    const participant = await this._join(session, { userId, role, now });
+    return this._token(session, participant, now);
+  }
+
+  // The participant list is only written over the one it was read from;
+  // when another join got there first the session is read again, so
+  // participants joining at once all keep their uids.
+  async _join(session, { userId, role, now }) {
+    let current = session;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const participants = current.rtcParticipants || [];
+      const existing = participants.find(
+        (p) => p.userId === userId && p.role === role
+      );
+      if (existing) {
+        session.rtcParticipants = participants;
+        return existing;
+      }
+      const participant = {
+        userId,
+        role,
+        uid: this._newUid(new Set(participants.map((p) => p.uid))),
+        joinedAt: now,
+      };
+      const updated = await this.store.update(
+        "sessions",
+        (stored) =>
+          stored.sessionId === session.sessionId &&
+          stored.status === "ACTIVE" &&
+          sameParticipants(stored.rtcParticipants, participants),
+        { rtcParticipants: [...participants, participant] }
+      );
+      if (updated) {
+        session.rtcParticipants = updated.rtcParticipants;
+        return participant;
+      }
+      current = await this.store.findOne("sessions", {
+        sessionId: session.sessionId,
+      });
+      if (!current) throw httpError(404, "Session not found");
+      this._check(current);
+    }
+    throw httpError(409, "The session is busy, try again");
+  }
+
+  // Same uid and role as before, with a new expiry
+  async renewToken(session, { userId, uid, now = Date.now() }) {
+    this._check(session);
+    const participant = (session.rtcParticipants || []).find(
+      (p) => p.userId === userId && p.uid === Number(uid)
+    );
+    if (!participant) {
+      throw httpError(404, "No token was issued to this participant");
+    }
+    return this._token(session, participant, now);
+  }
+
+  _token(session, participant, now) {
+    const channelName = AgoraService.channelFor(session.sessionId);
+    return {
+      mode: this.mode,
+      channelName,
+      uid: participant.uid,
+      role: participant.role,
+      ...this._sign(channelName, participant.uid, participant.role, now),
+    };
+  }
+}
+
+AgoraService.ROLES = Object.keys(ROLES);
+
+module.exports = AgoraService;
@@ -0,0 +1,327 @@
+// services/AuthService.js - Lightweight accounts and signed identity cookies
+//
+// Every visitor gets an identity: an anonymous one carried only by a signed
+// cookie, or an account created with a username/password or a one-time code.
+// Sessions are stamped with that identity's userId, and signing in claims
+// whatever the anonymous identity started so nothing is lost.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { v4: uuidv4 } = require("uuid");
+const { httpError } = require("./httpError");
+
+const scrypt = promisify(crypto.scrypt);
+
+const COOKIE_NAME = "justifi_id";
+const COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const CODE_MAX_ATTEMPTS = 5;
+// Code requests allowed per address and per client IP in each window;
+// wrong guesses count across every code sent in the same window
+const CODE_WINDOW_MS = 15 * 60 * 1000;
+const CODE_REQUESTS_PER_EMAIL = 3;
+const CODE_REQUESTS_PER_IP = 10;
+const CODE_SEND_TIMEOUT_MS = 10000;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+async function hashSecret(secret, salt = crypto.randomBytes(16)) {
+  const key = await scrypt(String(secret), salt, 64);
+  return `scrypt$${base64url(salt)}$${base64url(key)}`;
+}
+
+async function verifySecret(secret, stored) {
+  const [scheme, salt, key] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+  const candidate = await hashSecret(secret, Buffer.from(salt, "base64url"));
+  return safeEqual(candidate, stored);
+}
+
+// A sendCode transport that hands { email, code } to a mail relay over HTTP
+function webhookSender(url) {
+  return async (email, code) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email, code }),
+      signal: AbortSignal.timeout(CODE_SEND_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Code webhook responded ${response.status}`);
+    }
+  };
+}
+
+// Only what the browser and views need to know about a user
+function publicUser(user) {
+  return {
+    userId: user.userId,
+    username: user.username,
+    createdAt: user.createdAt,
+  };
+}
+
+class AuthService {
+  constructor({ store, secret, sendCode }) {
+    this.store = store;
+    if (!secret) {
+      console.warn(
+        "⚠️ AUTH_SECRET is not set; using a random one. Everyone is signed out when the server restarts."
+      );
+    }
+    this.secret = secret || crypto.randomBytes(32).toString("hex");
+    // Without a way to deliver codes, email sign-in is switched off
+    this.sendCode = sendCode || null;
+    if (!this.sendCode) {
+      console.warn(
+        "⚠️ No sign-in code transport is configured; email sign-in is disabled."
+      );
+    }
+    // Pending codes and request counts are short-lived, so they stay in
+    // memory; a restart only means asking for a new code
+    this.pendingCodes = new Map();
+    this.codeRequests = new Map();
+  }
+
+  get codeLoginEnabled() {
+    return !!this.sendCode;
+  }
+
+  // --- Identity cookie ---
+
+  _sign(payload) {
+    return base64url(
+      crypto.createHmac("sha256", this.secret).update(payload).digest()
+    );
+  }
+
+  issueToken({ userId, anonymous, username }) {
+    const payload = base64url(
+      JSON.stringify({
+        uid: userId,
+        anon: !!anonymous,
+        name: anonymous ? null : username,
+        iat: Date.now(),
+      })
+    );
+    return `${payload}.${this._sign(payload)}`;
+  }
+
+  // Returns { userId, anonymous, username }, or null if the token was
+  // tampered with or has expired
+  verifyToken(token) {
+    const [payload, signature] = String(token || "").split(".");
+    if (!payload || !signature || !safeEqual(signature, this._sign(payload))) {
+      return null;
+    }
+    try {
+      const { uid, anon, name, iat } = JSON.parse(
+        Buffer.from(payload, "base64url").toString("utf8")
+      );
+      if (!uid || Date.now() - iat > COOKIE_MAX_AGE_MS) return null;
+      return { userId: uid, anonymous: !!anon, username: name || null };
+    } catch {
+      return null;
+    }
+  }
+
+  createAnonymousIdentity() {
+    return { userId: `anon-${uuidv4()}`, anonymous: true, username: null };
+  }
+
+  // --- Username / password ---
+
+  async register({ username, password }) {
+    const name = String(username || "")
+      .trim()
+      .toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw httpError(
+        400,
+        "Username must be 3-32 characters: letters, numbers, dot, dash or underscore"
+      );
+    }
+    if (typeof password !== "string" || password.length < 8) {
+      throw httpError(400, "Password must be at least 8 characters");
+    }
+    if (await this.store.findOne("users", { username: name })) {
+      throw httpError(409, "That username is already taken");
+    }
+
+    const user = {
+      userId: uuidv4(),
+      username: name,
+      passwordHash: await hashSecret(password),
+      createdAt: Date.now(),
+    };
+    await this.store.append("users", user);
+    console.log(`👤 Registered ${name}`);
+    return publicUser(user);
+  }
+
+  async login({ username, password }) {
+    const name = String(username || "")
+      .trim()
+      .toLowerCase();
+    const user = await this.store.findOne("users", { username: name });
+    // Same message either way so usernames can't be probed
+    if (!user || !(await verifySecret(password, user.passwordHash))) {
+      throw httpError(401, "Incorrect username or password");
+    }
+    return publicUser(user);
+  }
+
+  // --- Passwordless one-time codes ---
+
+  _pruneCodes(now) {
+    for (const [address, pending] of this.pendingCodes) {
+      if (
+        pending.expiresAt < now &&
+        now - pending.windowStart > CODE_WINDOW_MS
+      ) {
+        this.pendingCodes.delete(address);
+      }
+    }
+    for (const [key, times] of this.codeRequests) {
+      const recent = times.filter((time) => now - time < CODE_WINDOW_MS);
+      if (recent.length) this.codeRequests.set(key, recent);
+      else this.codeRequests.delete(key);
+    }
+  }
+
+  // Counts a request against every [key, limit] pair, or none if any is spent
+  _throttle(limits, now) {
+    for (const [key, limit] of limits) {
+      if ((this.codeRequests.get(key) || []).length >= limit) {
+        throw httpError(429, "Too many code requests. Try again later.");
+      }
+    }
+    for (const [key] of limits) {
+      this.codeRequests.set(key, [...(this.codeRequests.get(key) || []), now]);
+    }
+  }
+
+  async requestCode({ email } = {}, { ip } = {}) {
+    if (!this.sendCode) {
+      throw httpError(
+        503,
+        "Email sign-in is not available. Use a username and password."
+      );
+    }
+    const address = String(email || "")
+      .trim()
+      .toLowerCase();
+    if (!EMAIL_PATTERN.test(address)) {
+      throw httpError(400, "Enter a valid email address");
+    }
+
+    const now = Date.now();
+    this._pruneCodes(now);
+    this._throttle(
+      [
+        [`email:${address}`, CODE_REQUESTS_PER_EMAIL],
+        ...(ip ? [[`ip:${ip}`, CODE_REQUESTS_PER_IP]] : []),
+      ],
+      now
+    );
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    const hash = await hashSecret(code);
+    // A new code keeps the wrong guesses made against earlier ones until
+    // the window is over
+    const previous = this.pendingCodes.get(address);
+    const carried = previous && now - previous.windowStart < CODE_WINDOW_MS;
+    const pending = {
+      hash,
+      expiresAt: now + CODE_TTL_MS,
+      attempts: carried ? previous.attempts : 0,
+      windowStart: carried ? previous.windowStart : now,
+    };
+    this.pendingCodes.set(address, pending);
+
+    try {
+      await this.sendCode(address, code);
+    } catch (error) {
+      console.error("❌ Failed to send sign-in code:", error.message);
+      throw httpError(502, "Couldn't send the code. Try again later.");
+    }
+    return { email: address, expiresAt: pending.expiresAt };
+  }
+
+  async verifyCode({ email, code } = {}) {
+    const address = String(email || "")
+      .trim()
+      .toLowerCase();
+    const pending = this.pendingCodes.get(address);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw httpError(401, "That code has expired. Request a new one.");
+    }
+    if (pending.attempts >= CODE_MAX_ATTEMPTS) {
+      throw httpError(429, "Too many attempts. Request a new code later.");
+    }
+
+    // Count the guess before checking it so parallel guesses can't share one
+    pending.attempts++;
+    if (!(await verifySecret(String(code || "").trim(), pending.hash))) {
+      throw httpError(401, "Incorrect code");
+    }
+    // Only the first correct guess signs in with this code
+    if (this.pendingCodes.get(address) !== pending) {
+      throw httpError(401, "That code has expired. Request a new one.");
+    }
+    this.pendingCodes.delete(address);
+
+    // The account only exists once someone has proved they own the address
+    const existing = await this.store.findOne("users", { username: address });
+    if (existing) return publicUser(existing);
+    const user = {
+      userId: uuidv4(),
+      username: address,
+      createdAt: Date.now(),
+    };
+    await this.store.append("users", user);
+    console.log("👤 Registered an account by email");
+    return publicUser(user);
+  }
+
+  async getUser(userId) {
+    const user = await this.store.findOne("users", { userId });
+    return user ? publicUser(user) : null;
+  }
+
+  // Move sessions started anonymously over to the account that just signed in
+  async claimAnonymousSessions(anonymousId, userId) {
+    if (!anonymousId || anonymousId === userId) return 0;
+    const sessions = await this.store.query("sessions", {
+      userId: anonymousId,
+    });
+    for (const session of sessions) {
+      await this.store.update(
+        "sessions",
+        { sessionId: session.sessionId },
+        { userId }
+      );
+    }
+    if (sessions.length) {
+      console.log(`👤 Claimed ${sessions.length} anonymous session(s)`);
+    }
+    return sessions.length;
+  }
+}
+
+AuthService.COOKIE_NAME = COOKIE_NAME;
+AuthService.COOKIE_MAX_AGE_MS = COOKIE_MAX_AGE_MS;
+AuthService.webhookSender = webhookSender;
+
+module.exports = AuthService;
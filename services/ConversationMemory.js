@@ -0,0 +1,105 @@
+// services/ConversationMemory.js - Server-side chat history per session
+//
+// Rebuilds the conversation from stored transcripts instead of trusting a
+// context string from the browser. Recent turns are sent verbatim; once
+// they no longer fit the token budget the oldest ones are folded into a
+// rolling summary kept on the session (session.memory), so each turn is
+// summarized only once. When a redaction scope is passed, everything that
+// leaves for a provider is masked, and the rolling summary is stored masked.
+
+const { describeCategory } = require("./categories");
+
+const DEFAULT_TOKEN_BUDGET = 1200;
+
+// Rough count: ~4 characters per token for English/Tagalog text
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+class ConversationMemory {
+  constructor({ store, ai, tokenBudget }) {
+    this.store = store;
+    this.ai = ai;
+    this.tokenBudget =
+      Number(tokenBudget) ||
+      Number(process.env.CHAT_MEMORY_TOKEN_BUDGET) ||
+      DEFAULT_TOKEN_BUDGET;
+  }
+
+  async build(session, newMessage, { redaction } = {}) {
+    const mask = (turns) => (redaction ? redaction.redactTurns(turns) : turns);
+
+    const transcripts = (
+      await this.store.query("transcripts", { sessionId: session.sessionId })
+    ).sort((a, b) => a.timestamp - b.timestamp);
+
+    // The page saves the user's turn before asking for a reply, so the
+    // newest transcript is usually the message being answered
+    const last = transcripts[transcripts.length - 1];
+    if (last && last.speaker === "USER" && last.text === newMessage) {
+      transcripts.pop();
+    }
+
+    let state = session.memory || { summary: "", summarizedCount: 0 };
+    let pending = transcripts.slice(state.summarizedCount);
+
+    if (this._tokens(pending) > this.tokenBudget) {
+      // Keep about half the budget verbatim so we don't summarize every turn
+      const keep = this._newestWithin(pending, this.tokenBudget / 2);
+      const older = pending.slice(0, pending.length - keep.length);
+
+      try {
+        const summary = await this.ai.summarizeConversation(
+          redaction ? redaction.redact(state.summary) : state.summary,
+          mask(older),
+          session.category
+        );
+        state = {
+          summary,
+          summarizedCount: state.summarizedCount + older.length,
+          updatedAt: Date.now(),
+        };
+        await this.store.update(
+          "sessions",
+          { sessionId: session.sessionId },
+          { memory: state }
+        );
+        console.log(
+          `🧠 Folded ${older.length} older turns into conversation memory`
+        );
+        pending = keep;
+      } catch (error) {
+        // Without a summary, fall back to whatever recent turns fit
+        console.error("⚠️ Conversation memory update failed:", error.message);
+        pending = this._newestWithin(pending, this.tokenBudget);
+      }
+    }
+
+    return {
+      context: `Legal Category: ${describeCategory(session.category)}.`,
+      memory: {
+        history: mask(pending),
+        earlierSummary: redaction
+          ? redaction.redact(state.summary)
+          : state.summary,
+      },
+    };
+  }
+
+  _tokens(turns) {
+    return turns.reduce((total, t) => total + estimateTokens(t.text), 0);
+  }
+
+  _newestWithin(turns, budget) {
+    const kept = [];
+    let used = 0;
+    for (let i = turns.length - 1; i >= 0; i--) {
+      used += estimateTokens(turns[i].text);
+      if (used > budget && kept.length > 0) break;
+      kept.unshift(turns[i]);
+    }
+    return kept;
+  }
+}
+
+module.exports = ConversationMemory;
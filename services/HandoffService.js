@@ -0,0 +1,298 @@
+// services/HandoffService.js - Handing a live call over to a person
+//
+// A session asks for a human when it is flagged HIGH risk, or when the user
+// asks for a lawyer (in so many words or with the "Talk to a person"
+// button). PAO and partner paralegals see those sessions in the volunteer
+// console, claim one, and join the same Agora channel.
+//
+// session.handoff moves REQUESTED -> CLAIMED -> DONE. While the volunteer
+// who claimed it is in the call the AI stops replying and only keeps its
+// running analysis up to date as notes. "In the call" means they fetched
+// a voice token and their console checked in within PRESENCE_MS, so a
+// closed console hands the conversation back to the AI by itself.
+
+const { httpError } = require("./httpError");
+
+const PRESENCE_MS = 30 * 1000;
+
+// Said by the user; matched per message, English and Tagalog
+const HUMAN_REQUEST_PHRASES = [
+  "talk to a lawyer",
+  "speak to a lawyer",
+  "speak with a lawyer",
+  "need a lawyer",
+  "want a lawyer",
+  "real lawyer",
+  "real person",
+  "talk to a person",
+  "talk to a human",
+  "speak to a human",
+  "paralegal",
+  "kailangan ko ng abogado",
+  "gusto ko ng abogado",
+  "makausap ang abogado",
+  "makausap ng abogado",
+  "makausap ang isang abogado",
+  "totoong tao",
+  "totoong abogado",
+  "tao na makakausap",
+];
+
+const REASONS = ["high-risk", "asked"];
+// Times a change is retried when another request changed the session first
+const MAX_ATTEMPTS = 5;
+
+function sameHandoff(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+class HandoffService {
+  constructor({ store, presenceMs = PRESENCE_MS }) {
+    this.store = store;
+    this.presenceMs = presenceMs;
+  }
+
+  static wantsHuman(text) {
+    const lower = String(text || "").toLowerCase();
+    return HUMAN_REQUEST_PHRASES.some((phrase) => lower.includes(phrase));
+  }
+
+  // change(session) returns the next handoff, or session.handoff itself to
+  // leave it alone. It is written only if the stored session still has the
+  // status and handoff it was decided on; otherwise the session is read
+  // again and change runs on that, so a claim, touch or release never
+  // undoes one that landed in between. saved(before) runs once the change
+  // is written.
+  async _change(session, change, saved = null) {
+    let current = session;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const handoff = change(current);
+      if (handoff === current.handoff) {
+        session.handoff = handoff;
+        return handoff;
+      }
+      const updated = await this.store.update(
+        "sessions",
+        (stored) =>
+          stored.sessionId === current.sessionId &&
+          stored.status === current.status &&
+          sameHandoff(stored.handoff, current.handoff),
+        { handoff }
+      );
+      if (updated) {
+        session.handoff = handoff;
+        if (saved) saved(current);
+        return handoff;
+      }
+      current = await this.store.findOne("sessions", {
+        sessionId: session.sessionId,
+      });
+      if (!current) throw httpError(404, "Session not found");
+      session.status = current.status;
+      session.handoff = current.handoff;
+    }
+    throw httpError(409, "The session is busy, try again");
+  }
+
+  // Idempotent: a pending or claimed handoff only gains the reason
+  async request(session, reason, now = Date.now()) {
+    if (!REASONS.includes(reason)) throw httpError(400, "Unknown reason");
+    const isOpen = (handoff) => handoff && handoff.status !== "DONE";
+    return this._change(
+      session,
+      (current) => {
+        if (current.status !== "ACTIVE") {
+          throw httpError(409, "Session has ended");
+        }
+        const handoff = current.handoff;
+        if (isOpen(handoff)) {
+          if (handoff.reasons.includes(reason)) return handoff;
+          return { ...handoff, reasons: [...handoff.reasons, reason] };
+        }
+        return { status: "REQUESTED", reasons: [reason], requestedAt: now };
+      },
+      (before) => {
+        if (isOpen(before.handoff)) return;
+        console.log(
+          `🙋 Session ${session.sessionId} asks for a person (${reason})`
+        );
+      }
+    );
+  }
+
+  // Waiting sessions, highest risk and longest waiting first, plus the
+  // ones this volunteer already claimed
+  async queue(volunteer) {
+    const sessions = await this.store.query(
+      "sessions",
+      (session) =>
+        session.status === "ACTIVE" &&
+        session.handoff &&
+        (session.handoff.status === "REQUESTED" ||
+          (session.handoff.status === "CLAIMED" &&
+            session.handoff.volunteer.userId === volunteer.userId))
+    );
+    const rank = (session) =>
+      (session.handoff.status === "CLAIMED" ? 0 : 2) +
+      (session.handoff.reasons.includes("high-risk") ? 0 : 1);
+    return sessions
+      .sort(
+        (a, b) =>
+          rank(a) - rank(b) || a.handoff.requestedAt - b.handoff.requestedAt
+      )
+      .map((session) => ({
+        sessionId: session.sessionId,
+        category: session.category,
+        language: session.language || "en",
+        location: session.location || null,
+        risk: session.risk ? session.risk.severity : null,
+        startTime: session.startTime,
+        ...this._volunteerView(session.handoff),
+      }));
+  }
+
+  _volunteerView(handoff) {
+    return {
+      status: handoff.status,
+      reasons: handoff.reasons,
+      requestedAt: handoff.requestedAt,
+      claimedAt: handoff.claimedAt || null,
+    };
+  }
+
+  async claim(session, volunteer, now = Date.now()) {
+    return this._change(
+      session,
+      (current) => {
+        if (current.status !== "ACTIVE") {
+          throw httpError(409, "Session has ended");
+        }
+        const handoff = current.handoff;
+        if (!handoff || handoff.status === "DONE") {
+          throw httpError(409, "This session is not asking for a person");
+        }
+        if (handoff.status === "CLAIMED") {
+          if (handoff.volunteer.userId === volunteer.userId) return handoff;
+          throw httpError(409, "Another volunteer has claimed this session");
+        }
+        return {
+          ...handoff,
+          status: "CLAIMED",
+          volunteer: { userId: volunteer.userId, username: volunteer.username },
+          claimedAt: now,
+          seenAt: now,
+        };
+      },
+      () =>
+        console.log(
+          `🧑‍⚖️ ${volunteer.username} claimed session ${session.sessionId}`
+        )
+    );
+  }
+
+  // Only the volunteer holding the claim may act on it; to anyone else it
+  // looks like there is nothing there
+  assertClaimed(session, volunteer) {
+    const handoff = session.handoff;
+    if (
+      !handoff ||
+      handoff.status !== "CLAIMED" ||
+      handoff.volunteer.userId !== volunteer.userId
+    ) {
+      throw httpError(404, "Session not found");
+    }
+  }
+
+  // The console checking in; joined marks that they have the voice token
+  async touch(session, volunteer, { joined = false, now = Date.now() } = {}) {
+    return this._change(session, (current) => {
+      this.assertClaimed(current, volunteer);
+      return {
+        ...current.handoff,
+        seenAt: now,
+        ...(joined && !current.handoff.joinedAt && { joinedAt: now }),
+      };
+    });
+  }
+
+  async release(session, volunteer, now = Date.now()) {
+    return this._change(
+      session,
+      (current) => {
+        this.assertClaimed(current, volunteer);
+        return { ...current.handoff, status: "DONE", releasedAt: now };
+      },
+      () =>
+        console.log(
+          `👋 ${volunteer.username} left session ${session.sessionId}`
+        )
+    );
+  }
+
+  isHumanPresent(session, now = Date.now()) {
+    const handoff = session.handoff;
+    return (
+      !!handoff &&
+      handoff.status === "CLAIMED" &&
+      !!handoff.joinedAt &&
+      now - handoff.seenAt < this.presenceMs
+    );
+  }
+
+  // What the call page shows the user
+  forUser(session, now = Date.now()) {
+    const handoff = session.handoff;
+    if (!handoff) return null;
+    return {
+      status: handoff.status,
+      volunteer:
+        handoff.status === "CLAIMED" ? handoff.volunteer.username : null,
+      present: this.isHumanPresent(session, now),
+    };
+  }
+
+  // The claimed session as the console shows it: transcript lines after
+  // `since` and the latest running analysis
+  async liveView(session, { since = 0 } = {}) {
+    const [transcripts, analyses] = await Promise.all([
+      this.store.query(
+        "transcripts",
+        (t) => t.sessionId === session.sessionId && t.timestamp > since
+      ),
+      this.store.query("summaries", { sessionId: session.sessionId }),
+    ]);
+    const analysis = analyses.reduce(
+      (latest, item) =>
+        !latest || (item.createdAt || 0) > (latest.createdAt || 0)
+          ? item
+          : latest,
+      null
+    );
+    return {
+      session: {
+        sessionId: session.sessionId,
+        category: session.category,
+        status: session.status,
+        language: session.language || "en",
+        location: session.location || null,
+        risk: session.risk || null,
+        startTime: session.startTime,
+      },
+      handoff: this._volunteerView(session.handoff),
+      transcripts: transcripts
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(({ speaker, text, timestamp }) => ({ speaker, text, timestamp })),
+      analysis: analysis && {
+        situation: analysis.situation,
+        recommendedSteps: analysis.recommendedSteps || [],
+        nextAction: analysis.nextAction,
+        deadlines: analysis.deadlines || [],
+        createdAt: analysis.createdAt,
+      },
+    };
+  }
+}
+
+HandoffService.REASONS = REASONS;
+
+module.exports = HandoffService;
@@ -0,0 +1,233 @@
+// services/HistoryService.js - Listing and searching past consultations
+//
+// Sessions, transcripts and summaries live in separate collections, so each
+// listing loads them once and joins by sessionId. Search is a plain
+// case-insensitive match of every term against the transcript text and the
+// summary's situation; there are few enough sessions that a scan is fine.
+
+const { getCategory } = require("./categories");
+const { httpError } = require("./httpError");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_RADIUS = 60;
+
+// Accepts epoch milliseconds, "YYYY-MM-DD" or any Date-parseable string.
+// A bare date used as the upper bound covers the whole day.
+function parseDate(value, name, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const text = String(value).trim();
+  let time = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw httpError(
+      400,
+      `"${name}" must be a date (YYYY-MM-DD) or a timestamp`
+    );
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    time += 24 * 60 * 60 * 1000 - 1;
+  }
+  return time;
+}
+
+function parsePage(value, fallback, max) {
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) return fallback;
+  return Math.min(number, max);
+}
+
+function toTerms(q) {
+  return String(q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function snippet(text, term) {
+  const index = text.toLowerCase().indexOf(term);
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + term.length + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${
+    end < text.length ? "…" : ""
+  }`;
+}
+
+// Group records by sessionId, keeping transcripts in the order they were said
+function groupBySession(records) {
+  const groups = new Map();
+  for (const record of records) {
+    if (!groups.has(record.sessionId)) groups.set(record.sessionId, []);
+    groups.get(record.sessionId).push(record);
+  }
+  for (const group of groups.values()) {
+    group.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  }
+  return groups;
+}
+
+// The running analysis the call page asks for during a call is stored in
+// "summaries" too. Older ones predate the kind field but are the only
+// records with conversationTurns.
+function isInterimAnalysis(record) {
+  if (record.kind) return record.kind === "analysis";
+  return "conversationTurns" in record && !("totalTranscripts" in record);
+}
+
+// A session can be summarized more than once; the newest final summary
+// wins. Interim analyses never count as the summary.
+function latestBySession(summaries) {
+  const latest = new Map();
+  for (const summary of summaries) {
+    if (isInterimAnalysis(summary)) continue;
+    const current = latest.get(summary.sessionId);
+    if (!current || (summary.createdAt || 0) >= (current.createdAt || 0)) {
+      latest.set(summary.sessionId, summary);
+    }
+  }
+  return latest;
+}
+
+class HistoryService {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  parseFilters(query = {}) {
+    const filters = {
+      category: query.category ? String(query.category).toUpperCase() : null,
+      status: query.status ? String(query.status).toUpperCase() : null,
+      from: parseDate(query.from, "from"),
+      to: parseDate(query.to, "to", { endOfDay: true }),
+      terms: toTerms(query.q),
+      limit: parsePage(query.limit, DEFAULT_LIMIT, MAX_LIMIT) || DEFAULT_LIMIT,
+      offset: parsePage(query.offset, 0, Number.MAX_SAFE_INTEGER),
+    };
+    if (
+      filters.from !== null &&
+      filters.to !== null &&
+      filters.from > filters.to
+    ) {
+      throw httpError(400, '"from" must not be after "to"');
+    }
+    return filters;
+  }
+
+  // Only ever lists the sessions owned by userId
+  async list(query = {}, { userId } = {}) {
+    const filters = this.parseFilters(query);
+
+    const sessions = (await this.store.query("sessions", { userId })).filter(
+      (session) =>
+        (!filters.category || session.category === filters.category) &&
+        (!filters.status || session.status === filters.status) &&
+        (filters.from === null || session.startTime >= filters.from) &&
+        (filters.to === null || session.startTime <= filters.to)
+    );
+
+    // Only this user's sessions that passed the filters; nobody else's
+    // transcripts are read, let alone decrypted
+    const sessionIds = sessions.map((session) => session.sessionId);
+    const [transcripts, summaries] = await Promise.all([
+      this.store.query("transcripts", { sessionId: sessionIds }),
+      this.store.query("summaries", { sessionId: sessionIds }),
+    ]);
+    const transcriptsBySession = groupBySession(transcripts);
+    const summaryBySession = latestBySession(summaries);
+
+    const results = [];
+    for (const session of sessions) {
+      const sessionTranscripts =
+        transcriptsBySession.get(session.sessionId) || [];
+      const summary = summaryBySession.get(session.sessionId) || null;
+
+      let match = null;
+      if (filters.terms.length) {
+        match = this._match(filters.terms, sessionTranscripts, summary);
+        if (!match) continue;
+      }
+      results.push(this._toEntry(session, sessionTranscripts, summary, match));
+    }
+
+    results.sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+
+    return {
+      total: results.length,
+      limit: filters.limit,
+      offset: filters.offset,
+      sessions: results.slice(filters.offset, filters.offset + filters.limit),
+    };
+  }
+
+  // The summary shown for a session, or null while there is none
+  async finalSummary(sessionId) {
+    const summaries = await this.store.query("summaries", { sessionId });
+    return latestBySession(summaries).get(sessionId) || null;
+  }
+
+  async get(sessionId) {
+    const session = await this.store.findOne("sessions", { sessionId });
+    if (!session) return null;
+
+    const [transcripts, summaries] = await Promise.all([
+      this.store.query("transcripts", { sessionId }),
+      this.store.query("summaries", { sessionId }),
+    ]);
+    const sessionTranscripts = groupBySession(transcripts).get(sessionId) || [];
+    const summary = latestBySession(summaries).get(sessionId) || null;
+
+    return {
+      ...this._toEntry(session, sessionTranscripts, summary, null),
+      transcripts: sessionTranscripts,
+      summary,
+    };
+  }
+
+  // Every term has to appear somewhere in the transcript or the situation.
+  // Returns where the first term was found so the page can show why it matched.
+  _match(terms, transcripts, summary) {
+    const sources = transcripts
+      .filter((t) => typeof t.text === "string")
+      .map((t) => ({ source: "transcript", speaker: t.speaker, text: t.text }));
+    if (summary && typeof summary.situation === "string") {
+      sources.push({ source: "summary", text: summary.situation });
+    }
+
+    const haystack = sources.map((s) => s.text.toLowerCase()).join("\n");
+    if (!terms.every((term) => haystack.includes(term))) return null;
+
+    const hit = sources.find((s) => s.text.toLowerCase().includes(terms[0]));
+    return {
+      source: hit.source,
+      speaker: hit.speaker,
+      snippet: snippet(hit.text, terms[0]),
+    };
+  }
+
+  _toEntry(session, transcripts, summary, match) {
+    return {
+      sessionId: session.sessionId,
+      category: session.category,
+      categoryLabel: getCategory(session.category).label,
+      status: session.status,
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      durationMs: session.endTime ? session.endTime - session.startTime : null,
+      transcriptCount: transcripts.length,
+      hasSummary: !!summary,
+      situation: summary ? summary.situation : null,
+      nextAction: summary ? summary.nextAction : null,
+      linkedFrom: session.linkedFrom || null,
+      linkedTo: session.linkedTo || null,
+      risk: session.risk
+        ? { severity: session.risk.severity, followUp: session.risk.followUp }
+        : null,
+      summaryUrl: `/summary/${session.sessionId}`,
+      match,
+    };
+  }
+}
+
+HistoryService.isInterimAnalysis = isInterimAnalysis;
+
+module.exports = HistoryService;
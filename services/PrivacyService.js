@@ -0,0 +1,345 @@
+// services/PrivacyService.js - Retention, export and erasure (Data Privacy Act)
+//
+// Everything about a consultation is keyed by sessionId across several
+// collections plus the generated files in reports/ and the spoken replies
+// in the TTS cache. This is the one place that knows the full list, so
+// export and erasure can't drift apart. The cached audio is only ever
+// re-spoken transcript lines, so it is erased but not exported.
+//
+// A category switch copies the transcript into a new linked session, so a
+// session is always exported and erased together with its linked chain.
+
+const fs = require("fs").promises;
+const { v4: uuidv4 } = require("uuid");
+const { createTarGz } = require("./tarArchive");
+
+// Collections holding per-session records, besides "sessions" itself
+const SESSION_COLLECTIONS = [
+  "transcripts",
+  "summaries",
+  "reports",
+  "redactions",
+  "redactionAudit",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 365;
+const RETENTION_MODES = ["anonymize", "purge"];
+
+// The session fields kept after anonymization: enough for usage statistics,
+// nothing that points at a person
+const ANONYMIZED_FIELDS = [
+  "sessionId",
+  "category",
+  "status",
+  "startTime",
+  "endTime",
+];
+
+function toJSON(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+function readRetentionDays(value) {
+  if (value === undefined || value === "") return DEFAULT_RETENTION_DAYS;
+  const days = Number(value);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+class PrivacyService {
+  constructor({
+    store,
+    reportService,
+    ttsService = null,
+    retentionDays,
+    retentionMode,
+  }) {
+    this.store = store;
+    this.reportService = reportService;
+    this.ttsService = ttsService;
+    // 0 keeps everything forever
+    this.retentionDays = readRetentionDays(retentionDays);
+    this.retentionMode = RETENTION_MODES.includes(retentionMode)
+      ? retentionMode
+      : "anonymize";
+    this.retentionTimer = null;
+  }
+
+  // The session plus every session linked to it by category switches
+  async _linkedSessions(sessionId) {
+    const found = new Map();
+    const pending = [sessionId];
+    while (pending.length) {
+      const id = pending.pop();
+      if (!id || found.has(id)) continue;
+      const session = await this.store.findOne("sessions", { sessionId: id });
+      if (!session) continue;
+      found.set(id, session);
+      pending.push(session.linkedFrom, session.linkedTo);
+    }
+    return [...found.values()];
+  }
+
+  async _collectSession(session) {
+    const records = { session };
+    for (const collection of SESSION_COLLECTIONS) {
+      records[collection] = await this.store.query(collection, {
+        sessionId: session.sessionId,
+      });
+    }
+    return records;
+  }
+
+  async _reportFile(fileName) {
+    try {
+      return await fs.readFile(this.reportService.getFilePath(fileName));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async _sessionEntries(session, prefix) {
+    const records = await this._collectSession(session);
+    const entries = [
+      { name: `${prefix}session.json`, content: toJSON(records.session) },
+      ...SESSION_COLLECTIONS.map((collection) => ({
+        name: `${prefix}${collection}.json`,
+        content: toJSON(records[collection]),
+      })),
+    ];
+    for (const report of records.reports) {
+      const file = await this._reportFile(report.fileName);
+      if (file) {
+        entries.push({
+          name: `${prefix}reports/${report.fileName}`,
+          content: file,
+        });
+      }
+    }
+    return entries;
+  }
+
+  _readme(subject) {
+    return [
+      "JustiFi AI - data export",
+      `Exported: ${new Date().toISOString()}`,
+      `Subject: ${subject}`,
+      "",
+      "Each folder is one consultation. transcripts.json is what was said,",
+      "summaries.json the generated summaries, reports/ the documents you",
+      "generated, and redactions.json the personal details that were masked",
+      "before anything was sent to an AI provider.",
+      "",
+    ].join("\n");
+  }
+
+  async exportSession(sessionId) {
+    const sessions = await this._linkedSessions(sessionId);
+    if (!sessions.length) return null;
+
+    const entries = [
+      { name: "README.txt", content: this._readme(`session ${sessionId}`) },
+    ];
+    for (const session of sessions) {
+      entries.push(
+        ...(await this._sessionEntries(session, `${session.sessionId}/`))
+      );
+    }
+    return createTarGz(entries);
+  }
+
+  async exportUser(userId) {
+    const entries = [
+      { name: "README.txt", content: this._readme(`user ${userId}`) },
+    ];
+
+    const user = await this.store.findOne("users", { userId });
+    if (user) {
+      // Password and sign-in code hashes stay out of the export
+      const { passwordHash, loginCode, ...profile } = user;
+      entries.push({ name: "account.json", content: toJSON(profile) });
+    }
+
+    for (const session of await this.store.query("sessions", { userId })) {
+      entries.push(
+        ...(await this._sessionEntries(session, `${session.sessionId}/`))
+      );
+    }
+    return createTarGz(entries);
+  }
+
+  async _deleteReportFiles(reports) {
+    let deleted = 0;
+    for (const report of reports) {
+      try {
+        await fs.unlink(this.reportService.getFilePath(report.fileName));
+        deleted++;
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+    return deleted;
+  }
+
+  async _deleteSpokenReplies(sessionId) {
+    return this.ttsService ? this.ttsService.purgeSessions([sessionId]) : 0;
+  }
+
+  // Remove one session's records everywhere; returns per-collection counts
+  async _eraseSessionRecords(sessionId, counts) {
+    const reports = await this.store.query("reports", { sessionId });
+    counts.reportFiles =
+      (counts.reportFiles || 0) + (await this._deleteReportFiles(reports));
+    counts.ttsCache =
+      (counts.ttsCache || 0) + (await this._deleteSpokenReplies(sessionId));
+
+    for (const collection of ["sessions", ...SESSION_COLLECTIONS]) {
+      const removed = await this.store.remove(collection, { sessionId });
+      counts[collection] = (counts[collection] || 0) + removed;
+    }
+  }
+
+  // The audit record proves the erasure happened without keeping any of
+  // what was erased
+  async _recordErasure({
+    scope,
+    subjectId,
+    sessionIds,
+    counts,
+    actor,
+    reason,
+  }) {
+    const record = {
+      erasureId: uuidv4(),
+      scope,
+      subjectId,
+      sessionIds,
+      counts,
+      actor,
+      reason: reason || null,
+      createdAt: Date.now(),
+    };
+    await this.store.append("erasureAudit", record);
+    console.log(
+      `🗑️ Erased ${scope} ${subjectId} (${sessionIds.length} session(s)) by ${actor}`
+    );
+    return record;
+  }
+
+  async eraseSession(sessionId, { actor = "user", reason } = {}) {
+    const sessions = await this._linkedSessions(sessionId);
+    if (!sessions.length) return null;
+
+    const counts = {};
+    for (const session of sessions) {
+      await this._eraseSessionRecords(session.sessionId, counts);
+    }
+    return this._recordErasure({
+      scope: "session",
+      subjectId: sessionId,
+      sessionIds: sessions.map((s) => s.sessionId),
+      counts,
+      actor,
+      reason,
+    });
+  }
+
+  async eraseUser(userId, { actor = "user", reason } = {}) {
+    const sessions = await this.store.query("sessions", { userId });
+    const counts = {};
+    for (const session of sessions) {
+      await this._eraseSessionRecords(session.sessionId, counts);
+    }
+    counts.users = await this.store.remove("users", { userId });
+
+    return this._recordErasure({
+      scope: "user",
+      subjectId: userId,
+      sessionIds: sessions.map((s) => s.sessionId),
+      counts,
+      actor,
+      reason,
+    });
+  }
+
+  // Strip a session down to non-identifying fields and drop everything
+  // said or generated in it
+  async _anonymizeSession(session) {
+    const counts = {};
+    const reports = await this.store.query("reports", {
+      sessionId: session.sessionId,
+    });
+    counts.reportFiles = await this._deleteReportFiles(reports);
+    counts.ttsCache = await this._deleteSpokenReplies(session.sessionId);
+    for (const collection of SESSION_COLLECTIONS) {
+      if (collection === "redactionAudit") continue; // holds no values
+      counts[collection] = await this.store.remove(collection, {
+        sessionId: session.sessionId,
+      });
+    }
+
+    const anonymized = { anonymizedAt: Date.now() };
+    for (const field of ANONYMIZED_FIELDS) anonymized[field] = session[field];
+    await this.store.remove("sessions", { sessionId: session.sessionId });
+    await this.store.append("sessions", anonymized);
+    return counts;
+  }
+
+  async applyRetention(now = Date.now()) {
+    if (!this.retentionDays) return { expired: 0 };
+
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const expired = await this.store.query(
+      "sessions",
+      (session) =>
+        !session.anonymizedAt &&
+        (session.endTime || session.startTime || 0) < cutoff
+    );
+    if (!expired.length) return { expired: 0 };
+
+    const counts = {};
+    for (const session of expired) {
+      if (this.retentionMode === "purge") {
+        await this._eraseSessionRecords(session.sessionId, counts);
+      } else {
+        const removed = await this._anonymizeSession(session);
+        for (const [key, value] of Object.entries(removed)) {
+          counts[key] = (counts[key] || 0) + value;
+        }
+      }
+    }
+
+    await this._recordErasure({
+      scope: `retention-${this.retentionMode}`,
+      subjectId: `older-than-${this.retentionDays}-days`,
+      sessionIds: expired.map((s) => s.sessionId),
+      counts,
+      actor: "retention",
+    });
+    return { expired: expired.length, mode: this.retentionMode, counts };
+  }
+
+  startRetentionSchedule(intervalMs) {
+    if (!this.retentionDays) {
+      console.log("🗓️ Data retention disabled (RETENTION_DAYS=0)");
+      return;
+    }
+    const run = () =>
+      this.applyRetention().catch((error) =>
+        console.error("❌ Retention sweep failed:", error)
+      );
+    run();
+    this.retentionTimer = setInterval(run, intervalMs);
+    this.retentionTimer.unref();
+    console.log(
+      `🗓️ Sessions older than ${this.retentionDays} days are ${
+        this.retentionMode === "purge" ? "deleted" : "anonymized"
+      }`
+    );
+  }
+}
+
+PrivacyService.SESSION_COLLECTIONS = SESSION_COLLECTIONS;
+
+module.exports = PrivacyService;
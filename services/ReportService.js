@@ -0,0 +1,101 @@
+// services/ReportService.js - Downloadable consultation reports
+
+const fs = require("fs").promises;
+const path = require("path");
+const ejs = require("ejs");
+const { v4: uuidv4 } = require("uuid");
+const {
+  resolveTemplate,
+  listTemplatesForCategory,
+  findMissingFields,
+} = require("./reportTemplates");
+const { toContactList } = require("./contacts");
+const { httpError } = require("./httpError");
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "views", "reports");
+
+class ReportService {
+  constructor(reportsDir) {
+    this.reportsDir = reportsDir;
+  }
+
+  // Merge the stored summary with whatever the client sent. The stored
+  // summary wins for the legal content so the report matches the summary page.
+  buildReportData(session, summary, templateData = {}) {
+    const source = summary || {};
+
+    return {
+      ...templateData,
+      category: session.category || templateData.category || "GENERAL",
+      sessionId: session.sessionId,
+      details: source.situation || templateData.details || "",
+      relevantLaws: source.relevantLaws || templateData.relevantLaws || [],
+      recommendedSteps:
+        source.recommendedSteps || templateData.recommendedSteps || [],
+      watchOutFor: source.watchOutFor || templateData.watchOutFor || [],
+      contacts: toContactList(source.contacts || templateData.contacts),
+      nextAction: source.nextAction || templateData.nextAction || "",
+      generatedAt: new Date().toLocaleString("en-PH"),
+    };
+  }
+
+  listTemplates(category) {
+    return listTemplatesForCategory(category);
+  }
+
+  async generate({ session, summary, reportType, templateData }) {
+    const template = resolveTemplate(reportType, session.category);
+    if (!template) {
+      throw httpError(
+        400,
+        !reportType || typeof reportType === "string"
+          ? `Report type "${reportType}" is not available for ${session.category} sessions`
+          : "reportType must be a string"
+      );
+    }
+
+    const data = this.buildReportData(session, summary, templateData);
+
+    const missingFields = findMissingFields(template, data);
+    if (missingFields.length > 0) {
+      const error = httpError(
+        400,
+        `${template.title} is missing required fields: ${missingFields.join(
+          ", "
+        )}`
+      );
+      error.missingFields = missingFields;
+      throw error;
+    }
+
+    const html = await ejs.renderFile(path.join(TEMPLATES_DIR, template.view), {
+      report: data,
+      reportType: template.type,
+      title: template.title,
+    });
+
+    const reportId = uuidv4();
+    const type = template.type;
+    const fileName = `${type
+      .toLowerCase()
+      .replace(/_/g, "-")}-${reportId}.html`;
+
+    await fs.mkdir(this.reportsDir, { recursive: true });
+    await fs.writeFile(path.join(this.reportsDir, fileName), html);
+
+    return {
+      reportId,
+      sessionId: session.sessionId,
+      reportType: type,
+      fileName,
+      fileUrl: `/reports/${fileName}`,
+      createdAt: Date.now(),
+    };
+  }
+
+  getFilePath(fileName) {
+    return path.join(this.reportsDir, path.basename(fileName));
+  }
+}
+
+module.exports = new ReportService(path.join(__dirname, "..", "reports"));
@@ -0,0 +1,142 @@
+// services/SessionLifecycle.js - Heartbeats, idle timeout and abandoned calls
+//
+// Closing the tab never reaches /api/session/end, so a session can stay
+// ACTIVE forever. The call page sends a heartbeat while it is open, and a
+// background sweep ends sessions nobody is on anymore:
+//   ABANDONED - no heartbeat (or transcript) within the idle window
+//   TIMED_OUT - still open past the longest a consultation may run
+// endTime is the last sign of life, not the time of the sweep, so history
+// shows how long the call actually lasted.
+//
+// Sessions from before heartbeats existed have no lastSeenAt; their last
+// transcript (or startTime) stands in for it.
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_IDLE_MINUTES = 30;
+const DEFAULT_MAX_HOURS = 6;
+
+function readNumber(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+class SessionLifecycle {
+  // onEnded(session) runs after a sweep ends a session, e.g. to write its
+  // summary; a failure there is logged and does not stop the sweep
+  constructor({ store, idleMinutes, maxHours, onEnded = null }) {
+    this.store = store;
+    this.idleMs =
+      (readNumber(idleMinutes, DEFAULT_IDLE_MINUTES) || DEFAULT_IDLE_MINUTES) *
+      MINUTE_MS;
+    // 0 lets a consultation run as long as heartbeats keep coming
+    this.maxMs = readNumber(maxHours, DEFAULT_MAX_HOURS) * 60 * MINUTE_MS;
+    this.onEnded = onEnded;
+    this.sweepTimer = null;
+    this.sweeping = false;
+  }
+
+  // How often the call page should check in: well inside the idle window
+  get heartbeatMs() {
+    return Math.min(MINUTE_MS, Math.floor(this.idleMs / 3));
+  }
+
+  // False once the session has ended, so the page can stop the call
+  async heartbeat(sessionId, now = Date.now()) {
+    const updated = await this.store.update(
+      "sessions",
+      { sessionId, status: "ACTIVE" },
+      { lastSeenAt: now }
+    );
+    return !!updated;
+  }
+
+  async _lastActivity(session) {
+    const transcripts = await this.store.query("transcripts", {
+      sessionId: session.sessionId,
+    });
+    return transcripts.reduce(
+      (latest, t) => Math.max(latest, t.timestamp || 0),
+      session.lastSeenAt || session.startTime || 0
+    );
+  }
+
+  // The status a sweep at `now` gives the session, or null to leave it.
+  // Idle comes first: a call nobody is on was abandoned, however old.
+  _expiry(session, lastActivity, now) {
+    if (now - lastActivity > this.idleMs) return "ABANDONED";
+    if (this.maxMs && now - (session.startTime || 0) > this.maxMs) {
+      return "TIMED_OUT";
+    }
+    return null;
+  }
+
+  async sweep(now = Date.now()) {
+    // A slow follow-up (summaries) must not let the next tick start over
+    if (this.sweeping) return { abandoned: 0, timedOut: 0 };
+    this.sweeping = true;
+    try {
+      return await this._sweep(now);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  async _sweep(now) {
+    const active = await this.store.query("sessions", { status: "ACTIVE" });
+    const ended = [];
+    for (const session of active) {
+      const lastActivity = await this._lastActivity(session);
+      const status = this._expiry(session, lastActivity, now);
+      if (!status) continue;
+
+      const endTime =
+        status === "TIMED_OUT"
+          ? Math.min(now, (session.startTime || 0) + this.maxMs)
+          : lastActivity;
+      // Still ACTIVE: the user may have ended the call meanwhile
+      const updated = await this.store.update(
+        "sessions",
+        { sessionId: session.sessionId, status: "ACTIVE" },
+        { status, endTime }
+      );
+      if (updated) ended.push(updated);
+    }
+
+    for (const session of ended) {
+      console.log(`⏰ Session ${session.sessionId} marked ${session.status}`);
+      if (!this.onEnded) continue;
+      try {
+        await this.onEnded(session);
+      } catch (error) {
+        console.error(
+          `❌ Follow-up for ${session.status} session ${session.sessionId} failed:`,
+          error.message
+        );
+      }
+    }
+    return {
+      abandoned: ended.filter((s) => s.status === "ABANDONED").length,
+      timedOut: ended.filter((s) => s.status === "TIMED_OUT").length,
+    };
+  }
+
+  startSweepSchedule(intervalMs) {
+    const run = () =>
+      this.sweep().catch((error) =>
+        console.error("❌ Session sweep failed:", error)
+      );
+    run();
+    this.sweepTimer = setInterval(run, intervalMs);
+    this.sweepTimer.unref();
+    console.log(
+      `⏰ Idle sessions end after ${this.idleMs / MINUTE_MS} minutes${
+        this.maxMs
+          ? `, any session after ${this.maxMs / 60 / MINUTE_MS} hours`
+          : ""
+      }`
+    );
+  }
+}
+
+module.exports = SessionLifecycle;
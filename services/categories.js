@@ -0,0 +1,149 @@
+// services/categories.js - The consultation categories, shared by the
+// dashboard, the AI prompts and the topic classifier
+//
+// Keywords cover English, Tagalog and common Taglish. Keywords of five or
+// more letters also match longer words that start with them ("renta" matches
+// "rentahan"); shorter ones must match a whole word so "amo" doesn't fire on
+// "among". Weight 2 marks words that on their own point at the category.
+
+const CATEGORIES = {
+  TENANT: {
+    label: "Tenant / Renter Issues",
+    icon: "🏠",
+    description:
+      "landlord-tenant disputes: rent, deposits, leases, repairs, utilities and eviction",
+    keywords: [
+      ["landlord", 2],
+      ["landlady", 2],
+      ["tenant", 2],
+      ["upa", 2],
+      ["upahan", 2],
+      ["umuupa", 2],
+      ["nangungupahan", 2],
+      ["paupahan", 2],
+      ["evict", 2],
+      ["pinapaalis", 2],
+      ["pinalayas", 2],
+      ["palayasin", 2],
+      ["rent", 1],
+      ["rental", 1],
+      ["renta", 1],
+      ["apartment", 1],
+      ["boarding house", 1],
+      ["bedspace", 1],
+      ["lease", 1],
+      ["deposit", 1],
+      ["advance", 1],
+      ["paalis", 1],
+      ["may-ari ng bahay", 1],
+      ["pinutulan ng kuryente", 1],
+      ["pinutulan ng tubig", 1],
+    ],
+  },
+  WORKPLACE: {
+    label: "Workplace / Labor Issues",
+    icon: "💼",
+    description:
+      "employment problems: unpaid wages, benefits, illegal dismissal, contracts and workplace abuse",
+    keywords: [
+      ["employer", 2],
+      ["amo", 2],
+      ["sweldo", 2],
+      ["sahod", 2],
+      ["salary", 2],
+      ["tinanggal sa trabaho", 2],
+      ["sinisante", 2],
+      ["terminated", 2],
+      ["separation pay", 2],
+      ["13th month", 2],
+      ["final pay", 2],
+      ["backpay", 2],
+      ["minimum wage", 2],
+      ["trabaho", 1],
+      ["work", 1],
+      ["worker", 1],
+      ["boss", 1],
+      ["company", 1],
+      ["kumpanya", 1],
+      ["overtime", 1],
+      ["fired", 1],
+      ["resign", 1],
+      ["endo", 1],
+      ["contractual", 1],
+      ["payslip", 1],
+      ["holiday pay", 1],
+      ["sss", 1],
+      ["philhealth", 1],
+      ["pag-ibig", 1],
+    ],
+  },
+  BARANGAY: {
+    label: "Barangay / Community Issues",
+    icon: "🏘️",
+    description:
+      "community disputes for barangay conciliation: neighbors, noise, small debts, boundaries and threats",
+    keywords: [
+      ["kapitbahay", 2],
+      ["neighbor", 2],
+      ["barangay", 2],
+      ["tanod", 2],
+      ["kapitan", 2],
+      ["lupon", 2],
+      ["ingay", 1],
+      ["noise", 1],
+      ["away", 1],
+      ["gulo", 1],
+      ["tsismis", 1],
+      ["chismis", 1],
+      ["paninirang puri", 1],
+      ["bakod", 1],
+      ["boundary", 1],
+      ["aso", 1],
+      ["utang", 1],
+      ["nagpautang", 1],
+    ],
+  },
+  GENERAL: {
+    label: "General Legal Concern",
+    icon: "⚖️",
+    description: "any other legal question under Philippine law",
+    keywords: [],
+  },
+};
+
+const DEFAULT_CATEGORY = "GENERAL";
+
+function normalizeCategory(category) {
+  const key = String(category || "").toUpperCase();
+  return CATEGORIES[key] ? key : DEFAULT_CATEGORY;
+}
+
+function getCategory(category) {
+  return CATEGORIES[normalizeCategory(category)];
+}
+
+function listCategories() {
+  return Object.entries(CATEGORIES).map(([value, category]) => ({
+    value,
+    label: category.label,
+    icon: category.icon,
+    description: category.description,
+  }));
+}
+
+// One-line description for prompts, e.g.
+// "TENANT (Tenant / Renter Issues: landlord-tenant disputes: ...)"
+function describeCategory(category) {
+  const key = normalizeCategory(category);
+  const { label, description } = CATEGORIES[key];
+  return `${key} (${label}: ${description})`;
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_CATEGORY,
+  normalizeCategory,
+  getCategory,
+  listCategories,
+  describeCategory,
+};
@@ -0,0 +1,298 @@
+// services/contacts/index.js - Directory of agencies and hotlines
+//
+// directory.json ships the defaults. Admin changes live in the "contacts"
+// collection: a record with a bundled id overrides that entry, any other id
+// adds one. Summaries and the call page pick from the merged list by
+// category and the user's location, so the model never invents numbers.
+//
+// Entries marked "local" stand for the nearest office of their kind (the
+// barangay hall, the DOLE field office) and take the user's city or region
+// as their area. An entry tied to a region, province or city only shows to
+// users there, and the most specific entry per agency wins.
+
+const { v4: uuidv4 } = require("uuid");
+const directory = require("./directory.json");
+const { CATEGORIES, normalizeCategory } = require("../categories");
+const { httpError } = require("../httpError");
+
+const REGIONS = directory.regions;
+const REGION_NAMES = new Map(REGIONS.map((r) => [r.code, r.name]));
+const DEFAULT_LIMIT = 6;
+
+const TEXT_LIMITS = {
+  agency: 40,
+  name: 120,
+  purpose: 200,
+  phone: 60,
+  hours: 80,
+  website: 200,
+  province: 80,
+  city: 80,
+};
+
+function cleanText(value, field) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/\s+/g, " ");
+  if (text.length > TEXT_LIMITS[field]) {
+    throw httpError(
+      400,
+      `"${field}" must be at most ${TEXT_LIMITS[field]} characters`
+    );
+  }
+  return text || null;
+}
+
+function sameText(a, b) {
+  return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+}
+
+// { region, province, city } from a form or a stored session; the region
+// must be one of the codes in directory.json
+function normalizeLocation(location) {
+  const value = location && typeof location === "object" ? location : {};
+  const region = String(value.region || "").toUpperCase();
+  return {
+    region: REGION_NAMES.has(region) ? region : null,
+    province: cleanText(value.province, "province"),
+    city: cleanText(value.city, "city"),
+  };
+}
+
+// Validates admin input. Unknown fields are ignored; omitted ones keep the
+// value from base.
+function cleanContact(input, base = {}) {
+  const changes = input && typeof input === "object" ? input : {};
+  const contact = { ...base };
+
+  for (const field of Object.keys(TEXT_LIMITS)) {
+    if (field in changes) contact[field] = cleanText(changes[field], field);
+  }
+  if (contact.agency) contact.agency = contact.agency.toUpperCase();
+  if (contact.phone && !/\d/.test(contact.phone)) {
+    throw httpError(400, '"phone" must contain a number');
+  }
+  if (contact.website && !/^https?:\/\//i.test(contact.website)) {
+    throw httpError(400, '"website" must start with http:// or https://');
+  }
+
+  if ("categories" in changes) {
+    const categories = []
+      .concat(changes.categories || [])
+      .map((c) => String(c).trim().toUpperCase());
+    const unknown = categories.filter((c) => c !== "ALL" && !CATEGORIES[c]);
+    if (!categories.length || unknown.length) {
+      throw httpError(
+        400,
+        `"categories" must list ALL or any of ${Object.keys(CATEGORIES).join(
+          ", "
+        )}`
+      );
+    }
+    contact.categories = [...new Set(categories)];
+  }
+
+  if ("region" in changes) {
+    const region = changes.region ? String(changes.region).toUpperCase() : null;
+    if (region && !REGION_NAMES.has(region)) {
+      throw httpError(400, `Unknown region "${changes.region}"`);
+    }
+    contact.region = region;
+  }
+
+  if ("priority" in changes) {
+    const priority = Number(changes.priority);
+    if (!Number.isInteger(priority) || priority < 0 || priority > 99) {
+      throw httpError(400, '"priority" must be a whole number from 0 to 99');
+    }
+    contact.priority = priority;
+  }
+
+  for (const field of ["local", "emergency", "active"]) {
+    if (field in changes) contact[field] = Boolean(changes[field]);
+  }
+
+  if (!contact.agency || !contact.name) {
+    throw httpError(400, '"agency" and "name" are required');
+  }
+  if (!contact.phone && !contact.local) {
+    throw httpError(
+      400,
+      'A contact needs a "phone" unless it is a local office'
+    );
+  }
+  if (!contact.categories || !contact.categories.length) {
+    throw httpError(400, '"categories" is required');
+  }
+  return contact;
+}
+
+// How closely an entry's area matches the user's: -1 means it doesn't apply
+function specificity(contact, location) {
+  if (!contact.region) return 0;
+  if (contact.region !== location.region) return -1;
+  if (contact.province && !sameText(contact.province, location.province)) {
+    return -1;
+  }
+  if (contact.city && !sameText(contact.city, location.city)) return -1;
+  if (contact.city) return 3;
+  return contact.province ? 2 : 1;
+}
+
+// The shape views and summaries use
+function resolveContact(contact, location) {
+  const area =
+    contact.city ||
+    contact.province ||
+    REGION_NAMES.get(contact.region) ||
+    (contact.local
+      ? location.city || REGION_NAMES.get(location.region) || null
+      : "Nationwide");
+
+  return {
+    id: contact.id,
+    agency: contact.agency,
+    name: contact.name,
+    purpose: contact.purpose || null,
+    phone: contact.phone || null,
+    hours: contact.hours || null,
+    website: contact.website || null,
+    emergency: !!contact.emergency,
+    local: !!contact.local,
+    area,
+  };
+}
+
+// Summaries saved before the directory stored contacts as { name: detail }
+function toContactList(contacts) {
+  if (Array.isArray(contacts)) {
+    return contacts.filter((contact) => contact && contact.name);
+  }
+  if (!contacts || typeof contacts !== "object") return [];
+  return Object.entries(contacts).map(([key, detail]) => ({
+    id: key,
+    agency: key.toUpperCase(),
+    name: key.replace(/_/g, " ").toUpperCase(),
+    purpose: String(detail),
+    phone: null,
+    hours: null,
+    website: null,
+    emergency: false,
+    local: false,
+    area: null,
+  }));
+}
+
+class ContactDirectory {
+  constructor({ store }) {
+    this.store = store;
+    this.cache = null;
+  }
+
+  // Every entry, bundled and admin-made, with where it came from
+  async list() {
+    if (this.cache) return this.cache;
+
+    const changes = new Map(
+      (await this.store.read("contacts")).map((record) => [record.id, record])
+    );
+    const merged = directory.contacts.map((contact) => {
+      const change = changes.get(contact.id);
+      changes.delete(contact.id);
+      return change
+        ? { active: true, ...contact, ...change, source: "edited" }
+        : { active: true, ...contact, source: "default" };
+    });
+    for (const record of changes.values()) {
+      merged.push({ active: true, ...record, source: "added" });
+    }
+
+    this.cache = merged;
+    return merged;
+  }
+
+  // Contacts for a consultation: the category's agencies, the most local
+  // entry of each, emergency lines first, then by priority
+  async select(category, location, { limit = DEFAULT_LIMIT } = {}) {
+    const key = normalizeCategory(category);
+    const place = normalizeLocation(location);
+    const best = new Map();
+
+    for (const contact of await this.list()) {
+      if (!contact.active) continue;
+      if (
+        !contact.categories.includes("ALL") &&
+        !contact.categories.includes(key)
+      ) {
+        continue;
+      }
+      const score = specificity(contact, place);
+      if (score < 0) continue;
+      const current = best.get(contact.agency);
+      if (!current || score > current.score) {
+        best.set(contact.agency, { contact, score });
+      }
+    }
+
+    return [...best.values()]
+      .map(({ contact }) => contact)
+      .sort(
+        (a, b) =>
+          Number(!!b.emergency) - Number(!!a.emergency) ||
+          (a.priority ?? 50) - (b.priority ?? 50)
+      )
+      .slice(0, limit)
+      .map((contact) => resolveContact(contact, place));
+  }
+
+  async update(id, changes, { actor } = {}) {
+    const current = (await this.list()).find((contact) => contact.id === id);
+    if (!current) throw httpError(404, "Contact not found");
+
+    const { source, ...base } = current;
+    const record = {
+      ...cleanContact(changes, base),
+      id,
+      updatedAt: Date.now(),
+      updatedBy: actor || null,
+    };
+    await this._put(record);
+    return { ...record, source: source === "added" ? "added" : "edited" };
+  }
+
+  async create(fields, { actor } = {}) {
+    const record = {
+      active: true,
+      ...cleanContact(fields),
+      id: `custom-${uuidv4()}`,
+      updatedAt: Date.now(),
+      updatedBy: actor || null,
+    };
+    await this._put(record);
+    return { ...record, source: "added" };
+  }
+
+  // Drops the admin change: a bundled entry goes back to its default, an
+  // added one is deleted. Returns false if there was nothing to drop.
+  async reset(id) {
+    const removed = await this.store.remove("contacts", { id });
+    this.cache = null;
+    return removed > 0;
+  }
+
+  async _put(record) {
+    const existing = await this.store.findOne("contacts", { id: record.id });
+    if (existing) {
+      await this.store.update("contacts", { id: record.id }, record);
+    } else {
+      await this.store.append("contacts", record);
+    }
+    this.cache = null;
+  }
+}
+
+module.exports = {
+  ContactDirectory,
+  REGIONS,
+  normalizeLocation,
+  toContactList,
+};
@@ -0,0 +1,265 @@
+// services/deadlines/dates.js - Finding dates in what the user said, and counting
+//
+// Dates are plain "YYYY-MM-DD" strings on the Philippine calendar, so a
+// deadline never moves with the server's time zone. Relative phrases
+// ("kahapon", "two weeks ago") count back from when the user said them,
+// and a date without a year is the most recent one on or before that day.
+
+const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names for each month, January first
+const MONTHS = Object.fromEntries(
+  [
+    ["january", "jan", "enero"],
+    ["february", "feb", "pebrero"],
+    ["march", "mar", "marso"],
+    ["april", "apr", "abril"],
+    ["may", "mayo"],
+    ["june", "jun", "hunyo"],
+    ["july", "jul", "hulyo"],
+    ["august", "aug", "agosto"],
+    ["september", "sept", "sep", "setyembre", "septiyembre"],
+    ["october", "oct", "oktubre"],
+    ["november", "nov", "nobyembre"],
+    ["december", "dec", "disyembre"],
+  ].flatMap((names, index) => names.map((name) => [name, index + 1]))
+);
+
+// Words for one to twelve, as counted in "two weeks ago"
+const NUMBER_WORDS = Object.fromEntries(
+  [
+    ["a", "an", "one", "isa", "isang"],
+    ["two", "dalawa", "dalawang"],
+    ["three", "tatlo", "tatlong"],
+    ["four", "apat"],
+    ["five", "lima", "limang"],
+    ["six", "anim"],
+    ["seven", "pito", "pitong"],
+    ["eight", "walo", "walong"],
+    ["nine", "siyam"],
+    ["ten", "sampu", "sampung"],
+    ["eleven"],
+    ["twelve"],
+  ].flatMap((names, index) => names.map((name) => [name, index + 1]))
+);
+
+const UNIT_DAYS = { day: 1, araw: 1, week: 7, linggo: 7 };
+
+const MONTH_NAMES = Object.keys(MONTHS)
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+const NUMBERS = `\\d{1,2}|${Object.keys(NUMBER_WORDS).join("|")}`;
+
+const PATTERNS = [
+  // 2026-03-05
+  {
+    regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g,
+    parse: (m) => ({ year: +m[1], month: +m[2], day: +m[3] }),
+  },
+  // 03/05/2026, month first as written in the Philippines
+  {
+    regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g,
+    parse: (m) => ({
+      year: m[3].length === 2 ? 2000 + +m[3] : +m[3],
+      month: +m[1],
+      day: +m[2],
+    }),
+  },
+  // March 5, 2026 / Marso 5 / Mar. 5th
+  {
+    regex: new RegExp(
+      `\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`,
+      "gi"
+    ),
+    parse: (m) => ({ monthName: m[1], day: +m[2], year: m[3] && +m[3] }),
+  },
+  // 5 March 2026 / ika-5 ng Marso / 5th of March
+  {
+    regex: new RegExp(
+      `\\b(?:ika-?\\s*)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:ng\\s+|of\\s+)?(${MONTH_NAMES})\\b\\.?(?:,?\\s+(\\d{4})\\b)?`,
+      "gi"
+    ),
+    parse: (m) => ({ monthName: m[2], day: +m[1], year: m[3] && +m[3] }),
+  },
+  // March 2026: the first of the month, so a deadline errs early
+  {
+    regex: new RegExp(`\\b(${MONTH_NAMES})\\s+(\\d{4})\\b`, "gi"),
+    parse: (m) => ({
+      monthName: m[1],
+      day: 1,
+      year: +m[2],
+      approximate: true,
+    }),
+  },
+];
+
+const RELATIVE_PATTERNS = [
+  { regex: /\b(?:today|kanina|ngayong araw)\b/gi, days: 0 },
+  { regex: /\b(?:yesterday|kahapon|gahapon)\b/gi, days: -1 },
+  {
+    regex: /\b(?:last week|noong isang linggo|nakaraang linggo)\b/gi,
+    days: -7,
+    approximate: true,
+  },
+  {
+    regex: /\b(?:last month|noong isang buwan|nakaraang buwan)\b/gi,
+    months: -1,
+    approximate: true,
+  },
+  // "3 days ago", "dalawang linggo na ang nakalipas", "isang buwan na ang nakaraan"
+  {
+    regex: new RegExp(
+      `\\b(${NUMBERS})(?:\\s+na)?\\s+(days?|araw|weeks?|linggo|months?|buwan)\\s+(?:na\\s+)?(?:ang\\s+)?(?:ago|nakalipas|nakaraan)\\b`,
+      "gi"
+    ),
+    parse: (m) => {
+      const count = /^\d+$/.test(m[1])
+        ? +m[1]
+        : NUMBER_WORDS[m[1].toLowerCase()];
+      const unit = m[2].toLowerCase().replace(/s$/, "");
+      if (unit === "month" || unit === "buwan") {
+        return { months: -count, approximate: true };
+      }
+      return { days: -count * UNIT_DAYS[unit], approximate: unit !== "day" };
+    },
+  },
+];
+
+function pad(number) {
+  return String(number).padStart(2, "0");
+}
+
+function format(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function toUTC(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function fromUTC(value) {
+  return format(
+    value.getUTCFullYear(),
+    value.getUTCMonth() + 1,
+    value.getUTCDate()
+  );
+}
+
+// The Philippine calendar date of a timestamp
+function manilaDate(timestamp = Date.now()) {
+  return fromUTC(new Date(timestamp + MANILA_OFFSET_MS));
+}
+
+function isValid(year, month, day) {
+  if (!year || month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function addDays(date, days) {
+  return fromUTC(new Date(toUTC(date).getTime() + days * DAY_MS));
+}
+
+// Calendar months, keeping the day where the month allows (Jan 31 -> Feb 28)
+function addCalendarMonths(date, months) {
+  const [year, month, day] = date.split("-").map(Number);
+  const index = year * 12 + (month - 1) + months;
+  const targetYear = Math.floor(index / 12);
+  const targetMonth = (index % 12) + 1;
+  const lastDay = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
+  return format(targetYear, targetMonth, Math.min(day, lastDay));
+}
+
+// Legal periods: a month is 30 days, a year twelve calendar months
+// (Administrative Code of 1987, Book I, Sec. 31)
+function addPeriod(date, { days = 0, months = 0, years = 0 }) {
+  const result = years ? addCalendarMonths(date, years * 12) : date;
+  return addDays(result, days + months * 30);
+}
+
+function daysBetween(from, to) {
+  return Math.round((toUTC(to) - toUTC(from)) / DAY_MS);
+}
+
+function weekday(date) {
+  return toUTC(date).getUTCDay();
+}
+
+// Every date mentioned in text, in order, as { date, approximate, relative }.
+// Dates after the reference day are left out: they are plans, not events
+// that start a period.
+function findDates(text, referenceDate) {
+  const found = [];
+  const [refYear] = referenceDate.split("-").map(Number);
+
+  for (const { regex, parse } of PATTERNS) {
+    for (const match of String(text).matchAll(regex)) {
+      const parts = parse(match);
+      // "may" is also Tagalog for "there is"; only "May" counts as a month
+      if (/^may$/i.test(parts.monthName) && parts.monthName !== "May") {
+        continue;
+      }
+      const month = parts.month || MONTHS[parts.monthName.toLowerCase()];
+      let year = parts.year || refYear;
+      if (!isValid(year, month, parts.day)) continue;
+      let date = format(year, month, parts.day);
+      if (!parts.year && date > referenceDate) {
+        year -= 1;
+        if (!isValid(year, month, parts.day)) continue;
+        date = format(year, month, parts.day);
+      }
+      if (date > referenceDate) continue;
+      found.push({
+        date,
+        start: match.index,
+        end: match.index + match[0].length,
+        approximate: !!parts.approximate,
+        relative: false,
+      });
+    }
+  }
+
+  for (const pattern of RELATIVE_PATTERNS) {
+    for (const match of String(text).matchAll(pattern.regex)) {
+      const offset = pattern.parse ? pattern.parse(match) : pattern;
+      const date = offset.months
+        ? addCalendarMonths(referenceDate, offset.months)
+        : addDays(referenceDate, offset.days || 0);
+      found.push({
+        date,
+        start: match.index,
+        end: match.index + match[0].length,
+        approximate: !!offset.approximate,
+        relative: true,
+      });
+    }
+  }
+
+  // Patterns overlap ("5 March 2026" also holds "March 2026"); the
+  // patterns are listed most precise first, so keep the first found
+  const kept = [];
+  for (const item of found) {
+    if (
+      !kept.some((other) => item.start < other.end && other.start < item.end)
+    ) {
+      kept.push(item);
+    }
+  }
+  return kept
+    .sort((a, b) => a.start - b.start)
+    .map(({ date, approximate, relative }) => ({
+      date,
+      approximate,
+      relative,
+    }));
+}
+
+module.exports = {
+  manilaDate,
+  addDays,
+  addPeriod,
+  daysBetween,
+  weekday,
+  findDates,
+};
@@ -0,0 +1,113 @@
+// services/deadlines/ics.js - Deadlines as an iCalendar (.ics) file
+//
+// All-day events with reminders a week and a day before, which Google
+// Calendar, Outlook and Apple Calendar all import. UIDs are stable per
+// session and rule, so importing an updated file replaces the old events
+// instead of duplicating them.
+
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+function fold(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function compactDate(date) {
+  return date.replace(/-/g, "");
+}
+
+function nextDay(date) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + 1);
+  return value.toISOString().slice(0, 10);
+}
+
+function stamp(timestamp) {
+  return (
+    new Date(timestamp).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z"
+  );
+}
+
+function alarm(title, trigger) {
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${escapeText(title)}`,
+    `TRIGGER:${trigger}`,
+    "END:VALARM",
+  ];
+}
+
+// deadlines: from computeDeadlines; only dated ones become events
+function toICS(deadlines, { sessionId, baseUrl = "", now = Date.now() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//JustiFi AI//Legal Deadlines//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:JustiFi legal deadlines",
+  ];
+
+  for (const deadline of deadlines.filter((d) => d.actBy)) {
+    const description = [
+      deadline.basis,
+      deadline.note,
+      deadline.from.date
+        ? `Counted from ${deadline.from.label} on ${deadline.from.date}${
+            deadline.from.approximate ? " (approximate)" : ""
+          }.`
+        : null,
+      deadline.actBy !== deadline.date
+        ? `The legal last day, ${deadline.date}, falls on a weekend.`
+        : null,
+      "This is an estimate, not legal advice. Confirm the date with PAO or a lawyer.",
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${sessionId}-${deadline.id}@justifi`,
+      `DTSTAMP:${stamp(now)}`,
+      `DTSTART;VALUE=DATE:${compactDate(deadline.actBy)}`,
+      `DTEND;VALUE=DATE:${compactDate(nextDay(deadline.actBy))}`,
+      `SUMMARY:${escapeText(deadline.title)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      ...(baseUrl ? [`URL:${baseUrl}/summary/${sessionId}`] : []),
+      "TRANSP:TRANSPARENT",
+      ...alarm(deadline.title, "-P7D"),
+      ...alarm(deadline.title, "-P1D"),
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+module.exports = { toICS };
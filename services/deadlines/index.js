@@ -0,0 +1,191 @@
+// services/deadlines/index.js - Concrete legal deadlines from a transcript
+//
+// Finds events the user described ("tinanggal ako noong March 5") one
+// sentence at a time, pairs each with the date said in the same sentence,
+// and applies the category's rules from rules.js. An event without a date
+// still yields its deadline, undated, so the summary can ask for the date.
+//
+// When the same kind of event is mentioned more than once the earliest date
+// wins: counting from the earliest start gives the earliest deadline, which
+// is the safe one to act on.
+
+const { EVENTS, EVENT_LABELS, WRITTEN_WORDS, RULES } = require("./rules");
+const {
+  manilaDate,
+  addDays,
+  addPeriod,
+  daysBetween,
+  weekday,
+  findDates,
+} = require("./dates");
+const { normalizeCategory } = require("../categories");
+const { getLaw, provisionUrl } = require("../laws");
+const { phrasePattern } = require("../textMatch");
+
+const SOON_DAYS = 30;
+const SAID_LENGTH = 160;
+
+// "walang kasulatan", "no written contract"
+const NEGATED =
+  /(?:^|[^\p{L}])(?:walang|wala|hindi|no|not|without)\s+(?:\p{L}+\s+)?$/iu;
+
+function mentionsWritten(text) {
+  return WRITTEN_PATTERNS.some((pattern) =>
+    [...text.matchAll(new RegExp(pattern.source, "giu"))].some(
+      (match) => !NEGATED.test(text.slice(0, match.index + match[1].length))
+    )
+  );
+}
+
+const MATCHERS = Object.entries(EVENTS).map(([type, phrases]) => ({
+  type,
+  patterns: phrases.map(phrasePattern),
+}));
+const WRITTEN_PATTERNS = WRITTEN_WORDS.map(phrasePattern);
+
+// A period after these ends a word, not the sentence: "noong Mar. 5",
+// "kay Atty. Cruz", "sa Sta. Mesa"
+const ABBREVIATIONS =
+  "jan feb mar apr jun jul aug sep sept oct nov dec mr mrs ms dr atty engr hon gov sen rep jr sr st sto sta brgy blk no".split(
+    " "
+  );
+const SENTENCE_BREAK = new RegExp(
+  `(?<=[.!?])(?<!\\b(?:${ABBREVIATIONS.join("|")})\\.)\\s+|\\n+`,
+  "i"
+);
+
+function splitSentences(text) {
+  return String(text || "")
+    .split(SENTENCE_BREAK)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+function earliest(events) {
+  const dated = events.filter((event) => event.date);
+  if (!dated.length) return events[0] || null;
+  return dated.reduce((a, b) => (b.date < a.date ? b : a));
+}
+
+// Returns Map(type -> { type, date, approximate, reference, said, written })
+function extractEvents(transcripts) {
+  const userTurns = transcripts
+    .filter((t) => String(t.speaker).toUpperCase() === "USER")
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  const everything = userTurns.map((t) => t.text).join(" ");
+  const written = mentionsWritten(everything);
+
+  const byType = new Map();
+  for (const turn of userTurns) {
+    const reference = manilaDate(turn.timestamp || Date.now());
+    for (const sentence of splitSentences(turn.text)) {
+      const types = MATCHERS.filter(({ patterns }) =>
+        patterns.some((pattern) => pattern.test(sentence))
+      ).map(({ type }) => type);
+      if (!types.length) continue;
+
+      // An actual date beats "last week" when a sentence has both
+      const dates = findDates(sentence, reference);
+      const when = dates.find((d) => !d.relative) || dates[0] || null;
+      for (const type of types) {
+        const list = byType.get(type) || [];
+        list.push({
+          type,
+          date: when ? when.date : null,
+          approximate: when ? when.approximate : false,
+          reference,
+          said: sentence.slice(0, SAID_LENGTH),
+          written,
+        });
+        byType.set(type, list);
+      }
+    }
+  }
+
+  return new Map([...byType].map(([type, events]) => [type, earliest(events)]));
+}
+
+function lawUrl(ref) {
+  const law = ref && getLaw(ref.id);
+  if (!law) return null;
+  const provision = law.provisions.find(
+    (p) => p.number === ref.provision || p.formerly === ref.provision
+  );
+  return provisionUrl(law, provision);
+}
+
+// Offices are closed on weekends, so a last day that falls on one is
+// moved back to the Friday before rather than forward
+function lastWorkday(date) {
+  const day = weekday(date);
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, -2);
+  return date;
+}
+
+function applyRule(rule, event) {
+  let date = null;
+  if (rule.fixed) {
+    const year = Number((event.date || event.reference).slice(0, 4));
+    date = `${year}-${String(rule.fixed.month).padStart(2, "0")}-${String(
+      rule.fixed.day
+    ).padStart(2, "0")}`;
+  } else if (event.date) {
+    date = addPeriod(event.date, rule.period);
+  }
+
+  const actBy = date && rule.kind === "deadline" ? lastWorkday(date) : date;
+  return {
+    id: rule.id,
+    kind: rule.kind,
+    title: rule.title,
+    date,
+    actBy,
+    basis: rule.basis,
+    url: lawUrl(rule.law),
+    note: rule.note,
+    from: {
+      type: event.type,
+      label: EVENT_LABELS[event.type],
+      date: event.date,
+      approximate: event.approximate,
+      said: event.said,
+    },
+  };
+}
+
+// Deadlines for a consultation, dated ones first in date order
+function computeDeadlines({ category, transcripts }) {
+  const key = normalizeCategory(category);
+  const events = extractEvents(transcripts || []);
+  const deadlines = [];
+
+  for (const rule of RULES) {
+    if (!rule.categories.includes(key)) continue;
+    const candidates = rule.from
+      .map((type) => events.get(type))
+      .filter((event) => event && (!rule.when || rule.when(event)));
+    const event = earliest(candidates);
+    if (event) deadlines.push(applyRule(rule, event));
+  }
+
+  return deadlines.sort((a, b) => {
+    if (!a.actBy || !b.actBy) return a.actBy ? -1 : b.actBy ? 1 : 0;
+    return a.actBy < b.actBy ? -1 : a.actBy > b.actBy ? 1 : 0;
+  });
+}
+
+// Adds daysLeft and status (passed | soon | upcoming | undated) as of today
+function withStatus(deadlines, today = manilaDate()) {
+  return (deadlines || []).map((deadline) => {
+    if (!deadline.actBy) {
+      return { ...deadline, daysLeft: null, status: "undated" };
+    }
+    const daysLeft = daysBetween(today, deadline.actBy);
+    const status =
+      daysLeft < 0 ? "passed" : daysLeft <= SOON_DAYS ? "soon" : "upcoming";
+    return { ...deadline, daysLeft, status };
+  });
+}
+
+module.exports = { computeDeadlines, extractEvents, withStatus };
@@ -0,0 +1,335 @@
+// services/deadlines/rules.js - Legal periods, per category
+//
+// Each rule starts counting from an event found in the transcript (see
+// EVENTS) and adds a period. Periods follow the Administrative Code of
+// 1987, Book I, Sec. 31: a "month" is 30 days and a "year" is twelve
+// calendar months. The first day is excluded and the last day included.
+//
+// kind says whose move it is:
+//   deadline - the last day for the user to act
+//   due      - the last day for the other side (or an office) to act
+//   earliest - the first day the other side may act
+//
+// law points at the corpus (services/laws) so the summary can link to the
+// provision when the corpus has it.
+
+// Phrases that mark an event; matched per sentence, English and Tagalog
+const EVENTS = {
+  DISMISSAL: [
+    "tinanggal ako",
+    "tinanggal nila ako",
+    "natanggal ako",
+    "sinisante",
+    "sinesante",
+    "tanggal sa trabaho",
+    "fired",
+    "terminated",
+    "dismissed",
+    "laid off",
+    "gipapahawa sa trabaho",
+  ],
+  RESIGNATION: ["nag-resign", "nagresign", "resigned", "nag-quit"],
+  UNPAID_WAGES: [
+    "hindi binayaran",
+    "di binayaran",
+    "hindi pa binabayaran",
+    "walang sahod",
+    "unpaid",
+    "not paid",
+    "hasn't paid",
+    "final pay",
+    "back pay",
+    "backpay",
+  ],
+  THIRTEENTH_MONTH: ["13th month", "thirteenth month"],
+  DEMAND_TO_VACATE: [
+    "notice to vacate",
+    "demand letter",
+    "pinapaalis",
+    "pinaalis",
+    "palalayasin",
+    "pinalalayas",
+    "told me to leave",
+    "told us to leave",
+    "asked me to leave",
+    "gipapahawa",
+  ],
+  LOCKOUT: [
+    "kinandado",
+    "pinadlock",
+    "padlocked",
+    "locked me out",
+    "locked us out",
+    "changed the locks",
+    "pinalitan ang lock",
+    "inilabas ang gamit",
+    "threw out my things",
+  ],
+  SUMMONS: [
+    "summons",
+    "ejectment case",
+    "kaso sa korte",
+    "kinasuhan ako",
+    "sued me",
+  ],
+  BARANGAY_COMPLAINT: [
+    "reklamo sa barangay",
+    "nagreklamo sa barangay",
+    "nag-file sa barangay",
+    "nagfile sa barangay",
+    "nag-file ako sa barangay",
+    "nagfile ako sa barangay",
+    "nagreklamo ako sa barangay",
+    "complaint sa barangay",
+    "complaint at the barangay",
+    "filed at the barangay",
+    "filed with the barangay",
+    "ipinatawag sa barangay",
+    "pinatawag sa barangay",
+  ],
+  SETTLEMENT: [
+    "amicable settlement",
+    "kasunduan sa barangay",
+    "nagkasundo kami sa barangay",
+    "nag-areglo",
+    "naayos sa barangay",
+    "settled at the barangay",
+  ],
+  HARASSMENT: [
+    "ginugulo",
+    "nanggugulo",
+    "binabastos",
+    "binastos",
+    "harass",
+    "harassing",
+    "unjust vexation",
+  ],
+  DEFAMATION: [
+    "sinisiraan",
+    "siniraan",
+    "minura",
+    "pinahiya",
+    "paninira",
+    "defamation",
+    "slander",
+    "spreading lies",
+  ],
+  LOAN: [
+    "utang",
+    "nangutang",
+    "pautang",
+    "nagpautang",
+    "hiniram",
+    "loan",
+    "borrowed",
+    "lent",
+  ],
+};
+
+// How the summary names the event a period counts from
+const EVENT_LABELS = {
+  DISMISSAL: "your dismissal",
+  RESIGNATION: "your resignation",
+  UNPAID_WAGES: "the unpaid wages",
+  THIRTEENTH_MONTH: "the 13th month pay",
+  DEMAND_TO_VACATE: "the demand to leave",
+  LOCKOUT: "the lockout",
+  SUMMONS: "the summons",
+  BARANGAY_COMPLAINT: "the barangay complaint",
+  SETTLEMENT: "the settlement",
+  HARASSMENT: "the incident",
+  DEFAMATION: "the incident",
+  LOAN: "the loan",
+};
+
+// Words that make a loan a written one, unless negated ("walang kasulatan")
+const WRITTEN_WORDS = [
+  "kasulatan",
+  "promissory",
+  "written",
+  "kontrata",
+  "contract",
+  "pinirmahan",
+  "signed",
+];
+
+const BARANGAY_CATEGORIES = ["BARANGAY", "TENANT", "GENERAL"];
+
+const RULES = [
+  // --- Workplace ---
+  {
+    id: "illegal-dismissal",
+    categories: ["WORKPLACE", "GENERAL"],
+    from: ["DISMISSAL"],
+    period: { years: 4 },
+    kind: "deadline",
+    title: "File an illegal dismissal complaint",
+    basis: "Civil Code, Art. 1146 (four years for illegal dismissal)",
+    law: { id: "civil-code", provision: "1146" },
+    note: "File at DOLE (SEnA) or the NLRC; don't wait, since evidence and witnesses are easier to find early.",
+  },
+  {
+    id: "money-claims",
+    categories: ["WORKPLACE", "GENERAL"],
+    from: ["DISMISSAL", "UNPAID_WAGES"],
+    period: { years: 3 },
+    kind: "deadline",
+    title: "File claims for unpaid wages and benefits",
+    basis: "Labor Code, Art. 306 (formerly 291)",
+    law: { id: "labor-code", provision: "306" },
+    note: "Each unpaid payday has its own three years; the oldest ones run out first.",
+  },
+  {
+    id: "final-pay",
+    categories: ["WORKPLACE", "GENERAL"],
+    from: ["DISMISSAL", "RESIGNATION"],
+    period: { days: 30 },
+    kind: "due",
+    title: "Employer should release your final pay",
+    basis: "DOLE Labor Advisory No. 06, Series of 2020",
+    law: null,
+    note: "Unless your contract or company policy gives a shorter time. Ask for your Certificate of Employment too; it is due within 3 days of asking.",
+  },
+  {
+    id: "thirteenth-month",
+    categories: ["WORKPLACE", "GENERAL"],
+    from: ["THIRTEENTH_MONTH"],
+    fixed: { month: 12, day: 24 },
+    kind: "due",
+    title: "13th month pay is due",
+    basis: "PD 851 and its implementing rules",
+    law: { id: "pd-851", provision: "1" },
+    note: "Separated employees are owed a prorated 13th month pay with their final pay.",
+  },
+
+  // --- Tenant ---
+  {
+    id: "ejectment-earliest",
+    categories: ["TENANT", "GENERAL"],
+    from: ["DEMAND_TO_VACATE"],
+    period: { days: 5 },
+    kind: "earliest",
+    title: "Earliest the landlord can file an ejectment case",
+    basis: "Rules of Court, Rule 70, Sec. 2",
+    law: { id: "rules-of-court-rule-70", provision: "2" },
+    note: "Counts from a written demand to pay or leave (15 days if the lease is for land only). Even then, only a court can order you out.",
+  },
+  {
+    id: "forcible-entry",
+    categories: ["TENANT", "GENERAL"],
+    from: ["LOCKOUT"],
+    period: { years: 1 },
+    kind: "deadline",
+    title: "File a forcible entry case to get back in",
+    basis: "Rules of Court, Rule 70, Sec. 1",
+    law: { id: "rules-of-court-rule-70", provision: "1" },
+    note: "Report the lockout to the barangay and the police right away; a landlord cannot evict without a court order.",
+  },
+  {
+    id: "ejectment-answer",
+    categories: ["TENANT", "GENERAL"],
+    from: ["SUMMONS"],
+    period: { days: 10 },
+    kind: "deadline",
+    title: "File your Answer to the ejectment complaint",
+    basis: "Rules of Court, Rule 70, Sec. 6",
+    law: { id: "rules-of-court-rule-70" },
+    note: "Counts from the day you received the summons. No extensions are allowed; see PAO right away.",
+  },
+
+  // --- Barangay conciliation ---
+  {
+    id: "kp-mediation",
+    categories: BARANGAY_CATEGORIES,
+    from: ["BARANGAY_COMPLAINT"],
+    period: { days: 15 },
+    kind: "due",
+    title: "Punong Barangay's mediation period ends",
+    basis: "Local Government Code, Sec. 410(b)",
+    law: { id: "ra-7160", provision: "410" },
+    note: "If there is no settlement, a Pangkat is formed and gets 15 more days (extendible by 15).",
+  },
+  {
+    id: "kp-prescription",
+    categories: BARANGAY_CATEGORIES,
+    from: ["BARANGAY_COMPLAINT"],
+    period: { days: 60 },
+    kind: "due",
+    title: "Longest the barangay complaint can pause your filing deadline",
+    basis: "Local Government Code, Sec. 410(c)",
+    law: { id: "ra-7160", provision: "410" },
+    note: "The clock on your case resumes when you get the certification to file action, or after 60 days at the latest.",
+  },
+  {
+    id: "kp-repudiation",
+    categories: BARANGAY_CATEGORIES,
+    from: ["SETTLEMENT"],
+    period: { days: 10 },
+    kind: "deadline",
+    title: "Last day to repudiate the settlement",
+    basis: "Local Government Code, Secs. 416 and 418",
+    law: { id: "ra-7160", provision: "416" },
+    note: "Only if your consent was obtained by fraud, violence or intimidation. After this the settlement is final.",
+  },
+  {
+    id: "kp-execution",
+    categories: BARANGAY_CATEGORIES,
+    from: ["SETTLEMENT"],
+    period: { months: 6 },
+    kind: "deadline",
+    title: "Last day to have the Lupon enforce the settlement",
+    basis: "Local Government Code, Sec. 417",
+    law: { id: "ra-7160", provision: "417" },
+    note: "After this, enforcing the settlement takes a case in court.",
+  },
+  {
+    id: "light-offense",
+    categories: ["BARANGAY", "GENERAL"],
+    from: ["HARASSMENT"],
+    period: { months: 2 },
+    kind: "deadline",
+    title: "File a complaint for a light offense like unjust vexation",
+    basis: "Revised Penal Code, Art. 90",
+    law: { id: "revised-penal-code", provision: "287" },
+    note: "Bring it to the barangay first if you live in the same city or municipality; that pauses the period.",
+  },
+  {
+    id: "oral-defamation",
+    categories: ["BARANGAY", "GENERAL"],
+    from: ["DEFAMATION"],
+    period: { months: 6 },
+    kind: "deadline",
+    title: "File a complaint for oral defamation",
+    basis: "Revised Penal Code, Art. 90",
+    law: { id: "revised-penal-code", provision: "358" },
+    note: "Written or online defamation (libel) has a different period; ask PAO.",
+  },
+
+  // --- Debts ---
+  {
+    id: "debt-oral",
+    categories: ["BARANGAY", "GENERAL"],
+    from: ["LOAN"],
+    when: (event) => !event.written,
+    period: { years: 6 },
+    kind: "deadline",
+    title: "Collect a debt made under an oral agreement",
+    basis: "Civil Code, Art. 1145",
+    law: { id: "civil-code", provision: "1145" },
+    note: "Counts from when the debt fell due or the first demand was refused. A written demand or a written acknowledgment of the debt restarts it.",
+  },
+  {
+    id: "debt-written",
+    categories: ["BARANGAY", "GENERAL"],
+    from: ["LOAN"],
+    when: (event) => event.written,
+    period: { years: 10 },
+    kind: "deadline",
+    title: "Collect a debt made under a written agreement",
+    basis: "Civil Code, Art. 1144",
+    law: { id: "civil-code", provision: "1144" },
+    note: "Counts from when the debt fell due. Amounts up to ₱1,000,000 can go to small claims court without a lawyer.",
+  },
+];
+
+module.exports = { EVENTS, EVENT_LABELS, WRITTEN_WORDS, RULES };
@@ -0,0 +1,13 @@
+// services/httpError.js - Errors that carry the HTTP status to answer with
+//
+// Services throw these for the caller's mistakes (400), missing records
+// (404), conflicts (409) and the like; routes send error.status and
+// error.message as they are and treat anything without a status as a 500.
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,154 @@
+// services/languages.js - The languages a consultation can be held in
+//
+// The session's language decides what the AI writes (chat replies and the
+// summary), which voice reads replies aloud and what speech recognition
+// listens for. The model understands Tagalog, Cebuano and Taglish whatever
+// the setting; this only picks what it answers in.
+//
+// A bilingual summary is written in English, for the offices it goes to,
+// with a translation into the user's language alongside.
+
+const LANGUAGES = {
+  en: {
+    label: "English",
+    name: "English",
+    style: "fluent, natural English",
+    // Web Speech recognition and browser voices
+    speech: "en-US",
+    // Server speech-to-text hint (services/stt)
+    transcription: "en",
+    // services/tts/voices.js
+    voice: "en-female",
+    // Heading of the translated half of a bilingual summary
+    summaryTitle: "Your summary",
+    greeting: (category) =>
+      `Hello! I'm JustiFi AI for ${category}. Please tell me what happened.`,
+    carriedGreeting: (category) =>
+      `I've moved your consultation to ${category} and kept everything you told me. Please continue.`,
+    resumeGreeting: () =>
+      "Welcome back! Here is what you told me so far. Let's continue where we left off.",
+    messages: {
+      noProviders:
+        "Sorry, no AI service is available right now. Please check the API keys.",
+      providersDown: "Sorry, all AI services are unavailable at the moment.",
+      chatError:
+        "Sorry, something went wrong with the AI. Could you repeat that?",
+    },
+    // riskClassifier.safetyMessage, sent instead of a reply at HIGH risk
+    safety: {
+      intro:
+        "Your safety comes first. If you are in danger right now, call 911 or go to the nearest police station or barangay hall.",
+      selfHarm:
+        "You don't have to go through this alone. Please call the NCMH Crisis Hotline at 1553. It is free and open 24/7.",
+      confinement:
+        "If you can't leave, try to call or text 911, or ask someone you trust to call for you.",
+      violence:
+        "If you can, move to a neighbor's house or a room you can leave from, and keep your phone with you.",
+      walkIn: "at any police station or barangay hall",
+      otherHotlines: (list) => `Other hotlines: ${list}.`,
+      closing: "When you are safe, I will help you with the legal steps.",
+    },
+  },
+  tl: {
+    label: "Filipino (Tagalog)",
+    name: "Tagalog",
+    style:
+      "natural, conversational Filipino (Tagalog), keeping legal and office terms people usually say in English (final pay, barangay, complaint) in English",
+    speech: "fil-PH",
+    transcription: "tl",
+    voice: "fil-female",
+    summaryTitle: "Buod para sa iyo",
+    greeting: (category) =>
+      `Magandang araw! Ako si JustiFi AI para sa ${category}. Ikuwento mo po kung ano ang nangyari.`,
+    carriedGreeting: (category) =>
+      `Inilipat ko na ang konsultasyon mo sa ${category} at nandito pa rin lahat ng sinabi mo. Ituloy mo lang po.`,
+    resumeGreeting: () =>
+      "Maligayang pagbabalik! Narito ang mga nasabi mo na. Ituloy natin kung saan tayo huminto.",
+    messages: {
+      noProviders:
+        "Pasensya na, walang available na AI service. Pakitingnan ang API keys.",
+      providersDown:
+        "Pasensya na, lahat ng AI providers ay hindi available sa ngayon.",
+      chatError: "Pasensya na, may problema sa AI. Maaari mo bang ulitin?",
+    },
+    safety: {
+      intro:
+        "Ang kaligtasan mo ang pinakamahalaga. Kung nasa panganib ka ngayon, tumawag agad sa 911 o pumunta sa pinakamalapit na police station o barangay hall.",
+      selfHarm:
+        "Hindi mo kailangang harapin ito nang mag-isa. Tumawag ka sa NCMH Crisis Hotline sa 1553. Libre ito at bukas 24/7.",
+      confinement:
+        "Kung hindi ka makalabas, subukang tumawag o mag-text sa 911, o pakiusapan ang taong pinagkakatiwalaan mo na tumawag para sa iyo.",
+      violence:
+        "Kung kaya mo, lumipat sa bahay ng kapitbahay o sa kuwartong madali mong malalabasan, at hawakan mo ang phone mo.",
+      walkIn: "sa alinmang police station o barangay hall",
+      otherHotlines: (list) => `Iba pang hotline: ${list}.`,
+      closing: "Kapag ligtas ka na, tutulungan kita sa mga legal na hakbang.",
+    },
+  },
+  ceb: {
+    label: "Cebuano (Bisaya)",
+    name: "Cebuano",
+    style:
+      "natural, conversational Cebuano (Bisaya), keeping legal and office terms people usually say in English (final pay, barangay, complaint) in English",
+    // No browser or Google voice speaks Cebuano; Filipino ones read it
+    // far better than English ones do
+    speech: "fil-PH",
+    transcription: "auto",
+    voice: "fil-female",
+    summaryTitle: "Katingbanan para nimo",
+    greeting: (category) =>
+      `Maayong adlaw! Ako si JustiFi AI para sa ${category}. Isulti kung unsa ang nahitabo.`,
+    carriedGreeting: (category) =>
+      `Gibalhin nako ang imong konsultasyon sa ${category} ug naa gihapon tanan nimong gisulti. Padayon lang.`,
+    resumeGreeting: () =>
+      "Maayong pagbalik! Ania ang imong nasulti na. Padayon ta kung asa ta mihunong.",
+    messages: {
+      noProviders:
+        "Pasayloa, walay magamit nga AI service. Palihug susiha ang API keys.",
+      providersDown: "Pasayloa, walay magamit nga AI providers karon.",
+      chatError: "Pasayloa, naay problema sa AI. Mahimo ba nimong usbon?",
+    },
+    safety: {
+      intro:
+        "Ang imong kaluwasan ang labing importante. Kung naa ka sa peligro karon, tawag dayon sa 911 o adto sa pinakaduol nga police station o barangay hall.",
+      selfHarm:
+        "Dili ka kinahanglan mag-inusara niini. Palihug tawag sa NCMH Crisis Hotline sa 1553. Libre kini ug bukas 24/7.",
+      confinement:
+        "Kung dili ka makagawas, sulayi pagtawag o pag-text sa 911, o hangyoa ang tawo nga imong gisaligan nga motawag para nimo.",
+      violence:
+        "Kung mahimo, balhin sa balay sa silingan o sa kwarto nga dali nimong magawsan, ug kupti ang imong phone.",
+      walkIn: "sa bisan unsang police station o barangay hall",
+      otherHotlines: (list) => `Ubang hotline: ${list}.`,
+      closing: "Kung luwas na ka, tabangan tika sa mga legal nga lakang.",
+    },
+  },
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+// Unknown or missing codes fall back to English, as sessions did before
+function normalizeLanguage(code) {
+  const key = String(code || "").toLowerCase();
+  return LANGUAGES[key] ? key : DEFAULT_LANGUAGE;
+}
+
+function getLanguage(code) {
+  const key = normalizeLanguage(code);
+  return { code: key, ...LANGUAGES[key] };
+}
+
+// [{ value, label }] for the dashboard picker
+function listLanguages() {
+  return Object.entries(LANGUAGES).map(([value, language]) => ({
+    value,
+    label: language.label,
+  }));
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getLanguage,
+  listLanguages,
+};
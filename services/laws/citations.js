@@ -0,0 +1,218 @@
+// services/laws/citations.js - Checks the laws a model cites against the corpus
+//
+// A citation is "verified" when it names a law in the corpus that is still
+// in force and every article or section it cites is one the corpus holds.
+// Anything else is "unverified" with a reason: a law the corpus doesn't
+// know, one that was superseded, a provision that isn't there, or a law
+// number paired with another law's name ("RA 6552 (Rent Deposit Act)").
+//
+// The prompts ask for "<law>, <Sec./Art. number> - <explanation>"; only the
+// part before the dash is checked, so the explanation is never read as a
+// law name or a provision.
+
+const corpus = require("./corpus.json");
+const { tokenize, provisionId, provisionLabel, provisionUrl } = require(".");
+
+// Statute numbers, normalized to the corpus "designation" form
+const DESIGNATIONS = [
+  {
+    prefix: "RA",
+    pattern:
+      /\b(?:R\.?\s?A\.?|Republic\s+Act)\s*(?:No\.?|Blg\.?|Number)?\s*(\d{2,5})\b/i,
+  },
+  {
+    prefix: "BP",
+    pattern:
+      /\b(?:B\.?\s?P\.?|Batas(?:ang?)?\s+Pambansa)\s*(?:Blg\.?|Bilang|No\.?)?\s*(\d{2,5})\b/i,
+  },
+  {
+    prefix: "PD",
+    pattern:
+      /\b(?:P\.?\s?D\.?|Presidential\s+Decree)\s*(?:No\.?)?\s*(\d{2,5})\b/i,
+  },
+  { prefix: "ACT", pattern: /\bAct\s+No\.?\s*(\d{2,5})\b/i },
+];
+
+// " - ", or an en or em dash, between the citation and its explanation
+const EXPLANATION_SEPARATOR = /\s+[-–—]\s+/;
+
+const PROVISION_REFERENCE =
+  /\b(?:articles?|arts?|sections?|secs?)\b\.?\s*(\d+(?:\s*(?:-|–|to)\s*\d+)?(?:\s*(?:,|and|&|at)\s*\d+(?:\s*(?:-|–|to)\s*\d+)?)*)/gi;
+
+// Words that say nothing about which law is meant
+const GENERIC_WORDS = new Set(
+  "act law laws republic no blg bilang batas pambansa presidential decree philippines philippine code article articles art section sections sec which under known also".split(
+    " "
+  )
+);
+
+const BY_DESIGNATION = new Map(
+  corpus.laws
+    .filter((law) => law.designation)
+    .map((law) => [law.designation, law])
+);
+
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function citedPart(text) {
+  return text.split(EXPLANATION_SEPARATOR)[0];
+}
+
+function findDesignation(text) {
+  for (const { prefix, pattern } of DESIGNATIONS) {
+    const match = text.match(pattern);
+    if (match) return { designation: `${prefix} ${match[1]}`, raw: match[0] };
+  }
+  return null;
+}
+
+// "Articles 1654 and 1673" -> [{ from: 1654, to: 1654 }, { from: 1673, ... }]
+function findProvisionRefs(text) {
+  const refs = [];
+  for (const match of text.matchAll(PROVISION_REFERENCE)) {
+    for (const part of match[1].split(/\s*(?:,|and|&|at)\s*/)) {
+      const [from, to] = part.split(/\s*(?:-|–|to)\s*/).map(Number);
+      if (Number.isFinite(from)) refs.push({ from, to: to || from });
+    }
+  }
+  return refs;
+}
+
+// The longest title or alias that appears in the citation
+function findLawByName(text) {
+  const haystack = ` ${normalizeText(text)} `;
+  let best = null;
+  for (const law of corpus.laws) {
+    for (const name of [law.title, law.citeAs, ...law.aliases]) {
+      const needle = normalizeText(name);
+      if (
+        needle &&
+        haystack.includes(` ${needle} `) &&
+        (!best || needle.length > best.length)
+      ) {
+        best = { law, length: needle.length };
+      }
+    }
+  }
+  return best ? best.law : null;
+}
+
+// When a citation gives both a number and a name, the name has to share
+// at least one word with the law that number belongs to. The provisions
+// cited ("Sec. 9") are not part of the name.
+function nameMatches(text, raw, law) {
+  const name = text.replace(raw, " ").replace(PROVISION_REFERENCE, " ");
+  const words = tokenize(name).filter(
+    (word) => !GENERIC_WORDS.has(word) && !/^\d+$/.test(word)
+  );
+  if (!words.length) return true;
+  const lawWords = new Set(
+    tokenize([law.title, law.citeAs, ...law.aliases].join(" "))
+  );
+  return words.some((word) => lawWords.has(word));
+}
+
+function provisionNumbers(provision) {
+  return [provision.number, provision.formerly].filter(Boolean).map(Number);
+}
+
+function result(text, law, fields) {
+  return {
+    text,
+    status: "unverified",
+    lawId: law ? law.id : null,
+    label: law ? law.citeAs : null,
+    title: law ? law.title : null,
+    url: law ? provisionUrl(law) : null,
+    provisions: [],
+    reason: null,
+    ...fields,
+  };
+}
+
+// Points at the law that replaced it, when the corpus has one
+function superseded(text, law) {
+  const replacement = corpus.laws.find((l) => l.id === law.supersededBy);
+  return result(text, law, {
+    reason: replacement
+      ? `Superseded by ${replacement.citeAs}, the ${replacement.title}`
+      : `This law is ${law.status}`,
+    url: provisionUrl(replacement || law),
+  });
+}
+
+function verifyCitation(citation) {
+  const text = String(citation || "").trim();
+  if (!text) return result(text, null, { reason: "Empty citation" });
+
+  const cited = citedPart(text);
+  const designation = findDesignation(cited);
+  let law = null;
+  if (designation) {
+    law = BY_DESIGNATION.get(designation.designation);
+    if (!law) {
+      return result(text, null, {
+        reason: `${designation.designation} is not in the local law library`,
+      });
+    }
+    if (law.status !== "in force") return superseded(text, law);
+    if (!nameMatches(cited, designation.raw, law)) {
+      return result(text, law, {
+        reason: `${designation.designation} is the ${law.title}, not the law named here`,
+      });
+    }
+  } else {
+    law = findLawByName(cited);
+    if (!law) {
+      return result(text, null, {
+        reason: "This law is not in the local law library",
+      });
+    }
+    if (law.status !== "in force") return superseded(text, law);
+  }
+
+  const refs = findProvisionRefs(cited.replace(designation?.raw || "", " "));
+  if (!refs.length) return result(text, law, { status: "verified" });
+
+  const found = [];
+  const missing = [];
+  for (const ref of refs) {
+    const inRange = law.provisions.filter((provision) =>
+      provisionNumbers(provision).some(
+        (number) => number >= ref.from && number <= ref.to
+      )
+    );
+    if (inRange.length) found.push(...inRange);
+    else missing.push(ref.from === ref.to ? ref.from : `${ref.from}-${ref.to}`);
+  }
+
+  const provisions = found.map((provision) => ({
+    id: provisionId(law, provision),
+    label: provisionLabel(law, provision),
+    heading: provision.heading,
+    url: provisionUrl(law, provision),
+  }));
+  const url = provisions.length ? provisions[0].url : provisionUrl(law);
+
+  if (missing.length) {
+    return result(text, law, {
+      provisions,
+      url,
+      reason: `${law.citeAs}, ${law.provisions[0].unit} ${missing.join(
+        ", "
+      )} is not in the local law library`,
+    });
+  }
+  return result(text, law, { status: "verified", provisions, url });
+}
+
+function verifyCitations(citations) {
+  return (Array.isArray(citations) ? citations : []).map(verifyCitation);
+}
+
+module.exports = { verifyCitation, verifyCitations };
@@ -0,0 +1,154 @@
+// services/laws/index.js - Bundled Philippine law corpus with retrieval
+//
+// corpus.json holds plain-language summaries of the provisions that come up
+// in each category, with a link to the official text. It is versioned: bump
+// "version" whenever a provision is added or changed, since summaries record
+// the version they were checked against.
+//
+// Retrieval is keyword scoring, not embeddings: each provision is indexed by
+// its heading, text and keywords (English and Tagalog), rarer words count
+// more, and provisions of the session's category get a boost.
+
+const corpus = require("./corpus.json");
+const { normalizeCategory } = require("../categories");
+
+const CORPUS_VERSION = corpus.version;
+const CATEGORY_BOOST = 1.5;
+const MIN_SCORE = 1;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do for from has have he her his i if in is it its me my no not of on or our she so that the their them they this to was we were what when who will with you your " +
+    "ako ang at ay ba din dito rin hindi ito ka kami kasi ko kung lang mga mo na nag naman namin nang ng niya nila pa po sa si siya sila yung walang"
+  ).split(" ")
+);
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}%]+/u)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function provisionId(law, provision) {
+  const unit = provision.unit.replace(/\W/g, "").toLowerCase();
+  return `${law.id}-${unit}-${provision.number}`;
+}
+
+function provisionLabel(law, provision) {
+  return `${law.citeAs}, ${provision.unit} ${provision.number}`;
+}
+
+function provisionUrl(law, provision) {
+  return provision
+    ? `/laws/${law.id}#${provisionId(law, provision)}`
+    : `/laws/${law.id}`;
+}
+
+const LAWS = new Map(corpus.laws.map((law) => [law.id, law]));
+
+// One entry per provision, with its terms for scoring
+const INDEX = corpus.laws.flatMap((law) =>
+  law.provisions.map((provision) => {
+    const terms = new Set(
+      tokenize(
+        [
+          law.title,
+          ...law.aliases,
+          provision.heading,
+          provision.text,
+          ...provision.keywords,
+        ].join(" ")
+      )
+    );
+    return { law, provision, terms: [...terms] };
+  })
+);
+
+// Inverse document frequency: words in fewer provisions weigh more
+const IDF = (() => {
+  const counts = new Map();
+  for (const entry of INDEX) {
+    for (const term of entry.terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  }
+  return new Map(
+    [...counts].map(([term, count]) => [
+      term,
+      Math.log(1 + INDEX.length / count),
+    ])
+  );
+})();
+
+// Words of five or more letters also match longer words that start with
+// them, so "evicted" matches "evict"
+function matches(queryToken, term) {
+  return (
+    queryToken === term || (term.length >= 5 && queryToken.startsWith(term))
+  );
+}
+
+function getLaw(lawId) {
+  return LAWS.get(lawId) || null;
+}
+
+function listLaws(category) {
+  const key = category ? normalizeCategory(category) : null;
+  return corpus.laws.filter((law) => !key || law.categories.includes(key));
+}
+
+// Returns the best-matching provisions for the text, most relevant first
+function retrieve(text, { category, limit = 3 } = {}) {
+  const queryTokens = [...new Set(tokenize(text))];
+  if (!queryTokens.length) return [];
+  const key = category ? normalizeCategory(category) : null;
+
+  return INDEX.map((entry) => {
+    let score = 0;
+    for (const term of entry.terms) {
+      if (queryTokens.some((token) => matches(token, term))) {
+        score += IDF.get(term);
+      }
+    }
+    if (key && entry.law.categories.includes(key)) score *= CATEGORY_BOOST;
+    return { ...entry, score };
+  })
+    .filter(
+      (entry) => entry.score >= MIN_SCORE && entry.law.status === "in force"
+    )
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ law, provision, score }) => ({
+      id: provisionId(law, provision),
+      lawId: law.id,
+      label: provisionLabel(law, provision),
+      title: law.title,
+      heading: provision.heading,
+      text: provision.text,
+      url: provisionUrl(law, provision),
+      score: Number(score.toFixed(2)),
+    }));
+}
+
+// Passages as prompt text, one per line
+function formatPassages(passages) {
+  return passages
+    .map(
+      (passage) =>
+        `- [${passage.label}] ${passage.title} - ${passage.heading}: ${passage.text}`
+    )
+    .join("\n");
+}
+
+module.exports = {
+  CORPUS_VERSION,
+  tokenize,
+  provisionId,
+  provisionLabel,
+  provisionUrl,
+  getLaw,
+  listLaws,
+  retrieve,
+  formatPassages,
+};
@@ -0,0 +1,42 @@
+// services/localCommand.js - Running offline speech tools (espeak-ng, whisper.cpp)
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+// True if the command is a path that exists or a binary on PATH
+function onPath(command) {
+  if (command.includes(path.sep)) return fs.existsSync(command);
+  return (process.env.PATH || "")
+    .split(path.delimiter)
+    .some((dir) => dir && fs.existsSync(path.join(dir, command)));
+}
+
+// Runs command with args, writing input to stdin; resolves with stdout
+function runCommand(command, args, { input = "", timeoutMs = 15000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    const chunks = [];
+    let stderr = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${command} timed out`));
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => chunks.push(chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(Buffer.concat(chunks));
+      reject(new Error(`${command} exited with ${code}: ${stderr.trim()}`));
+    });
+    child.stdin.on("error", () => {}); // the tool may exit before reading
+    child.stdin.end(input);
+  });
+}
+
+module.exports = { onPath, runCommand };
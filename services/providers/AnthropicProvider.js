@@ -0,0 +1,92 @@
+// services/providers/AnthropicProvider.js - Claude via the Messages API
+
+const Anthropic = require("@anthropic-ai/sdk");
+const { BaseProvider } = require("./BaseProvider");
+
+class AnthropicProvider extends BaseProvider {
+  constructor({ id, name, apiKey, model, timeoutMs }) {
+    super({ id, name, apiKey, model, timeoutMs });
+    this.client = apiKey
+      ? new Anthropic({ apiKey, timeout: this.timeoutMs, maxRetries: 0 })
+      : null;
+  }
+
+  // The Messages API takes the system prompt separately and wants strictly
+  // alternating user/assistant turns starting with the user.
+  _toRequest(messages) {
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+
+    const turns = [];
+    for (const message of messages.filter((m) => m.role !== "system")) {
+      const last = turns[turns.length - 1];
+      if (last && last.role === message.role) {
+        last.content += `\n\n${message.content}`;
+      } else {
+        turns.push({ role: message.role, content: message.content });
+      }
+    }
+    if (turns.length === 0 || turns[0].role !== "user") {
+      turns.unshift({ role: "user", content: "(conversation start)" });
+    }
+
+    return { system: system || undefined, messages: turns };
+  }
+
+  _text(response) {
+    return response.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  async chat(messages, { temperature = 0.7, maxTokens = 300 } = {}) {
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      ...this._toRequest(messages),
+    });
+    return this._text(response);
+  }
+
+  async *stream(messages, { temperature = 0.7, maxTokens = 300, signal } = {}) {
+    const stream = await this.client.messages.create(
+      {
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        ...this._toRequest(messages),
+      },
+      { signal }
+    );
+    for await (const event of stream) {
+      if (
+        event.type === "content_block_delta" &&
+        event.delta.type === "text_delta"
+      ) {
+        yield event.delta.text;
+      }
+    }
+  }
+
+  // No native JSON mode: prefill the reply with "{" so the model continues
+  // straight into the object.
+  async completeJSON(messages, { temperature = 0.7, maxTokens = 2000 } = {}) {
+    const request = this._toRequest(messages);
+    request.messages.push({ role: "assistant", content: "{" });
+
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      ...request,
+    });
+    return `{${this._text(response)}`;
+  }
+}
+
+module.exports = AnthropicProvider;
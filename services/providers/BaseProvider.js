@@ -0,0 +1,108 @@
+// services/providers/BaseProvider.js - Common adapter interface
+//
+// Every provider exposes:
+//   chat(messages, options)         -> reply text
+//   completeJSON(messages, options) -> raw text that should be a JSON object
+//   stream(messages, options)       -> async iterable of reply text chunks
+//   classifyError(error)            -> { type, status, retryAfterMs }
+// where messages are { role: "system" | "user" | "assistant", content }.
+//
+// Each request gets timeoutMs (<ID>_TIMEOUT_MS, default 25 s, inside the
+// chat route's 30 s) and no SDK retries: MultiAIService already moves on to
+// the next provider, and an SDK's own retries would stack the waits.
+
+// Error types MultiAIService knows how to react to
+const ERROR_TYPES = {
+  BALANCE: "balance",
+  RATE_LIMIT: "rate_limit",
+  CONFIG: "config",
+  INVALID_REQUEST: "invalid_request",
+  TRANSIENT: "transient",
+};
+
+const DEFAULT_TIMEOUT_MS = 25000;
+
+function readTimeout(value) {
+  const ms = Number(value);
+  return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_TIMEOUT_MS;
+}
+
+class BaseProvider {
+  constructor({ id, name, apiKey, model, timeoutMs }) {
+    this.id = id;
+    this.name = name;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = readTimeout(timeoutMs);
+  }
+
+  get enabled() {
+    return !!this.apiKey;
+  }
+
+  async chat() {
+    throw new Error(`${this.name} does not implement chat`);
+  }
+
+  async completeJSON() {
+    throw new Error(`${this.name} does not implement completeJSON`);
+  }
+
+  // Providers without native streaming hand back the whole reply at once
+  async *stream(messages, options = {}) {
+    const text = await this.chat(messages, options);
+    if (!options.signal?.aborted) yield text;
+  }
+
+  classifyError(error) {
+    const status = this._statusOf(error);
+    const message = error.message?.toLowerCase() || "";
+
+    if (
+      status === 402 ||
+      message.includes("insufficient") ||
+      message.includes("quota") ||
+      message.includes("balance") ||
+      message.includes("billing")
+    ) {
+      return { type: ERROR_TYPES.BALANCE, status };
+    }
+
+    if (status === 429 || message.includes("rate limit")) {
+      return {
+        type: ERROR_TYPES.RATE_LIMIT,
+        status,
+        retryAfterMs: this._retryAfterMs(error),
+      };
+    }
+
+    if (status === 401 || status === 403 || status === 404) {
+      return { type: ERROR_TYPES.CONFIG, status };
+    }
+
+    if (status === 400 || status === 422) {
+      return { type: ERROR_TYPES.INVALID_REQUEST, status };
+    }
+
+    return { type: ERROR_TYPES.TRANSIENT, status };
+  }
+
+  _statusOf(error) {
+    if (typeof error.status === "number") return error.status;
+    if (typeof error.statusCode === "number") return error.statusCode;
+    if (typeof error.code === "number") return error.code;
+    return undefined;
+  }
+
+  _retryAfterMs(error) {
+    const headers = error.headers;
+    const value =
+      typeof headers?.get === "function"
+        ? headers.get("retry-after")
+        : headers?.["retry-after"];
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+  }
+}
+
+module.exports = { BaseProvider, ERROR_TYPES, readTimeout };
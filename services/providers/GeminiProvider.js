@@ -0,0 +1,93 @@
+// services/providers/GeminiProvider.js - Google Gemini
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { BaseProvider } = require("./BaseProvider");
+
+class GeminiProvider extends BaseProvider {
+  constructor({ id, name, apiKey, model, timeoutMs }) {
+    super({ id, name, apiKey, model, timeoutMs });
+    this.client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  }
+
+  // This SDK version has no system instruction, so the system prompt is
+  // folded into the first user turn. Gemini calls the assistant "model".
+  _toContents(messages) {
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+
+    const contents = [];
+    for (const message of messages.filter((m) => m.role !== "system")) {
+      const role = message.role === "assistant" ? "model" : "user";
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts[0].text += `\n\n${message.content}`;
+      } else {
+        contents.push({ role, parts: [{ text: message.content }] });
+      }
+    }
+
+    if (system) {
+      if (contents[0]?.role === "user") {
+        contents[0].parts[0].text = `${system}\n\n${contents[0].parts[0].text}`;
+      } else {
+        contents.unshift({ role: "user", parts: [{ text: system }] });
+      }
+    }
+
+    return contents;
+  }
+
+  // The SDK has no retries of its own to turn off
+  _model() {
+    return this.client.getGenerativeModel(
+      { model: this.model },
+      { timeout: this.timeoutMs }
+    );
+  }
+
+  async chat(messages, { temperature = 0.7, maxTokens = 300 } = {}) {
+    const model = this._model();
+    const result = await model.generateContent({
+      contents: this._toContents(messages),
+      generationConfig: { temperature, maxOutputTokens: maxTokens },
+    });
+    return result.response.text();
+  }
+
+  // This SDK version can't cancel a request, so stop reading on abort
+  async *stream(messages, { temperature = 0.7, maxTokens = 300, signal } = {}) {
+    const model = this._model();
+    const result = await model.generateContentStream({
+      contents: this._toContents(messages),
+      generationConfig: { temperature, maxOutputTokens: maxTokens },
+    });
+    for await (const chunk of result.stream) {
+      if (signal?.aborted) return;
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  async completeJSON(messages, options = {}) {
+    return this.chat(
+      [
+        ...messages,
+        {
+          role: "user",
+          content: "Respond ONLY with a valid JSON object, no markdown.",
+        },
+      ],
+      { maxTokens: 2000, ...options }
+    );
+  }
+
+  // Errors come back as plain messages like "[429 Too Many Requests] ..."
+  _statusOf(error) {
+    const match = error.message?.match(/\[(\d{3})[^\]]*\]/);
+    return match ? Number(match[1]) : super._statusOf(error);
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,175 @@
+// services/providers/MockProvider.js - Deterministic offline provider
+//
+// Enabled by listing "mock" in AI_PROVIDER_ORDER (e.g. AI_PROVIDER_ORDER=mock
+// or AI_PROVIDER_ORDER=mock,groq). Replies come from mockFixtures.js so the
+// same input always gives the same output. MOCK_AI_FAILURE makes every call
+// fail in a chosen way; failNext() does the same for a set number of calls.
+
+const { BaseProvider } = require("./BaseProvider");
+const {
+  SUMMARY_FIXTURES,
+  CHAT_RULES,
+  DEFAULT_CHAT_REPLY,
+} = require("./mockFixtures");
+
+const FAILURE_MODES = [
+  "timeout",
+  "rate_limit",
+  "quota",
+  "server_error",
+  "malformed_json",
+  "fenced_json",
+];
+
+class MockProvider extends BaseProvider {
+  constructor({ id, name, failure, latencyMs, timeoutMs }) {
+    super({ id, name, apiKey: "mock", model: "mock-legal-buddy" });
+    this.failure = FAILURE_MODES.includes(failure) ? failure : null;
+    this.latencyMs = Number(latencyMs) || 0;
+    this.timeoutMs = Number(timeoutMs) || 30000;
+    this.scripted = [];
+    this.calls = [];
+  }
+
+  // Queue a failure mode for the next `times` calls
+  failNext(mode, times = 1) {
+    if (!FAILURE_MODES.includes(mode)) {
+      throw new Error(`Unknown mock failure mode: ${mode}`);
+    }
+    for (let i = 0; i < times; i++) this.scripted.push(mode);
+  }
+
+  reset() {
+    this.scripted = [];
+    this.calls = [];
+  }
+
+  async chat(messages) {
+    const mode = await this._begin("chat", messages);
+    this._throwFor(mode);
+
+    const text = this._text(messages);
+    if (text.includes("NEW CONVERSATION TURNS:")) return this._notes(text);
+    return this._chatReply(messages);
+  }
+
+  // Streams the chat reply word by word, MOCK_AI_LATENCY_MS apart
+  async *stream(messages, { signal } = {}) {
+    const mode = await this._begin("stream", messages);
+    this._throwFor(mode);
+
+    const words = this._chatReply(messages).split(/(?<=\s)/);
+    for (const word of words) {
+      if (signal?.aborted) return;
+      if (this.latencyMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+      }
+      yield word;
+    }
+  }
+
+  async completeJSON(messages) {
+    const mode = await this._begin("json", messages);
+    this._throwFor(mode);
+
+    const result = this._text(messages).includes("TRANSLATE INTO:")
+      ? this._translation(this._text(messages))
+      : this._summary(messages);
+    const json = JSON.stringify(result, null, 2);
+    if (mode === "malformed_json") {
+      return `Here is the summary: ${json.slice(
+        0,
+        Math.floor(json.length / 2)
+      )}`;
+    }
+    if (mode === "fenced_json") {
+      return `Sure! Here you go:\n\`\`\`json\n${json}\n\`\`\``;
+    }
+    return json;
+  }
+
+  async _begin(kind, messages) {
+    this.calls.push({ kind, messages });
+    const mode = this.scripted.length ? this.scripted.shift() : this.failure;
+
+    const delay = mode === "timeout" ? this.timeoutMs : this.latencyMs;
+    if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+    return mode;
+  }
+
+  _throwFor(mode) {
+    let error = null;
+    if (mode === "timeout") {
+      error = new Error("Mock provider request timed out");
+      error.code = "ETIMEDOUT";
+    } else if (mode === "rate_limit") {
+      error = new Error("Mock provider: rate limit reached");
+      error.status = 429;
+      error.headers = { "retry-after": "1" };
+    } else if (mode === "quota") {
+      error = new Error("Mock provider: insufficient quota");
+      error.status = 402;
+    } else if (mode === "server_error") {
+      error = new Error("Mock provider: internal server error");
+      error.status = 500;
+    }
+    if (error) throw error;
+  }
+
+  _text(messages) {
+    return messages.map((m) => m.content).join("\n");
+  }
+
+  _chatReply(messages) {
+    // Only look at what the user just said, not the whole prompt
+    const lastUser = [...messages].reverse().find((m) => m.role === "user");
+    const text = lastUser ? lastUser.content : this._text(messages);
+    const userLine = text.match(/User:\s*(.*)/g)?.pop() || text;
+    const lower = userLine.toLowerCase();
+    const rule = CHAT_RULES.find((r) =>
+      r.keywords.some((keyword) => lower.includes(keyword))
+    );
+    return rule ? rule.reply : DEFAULT_CHAT_REPLY;
+  }
+
+  // Conversation memory requests: keep the user's own words as notes
+  _notes(text) {
+    const previous = text.match(/NOTES SO FAR:\n([\s\S]*?)\n\n/)?.[1];
+    const userLines = (text.match(/^USER:\s*(.+)$/gm) || []).map((line) =>
+      line.replace(/^USER:\s*/, "- ")
+    );
+    return [previous, ...userLines].filter(Boolean).join("\n");
+  }
+
+  // Translation requests: the source back, each text marked with the
+  // target language ("[Tagalog] ...")
+  _translation(text) {
+    const target = text.match(/TRANSLATE INTO:\s*(.+)/)[1].trim();
+    const source = JSON.parse(text.match(/SOURCE:\n([\s\S]*?)\n\nRespond/)[1]);
+    const mark = (value) =>
+      Array.isArray(value) ? value.map(mark) : `[${target}] ${value}`;
+    return Object.fromEntries(
+      Object.entries(source).map(([field, value]) => [field, mark(value)])
+    );
+  }
+
+  _summary(messages) {
+    const text = this._text(messages);
+    const category =
+      text.match(/LEGAL CATEGORY:\s*([A-Z]+)/)?.[1] ||
+      text.match(/Analyze this ([A-Z]+) legal situation/)?.[1] ||
+      "GENERAL";
+    const fixture = SUMMARY_FIXTURES[category] || SUMMARY_FIXTURES.GENERAL;
+
+    const userLines = (text.match(/^USER:\s*(.+)$/gm) || []).map((line) =>
+      line.replace(/^USER:\s*/, "")
+    );
+    const situation = userLines.length
+      ? `The user reported: ${userLines.slice(0, 3).join(" ")}`
+      : `The user asked for help with a ${category.toLowerCase()} concern.`;
+
+    return { situation, ...JSON.parse(JSON.stringify(fixture)) };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,58 @@
+// services/providers/OpenAIProvider.js - OpenAI and OpenAI-compatible APIs (Groq)
+
+const OpenAI = require("openai");
+const { BaseProvider } = require("./BaseProvider");
+
+class OpenAIProvider extends BaseProvider {
+  constructor({ id, name, apiKey, model, baseURL, timeoutMs }) {
+    super({ id, name, apiKey, model, timeoutMs });
+    this.client = apiKey
+      ? new OpenAI({
+          apiKey,
+          baseURL,
+          timeout: this.timeoutMs,
+          maxRetries: 0,
+        })
+      : null;
+  }
+
+  async chat(messages, { temperature = 0.7, maxTokens = 300 } = {}) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    });
+    return response.choices[0].message.content;
+  }
+
+  async *stream(messages, { temperature = 0.7, maxTokens = 300, signal } = {}) {
+    const stream = await this.client.chat.completions.create(
+      {
+        model: this.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+      },
+      { signal }
+    );
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  async completeJSON(messages, { temperature = 0.7, maxTokens = 2000 } = {}) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: { type: "json_object" },
+    });
+    return response.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAIProvider;
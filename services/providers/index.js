@@ -0,0 +1,75 @@
+// services/providers/index.js - Builds the provider registry from env keys
+
+const OpenAIProvider = require("./OpenAIProvider");
+const AnthropicProvider = require("./AnthropicProvider");
+const GeminiProvider = require("./GeminiProvider");
+const MockProvider = require("./MockProvider");
+const { ERROR_TYPES } = require("./BaseProvider");
+
+const DEFAULT_ORDER = "groq,openai,anthropic,gemini";
+
+function buildAdapters(env) {
+  return {
+    groq: new OpenAIProvider({
+      id: "groq",
+      name: "Groq (Llama)",
+      apiKey: env.GROQ_API_KEY,
+      model: env.GROQ_MODEL || "llama-3.3-70b-versatile",
+      timeoutMs: env.GROQ_TIMEOUT_MS,
+      baseURL: "https://api.groq.com/openai/v1",
+    }),
+    openai: new OpenAIProvider({
+      id: "openai",
+      name: "OpenAI",
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL || "gpt-4o-mini",
+      timeoutMs: env.OPENAI_TIMEOUT_MS,
+    }),
+    anthropic: new AnthropicProvider({
+      id: "anthropic",
+      name: "Anthropic (Claude)",
+      apiKey: env.ANTHROPIC_API_KEY,
+      model: env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+      timeoutMs: env.ANTHROPIC_TIMEOUT_MS,
+    }),
+    gemini: new GeminiProvider({
+      id: "gemini",
+      name: "Google Gemini",
+      apiKey: env.GEMINI_API_KEY || env.GOOGLE_API_KEY,
+      model: env.GEMINI_MODEL || "gemini-1.5-flash",
+      timeoutMs: env.GEMINI_TIMEOUT_MS,
+    }),
+    mock: new MockProvider({
+      id: "mock",
+      name: "Mock (offline)",
+      failure: env.MOCK_AI_FAILURE,
+      latencyMs: env.MOCK_AI_LATENCY_MS,
+      timeoutMs: env.MOCK_AI_TIMEOUT_MS,
+    }),
+  };
+}
+
+// AI_PROVIDER_ORDER sets the priority; providers left out of it are disabled.
+// The mock provider is never in the default order, so it only runs when asked.
+function createProviders(env = process.env) {
+  const adapters = buildAdapters(env);
+  const order = (env.AI_PROVIDER_ORDER || DEFAULT_ORDER)
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = {};
+  for (const [id, adapter] of Object.entries(adapters)) {
+    const position = order.indexOf(id);
+    providers[id] = {
+      name: adapter.name,
+      adapter,
+      enabled: position !== -1 && adapter.enabled,
+      priority: position === -1 ? order.length + 1 : position + 1,
+      available: true,
+    };
+  }
+  return providers;
+}
+
+module.exports = { createProviders, ERROR_TYPES };
@@ -0,0 +1,91 @@
+// services/providers/mockFixtures.js - Canned answers for the mock provider
+
+const SUMMARY_FIXTURES = {
+  TENANT: {
+    relevantLaws: [
+      "Republic Act No. 9653 (Rent Control Act of 2009)",
+      "Civil Code of the Philippines, Articles 1654 and 1673",
+    ],
+    recommendedSteps: [
+      "Keep a copy of your lease contract and all rent receipts",
+      "Write down every demand or threat from the landlord with dates",
+      "File a complaint at the barangay for mediation before going to court",
+    ],
+    watchOutFor: [
+      "Eviction without a court order is not allowed",
+      "Do not sign any document waiving your rights without advice",
+    ],
+    nextAction: "Bring your lease and receipts to the barangay hall this week",
+  },
+  WORKPLACE: {
+    relevantLaws: [
+      "Labor Code of the Philippines, Article 294 (Security of Tenure)",
+      "Republic Act No. 10396 (Single Entry Approach)",
+    ],
+    recommendedSteps: [
+      "Gather your payslips, ID, contract and any termination notice",
+      "List the unpaid wages or benefits with the dates they were due",
+      "File a Request for Assistance at the nearest DOLE office",
+    ],
+    watchOutFor: [
+      "Money claims prescribe three years from when they accrued",
+      "Do not sign a quitclaim unless the amount is fair and you understand it",
+    ],
+    nextAction: "File a SEnA Request for Assistance at DOLE",
+  },
+  BARANGAY: {
+    relevantLaws: [
+      "Local Government Code, Sections 399-422 (Katarungang Pambarangay)",
+      "Revised Penal Code, Article 287 (Unjust Vexation)",
+    ],
+    recommendedSteps: [
+      "Write down what happened, when, and who witnessed it",
+      "File a complaint with the Lupong Tagapamayapa at your barangay",
+      "Attend the mediation hearing on the scheduled date",
+    ],
+    watchOutFor: [
+      "Missing the mediation hearing can bar your complaint",
+      "Call 911 right away if there are threats of violence",
+    ],
+    nextAction: "File a written complaint at the barangay hall",
+  },
+  GENERAL: {
+    relevantLaws: ["Civil Code of the Philippines"],
+    recommendedSteps: [
+      "Write down the facts in the order they happened",
+      "Keep copies of all documents and messages",
+      "Consult the Public Attorney's Office for free legal advice",
+    ],
+    watchOutFor: ["Be aware of prescription periods for filing cases"],
+    nextAction: "Visit the nearest PAO district office",
+  },
+};
+
+// First matching rule wins; keywords cover English and Tagalog
+const CHAT_RULES = [
+  {
+    keywords: ["landlord", "rent", "upa", "paalis", "umalis", "evict"],
+    reply:
+      "You cannot be evicted without a court order. Do you have a written lease contract?",
+  },
+  {
+    keywords: ["employer", "salary", "sweldo", "amo", "fired", "tinanggal"],
+    reply:
+      "Unpaid wages can be claimed through DOLE. When did your employer last pay you?",
+  },
+  {
+    keywords: ["kapitbahay", "neighbor", "barangay", "away"],
+    reply:
+      "Disputes between neighbors usually start with barangay mediation. What exactly happened?",
+  },
+  {
+    keywords: ["hit", "sinaktan", "threat", "banta", "bugbog"],
+    reply:
+      "Your safety comes first. If you are in danger, call 911 now. Are you somewhere safe?",
+  },
+];
+
+const DEFAULT_CHAT_REPLY =
+  "I understand. Can you tell me more about what happened and when?";
+
+module.exports = { SUMMARY_FIXTURES, CHAT_RULES, DEFAULT_CHAT_REPLY };
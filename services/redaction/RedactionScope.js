@@ -0,0 +1,195 @@
+// services/redaction/RedactionScope.js - Masks and unmasks text for one session
+//
+// A placeholder is derived from the session, the entity type and the value,
+// so "Pedro Santos" is always [PERSON_3FA2C1] within a session no matter
+// which request first saw him, and two concurrent requests can never hand
+// out the same placeholder for different people. Values seen earlier in the
+// session are masked wherever they reappear, even without a cue phrase.
+
+const crypto = require("crypto");
+const { detectEntities } = require("./detectors");
+const { isPublicNumber } = require("./policies");
+const { escapeRegExp } = require("../textMatch");
+
+const PLACEHOLDER =
+  /\[?\b(PERSON|PHONE|EMAIL|ID_NUMBER|ADDRESS|ORGANIZATION)_([0-9A-F]{6})\b\]?/g;
+// Text at the end of a stream chunk that may be the start of a placeholder
+const PARTIAL_PLACEHOLDER = /\[[A-Z0-9_]*$|\b[A-Z][A-Z_]*(?:_[0-9A-F]{0,5})?$/;
+
+function normalizeValue(value) {
+  return String(value).replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+class RedactionScope {
+  constructor({ session, policy, entries = [] }) {
+    this.sessionId = session.sessionId;
+    this.category = session.category;
+    this.policy = policy;
+    this.known = new Map(); // normalized value -> entry
+    this.byPlaceholder = new Map(); // placeholder -> original value
+    this.newEntries = [];
+    this.hits = new Map(); // placeholder -> { type, rule, occurrences }
+    this._matcher = null;
+
+    for (const entry of entries) this._remember(entry);
+  }
+
+  get enabled() {
+    return this.policy.enabled;
+  }
+
+  _placeholder(type, value) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(`${this.sessionId}:${type}:${normalizeValue(value)}`)
+      .digest("hex")
+      .slice(0, 6)
+      .toUpperCase();
+    return `[${type}_${hash}]`;
+  }
+
+  _remember(entry) {
+    const key = normalizeValue(entry.value);
+    if (this.known.has(key)) return false;
+    this.known.set(key, entry);
+    if (!this.byPlaceholder.has(entry.placeholder)) {
+      this.byPlaceholder.set(entry.placeholder, entry.value);
+    }
+    this._matcher = null;
+    return true;
+  }
+
+  _shouldMask(entity) {
+    // Too short to find again reliably ("Purok 3" is caught whole instead)
+    if (entity.value.trim().length < 3) return false;
+    if (this.policy.keepRules.includes(entity.rule)) return false;
+    if (entity.type === "PHONE" && isPublicNumber(entity.value)) return false;
+    PLACEHOLDER.lastIndex = 0;
+    return !PLACEHOLDER.test(entity.value);
+  }
+
+  // One regex for every known value, longest first so "Pedro Santos" wins
+  // over "Pedro"
+  _knownMatcher() {
+    if (!this._matcher) {
+      const alternatives = [...this.known.keys()]
+        .filter((key) => key.length >= 3)
+        .sort((a, b) => b.length - a.length)
+        .map((key) => escapeRegExp(key).replace(/ /g, "\\s+"));
+      this._matcher = alternatives.length
+        ? new RegExp(
+            `(?<![\\p{L}\\d])(?:${alternatives.join("|")})(?![\\p{L}\\d])`,
+            "giu"
+          )
+        : null;
+    }
+    return this._matcher;
+  }
+
+  redact(text) {
+    if (!this.enabled || typeof text !== "string" || !text) return text;
+
+    for (const entity of detectEntities(text, this.policy.types)) {
+      if (!this._shouldMask(entity)) continue;
+      const entry = {
+        sessionId: this.sessionId,
+        placeholder: this._placeholder(entity.type, entity.value),
+        type: entity.type,
+        rule: entity.rule,
+        value: entity.value.trim(),
+      };
+      if (this._remember(entry)) this.newEntries.push(entry);
+    }
+
+    const matcher = this._knownMatcher();
+    if (!matcher) return text;
+
+    return text.replace(matcher, (match) => {
+      const entry = this.known.get(normalizeValue(match));
+      if (!entry) return match;
+      const hit = this.hits.get(entry.placeholder) || {
+        placeholder: entry.placeholder,
+        type: entry.type,
+        rule: entry.rule,
+        occurrences: 0,
+      };
+      hit.occurrences++;
+      this.hits.set(entry.placeholder, hit);
+      return entry.placeholder;
+    });
+  }
+
+  redactTurns(turns) {
+    return turns.map((turn) => ({ ...turn, text: this.redact(turn.text) }));
+  }
+
+  // Put the original values back into a reply or a parsed summary
+  restore(value) {
+    if (typeof value === "string") {
+      return value.replace(PLACEHOLDER, (match, type, hash) => {
+        const original = this.byPlaceholder.get(`[${type}_${hash}]`);
+        return original === undefined ? match : original;
+      });
+    }
+    if (Array.isArray(value)) return value.map((item) => this.restore(item));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.restore(item)])
+      );
+    }
+    return value;
+  }
+
+  // Streamed replies can split a placeholder across chunks, so hold back
+  // anything that could be the start of one until the next chunk arrives
+  createStreamRestorer() {
+    let pending = "";
+    return {
+      push: (chunk) => {
+        pending += chunk;
+        const partial = pending.slice(-24).match(PARTIAL_PLACEHOLDER);
+        const cut = partial
+          ? pending.length - partial[0].length
+          : pending.length;
+        const ready = pending.slice(0, cut);
+        pending = pending.slice(cut);
+        return this.restore(ready);
+      },
+      flush: () => {
+        const rest = pending;
+        pending = "";
+        return this.restore(rest);
+      },
+    };
+  }
+
+  // Everything masked since the last commit, for the audit log. Original
+  // values are deliberately left out.
+  takeAudit(purpose) {
+    const entities = [...this.hits.values()];
+    this.hits = new Map();
+    const newEntries = this.newEntries;
+    this.newEntries = [];
+
+    const totals = {};
+    for (const entity of entities) {
+      totals[entity.type] = (totals[entity.type] || 0) + entity.occurrences;
+    }
+
+    return {
+      newEntries,
+      audit: entities.length
+        ? {
+            sessionId: this.sessionId,
+            purpose,
+            category: this.category,
+            entities,
+            totals,
+            createdAt: Date.now(),
+          }
+        : null,
+    };
+  }
+}
+
+module.exports = RedactionScope;
@@ -0,0 +1,338 @@
+// services/redaction/detectors.js - Finds personal details in chat text
+//
+// Speech-to-text output is informal English, Tagalog or Taglish and often
+// badly capitalized, so most details are found through the words in front
+// of them ("ako si ...", "landlord ko si ...", "nakatira ako sa ...") rather
+// than by their shape alone. Each hit is { type, rule, start, end, value }.
+//
+// Cue phrases are matched case-insensitively, but what follows them is
+// checked case-sensitively: with the "i" flag \p{Lu} also matches lowercase.
+
+const ENTITY_TYPES = [
+  "PERSON",
+  "PHONE",
+  "EMAIL",
+  "ID_NUMBER",
+  "ADDRESS",
+  "ORGANIZATION",
+];
+
+// Words that end a name even when they follow a cue
+const STOPWORDS = new Set([
+  "and",
+  "at",
+  "ang",
+  "ng",
+  "na",
+  "ay",
+  "po",
+  "ko",
+  "mo",
+  "niya",
+  "namin",
+  "natin",
+  "nila",
+  "sa",
+  "kasi",
+  "pero",
+  "tapos",
+  "from",
+  "who",
+  "is",
+  "was",
+  "my",
+  "the",
+  "i",
+  "he",
+  "she",
+  "they",
+  "we",
+  "but",
+  "because",
+  "said",
+  "told",
+]);
+
+// Titles and honorifics are kept so the same person is masked the same way
+// with or without them: "si Aling Nena Reyes" masks only "Nena Reyes"
+const TITLES = new Set([
+  "mr",
+  "mrs",
+  "ms",
+  "dr",
+  "atty",
+  "engr",
+  "sir",
+  "aling",
+  "mang",
+  "manang",
+  "manong",
+  "ate",
+  "kuya",
+  "tita",
+  "tito",
+  "lola",
+  "lolo",
+  "gng",
+  "bb",
+  "kapitan",
+  "kap",
+  "captain",
+  "kagawad",
+  "tanod",
+  "chairman",
+  "mayor",
+  "konsehal",
+  "councilor",
+  "judge",
+  "fiscal",
+  "officer",
+]);
+
+// Lowercase connectors allowed inside a name: "Juan dela Cruz"
+const NAME_PARTICLES = new Set(["de", "dela", "del", "delos", "los", "la"]);
+
+// Abbreviations whose period does not end the sentence
+const ABBREVIATION = /^(?:Mr|Mrs|Ms|Dr|Sto|Sta|Jr|Sr)\.$/;
+
+const NAME_WORD = /\s*([\p{L}][\p{L}'.-]*)/uy;
+
+// Read the name-looking words at the start of `text`. Strong cues such as
+// "my name is" accept lowercase speech-to-text output; weaker ones need
+// capitalized words.
+function takeName(text, { requireCapital, maxWords = 4 }) {
+  const words = [];
+  let position = 0;
+
+  while (words.length < maxWords) {
+    NAME_WORD.lastIndex = position;
+    const match = NAME_WORD.exec(text);
+    if (!match) break;
+
+    const raw = match[1];
+    const word = raw.replace(/\.+$/, "");
+    const lower = word.toLowerCase();
+    if (!word || STOPWORDS.has(lower)) break;
+
+    if (TITLES.has(lower) && words.length === 0) {
+      position = match.index + match[0].length;
+      continue;
+    }
+
+    const particle = NAME_PARTICLES.has(lower) && words.length > 0;
+    if (!particle && requireCapital && !/^\p{Lu}/u.test(word)) break;
+
+    const start = match.index + match[0].length - raw.length;
+    words.push({ word, start, end: start + word.length });
+    position = match.index + match[0].length;
+
+    if (raw.endsWith(".") && !ABBREVIATION.test(raw)) break;
+  }
+
+  // Never end on a dangling particle ("Juan dela")
+  while (
+    words.length &&
+    NAME_PARTICLES.has(words[words.length - 1].word.toLowerCase())
+  ) {
+    words.pop();
+  }
+  if (!words.length) return null;
+
+  const start = words[0].start;
+  return {
+    start,
+    value: text.slice(start, words[words.length - 1].end),
+  };
+}
+
+// Names and employers introduced by a cue phrase
+const CUE_RULES = [
+  {
+    type: "PERSON",
+    rule: "self-introduction",
+    requireCapital: false,
+    pattern:
+      /\b(?:my name is|my name's|i am called|ako po si|ako si|(?:ang )?pangalan ko(?: po)? (?:ay|is)|name ko(?: po)? (?:ay|is))\s+/gi,
+  },
+  {
+    // "I am tired" is far more common than "I am Maria", so the plain
+    // English cue only takes capitalized words
+    type: "PERSON",
+    rule: "self-introduction",
+    pattern: /\b(?:i am|i['’]m)\s+/gi,
+  },
+  {
+    type: "PERSON",
+    rule: "honorific",
+    pattern:
+      /\b(?:mr|mrs|ms|dr|atty|engr|sir|ma'?am|madam|aling|mang|manang|manong|ate|kuya|tita|tito|lola|lolo|gng|bb)\.?\s+/gi,
+  },
+  {
+    // Tagalog personal articles: si Pedro, ni Pedro, kay Pedro, sina Ana
+    type: "PERSON",
+    rule: "personal-article",
+    pattern: /\b(?:si|ni|kay|sina|nina|kina)\s+/gi,
+  },
+  {
+    type: "PERSON",
+    rule: "relationship",
+    pattern:
+      /\b(?:landlord|landlady|employer|boss|manager|supervisor|foreman|amo|neighbou?r|kapitbahay|may-ari|owner|husband|wife|asawa|partner)(?:,?\s+(?:ko|namin|is|was|named|called|na|ay))*,?\s+/gi,
+  },
+  {
+    type: "ORGANIZATION",
+    rule: "workplace",
+    maxWords: 5,
+    pattern:
+      /\b(?:work(?:s|ed|ing)? (?:at|for)|employed (?:at|by)|nagtatrabaho(?: ako)?(?: po)? sa|nagwowork(?: ako)?(?: po)? sa|(?:company|kumpanya|employer) (?:namin|ko) (?:ay|is))\s+/gi,
+  },
+];
+
+// Details with a recognizable shape. `follow`, when present, is matched
+// case-sensitively right after the cue and only that part is masked, unless
+// `includeCue` is set.
+const PATTERN_RULES = [
+  {
+    type: "EMAIL",
+    rule: "email",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  {
+    type: "PHONE",
+    rule: "ph-mobile",
+    pattern: /(?:\+63|\b63|\b0)[\s-]?9\d{2}[\s-]?\d{3}[\s-]?\d{4}\b/g,
+  },
+  {
+    type: "PHONE",
+    rule: "landline",
+    pattern: /(?:\(0?\d{1,2}\)|\b0\d{1,2})[\s-]?\d{3,4}[\s-]?\d{4}\b/g,
+  },
+  { type: "ID_NUMBER", rule: "sss", pattern: /\b\d{2}-\d{7}-\d\b/g },
+  { type: "ID_NUMBER", rule: "philhealth", pattern: /\b\d{2}-\d{9}-\d\b/g },
+  {
+    type: "ID_NUMBER",
+    rule: "tin",
+    pattern: /\b\d{3}-\d{3}-\d{3}(?:-\d{3,5})?\b/g,
+  },
+  {
+    type: "ADDRESS",
+    rule: "block-lot",
+    pattern:
+      /\b(?:blk|block)\.?\s*\d+[a-z]?(?:\s*,?\s*(?:lot|l)\.?\s*\d+[a-z]?)?(?:\s*,?\s*(?:phase|ph)\.?\s*\d+[a-z]?)?/gi,
+  },
+  {
+    type: "ADDRESS",
+    rule: "street",
+    pattern:
+      /(?:#\s?|\b)\d+[A-Za-z]?(?:-\d+)?\s+(?:\p{Lu}[\p{L}'.-]*\s+){1,3}(?:St|Street|Ave|Avenue|Road|Rd|Blvd|Boulevard|Drive|Dr|Lane|Ln|Extension|Ext|Highway|Hwy)\b\.?/gu,
+  },
+  {
+    type: "ADDRESS",
+    rule: "street",
+    pattern:
+      /\b(?:\p{Lu}[\p{L}'-]*\s+){1,3}(?:Street|St\.|Avenue|Ave\.|Road|Rd\.|Boulevard|Blvd\.)/gu,
+  },
+  {
+    type: "ADDRESS",
+    rule: "barangay",
+    pattern: /\b(?:barangay|brgy|bgy)\.?\s+/gi,
+    follow:
+      /(?!(?:Hall|Captain|Kapitan|Tanod|Office|Officials?|Chairman)\b)(?:\d+|\p{Lu}[\p{L}'-]*)(?:\s+(?:\d+|\p{Lu}[\p{L}'-]*)){0,2}/uy,
+  },
+  {
+    type: "ADDRESS",
+    rule: "purok-sitio",
+    pattern: /\b(?:purok|sitio|zone)\s+/gi,
+    follow: /(?:\d+|\p{Lu}[\p{L}'-]*)/uy,
+    includeCue: true,
+  },
+  {
+    // "I live at ..." / "nakatira ako sa ..." up to the end of the clause
+    type: "ADDRESS",
+    rule: "residence",
+    pattern:
+      /\b(?:i live at|i'm living at|i am living at|my address is|address ko(?: po)? (?:ay|is)|nakatira(?: ako)?(?: po)? sa|tirahan ko(?: po)? (?:ay|is))\s+/gi,
+    follow:
+      /(?:\d|#|\p{Lu})[^.?!\n]{2,80}?(?=\s+(?:and|at|pero|kasi|tapos|but)\b|[.?!\n]|$)/uy,
+  },
+  {
+    type: "ORGANIZATION",
+    rule: "company-suffix",
+    pattern:
+      /\b(?:\p{Lu}[\p{L}&'-]*\s+){0,4}\p{Lu}[\p{L}&'-]*\s+(?:Inc|Corp|Corporation|Co|Company|Enterprises?|Trading|Ltd|LLC|Incorporated|Holdings|Manpower|Agency)\b\.?/gu,
+  },
+];
+
+function runPatternRules(text) {
+  const found = [];
+  for (const { type, rule, pattern, follow, includeCue } of PATTERN_RULES) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      let start = match.index;
+      let value = match[0];
+      if (follow) {
+        follow.lastIndex = match.index + match[0].length;
+        const tail = follow.exec(text);
+        if (!tail) continue;
+        if (!includeCue) start = tail.index;
+        value = text.slice(start, tail.index + tail[0].length);
+      }
+      found.push({ type, rule, start, end: start + value.length, value });
+    }
+  }
+  return found;
+}
+
+function runCueRules(text) {
+  const found = [];
+  for (const cue of CUE_RULES) {
+    cue.pattern.lastIndex = 0;
+    let match;
+    while ((match = cue.pattern.exec(text))) {
+      const after = match.index + match[0].length;
+      const name = takeName(text.slice(after), {
+        requireCapital: cue.requireCapital !== false,
+        maxWords: cue.maxWords,
+      });
+      if (!name) continue;
+      const start = after + name.start;
+      found.push({
+        type: cue.type,
+        rule: cue.rule,
+        start,
+        end: start + name.value.length,
+        value: name.value,
+      });
+    }
+  }
+  return found;
+}
+
+// Overlapping hits keep the earliest, then the longest
+function resolveOverlaps(entities) {
+  const sorted = entities
+    .filter((e) => e.value.trim() && e.end > e.start)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  for (const entity of sorted) {
+    const previous = kept[kept.length - 1];
+    if (previous && entity.start < previous.end) continue;
+    kept.push(entity);
+  }
+  return kept;
+}
+
+// Non-overlapping entities of the requested types, in text order
+function detectEntities(text, types = ENTITY_TYPES) {
+  if (!text || typeof text !== "string") return [];
+  const wanted = new Set(types);
+
+  return resolveOverlaps(
+    [...runPatternRules(text), ...runCueRules(text)].filter((e) =>
+      wanted.has(e.type)
+    )
+  );
+}
+
+module.exports = { ENTITY_TYPES, detectEntities };
@@ -0,0 +1,63 @@
+// services/redaction/index.js - Keeps personal details away from AI providers
+//
+// Usage around any provider call:
+//   const redaction = await redactionService.scope(session);
+//   const reply = redaction.restore(await ai.call(redaction.redact(text)));
+//   await redactionService.commit(redaction, "chat");
+//
+// The placeholder -> value map lives in the "redactions" collection so
+// replies and summaries can be restored later; "redactionAudit" records
+// what kind of detail was masked, when and for which call, without the
+// values themselves.
+
+const RedactionScope = require("./RedactionScope");
+const { ENTITY_TYPES, detectEntities } = require("./detectors");
+const { REDACTION_POLICIES, getPolicy } = require("./policies");
+
+class RedactionService {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  async scope(session) {
+    const policy = getPolicy(session.category);
+    const entries = policy.enabled
+      ? await this.store.query("redactions", { sessionId: session.sessionId })
+      : [];
+    return new RedactionScope({ session, policy, entries });
+  }
+
+  async commit(scope, purpose) {
+    const { newEntries, audit } = scope.takeAudit(purpose);
+
+    for (const entry of newEntries) {
+      await this.store.append("redactions", {
+        ...entry,
+        createdAt: Date.now(),
+      });
+    }
+    if (audit) {
+      await this.store.append("redactionAudit", audit);
+      const summary = Object.entries(audit.totals)
+        .map(([type, count]) => `${type}×${count}`)
+        .join(", ");
+      console.log(`🛡️ Masked ${summary} before ${purpose}`);
+    }
+    return audit;
+  }
+
+  async auditLog(sessionId) {
+    return (await this.store.query("redactionAudit", { sessionId })).sort(
+      (a, b) => a.createdAt - b.createdAt
+    );
+  }
+}
+
+module.exports = {
+  RedactionService,
+  RedactionScope,
+  ENTITY_TYPES,
+  REDACTION_POLICIES,
+  detectEntities,
+  getPolicy,
+};
@@ -0,0 +1,42 @@
+// services/redaction/policies.js - What gets masked for each category
+//
+// Every category masks every entity type unless it says otherwise. Set
+// PII_REDACTION=off to send text to the providers unmasked (local testing
+// only).
+
+const { ENTITY_TYPES } = require("./detectors");
+const { normalizeCategory } = require("../categories");
+
+const REDACTION_POLICIES = {
+  "*": { enabled: true, types: ENTITY_TYPES },
+  // Barangay disputes are settled by the lupon of the barangay where the
+  // parties live, so the barangay name itself stays visible to the model
+  BARANGAY: { keepRules: ["barangay"] },
+};
+
+// Public hotlines that show up in replies and summaries; masking them
+// would only hide useful information from the model
+const PUBLIC_NUMBERS = ["911", "1343", "1349", "84262075", "9299436", "8888"];
+
+function getPolicy(category) {
+  const base = REDACTION_POLICIES["*"];
+  const override = REDACTION_POLICIES[normalizeCategory(category)] || {};
+  const disabled =
+    String(process.env.PII_REDACTION || "").toLowerCase() === "off";
+
+  return {
+    enabled: !disabled && (override.enabled ?? base.enabled),
+    types: override.types || base.types,
+    keepRules: override.keepRules || [],
+  };
+}
+
+function isPublicNumber(value) {
+  // Compare without the Metro Manila area code: (02) 8426-2075 -> 84262075
+  const digits = String(value)
+    .replace(/\D/g, "")
+    .replace(/^(?:632|02)/, "");
+  return PUBLIC_NUMBERS.includes(digits);
+}
+
+module.exports = { REDACTION_POLICIES, getPolicy, isPublicNumber };
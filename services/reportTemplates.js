@@ -0,0 +1,152 @@
+// services/reportTemplates.js - Registry of document templates per office
+
+// Every field a template can ask for. The summary page uses the labels and
+// input types to build the form; the templates read the same keys.
+const FIELDS = {
+  userName: { label: "Your full name", type: "text" },
+  userAge: { label: "Your age", type: "number" },
+  userCivilStatus: { label: "Civil status", type: "text" },
+  userAddress: { label: "Your address", type: "text" },
+  userContact: { label: "Your contact number / email", type: "text" },
+  respondentName: { label: "Name of the other party", type: "text" },
+  respondentAddress: { label: "Address of the other party", type: "text" },
+  relationship: { label: "Your relationship to the respondent", type: "text" },
+  barangay: { label: "Barangay, City/Municipality", type: "text" },
+  employerName: { label: "Employer / company name", type: "text" },
+  employerAddress: { label: "Employer address", type: "text" },
+  position: { label: "Your position", type: "text" },
+  employmentStart: { label: "Date you started working", type: "date" },
+  propertyAddress: { label: "Address of the rented property", type: "text" },
+  incidentDate: { label: "Date of incident", type: "date" },
+  incidentPlace: { label: "Place of incident", type: "text" },
+  details: { label: "What happened", type: "textarea" },
+  reliefSought: { label: "What you are asking for", type: "textarea" },
+  deadlineDays: { label: "Days given to comply", type: "number" },
+};
+
+const REPORT_TEMPLATES = {
+  INCIDENT: {
+    title: "Incident Report",
+    view: "incident.ejs",
+    categories: ["*"],
+    requiredFields: ["details"],
+    optionalFields: ["userName", "respondentName", "incidentDate"],
+  },
+  BARANGAY_COMPLAINT: {
+    title: "Katarungang Pambarangay Complaint",
+    view: "barangay-complaint.ejs",
+    categories: ["BARANGAY", "TENANT", "GENERAL"],
+    requiredFields: [
+      "userName",
+      "userAddress",
+      "respondentName",
+      "respondentAddress",
+      "barangay",
+      "details",
+      "reliefSought",
+    ],
+    optionalFields: ["incidentDate"],
+  },
+  DOLE_SENA: {
+    title: "DOLE SEnA Request for Assistance",
+    view: "dole-sena.ejs",
+    categories: ["WORKPLACE"],
+    requiredFields: [
+      "userName",
+      "userAddress",
+      "userContact",
+      "employerName",
+      "employerAddress",
+      "details",
+      "reliefSought",
+    ],
+    optionalFields: ["position", "employmentStart"],
+  },
+  DEMAND_LETTER: {
+    title: "Demand Letter",
+    view: "demand-letter.ejs",
+    categories: ["TENANT", "WORKPLACE", "GENERAL"],
+    requiredFields: [
+      "userName",
+      "userAddress",
+      "respondentName",
+      "respondentAddress",
+      "details",
+      "reliefSought",
+    ],
+    optionalFields: ["propertyAddress", "deadlineDays"],
+  },
+  VAWC_AFFIDAVIT: {
+    title: "VAWC Affidavit-Complaint (Draft)",
+    view: "vawc-affidavit.ejs",
+    categories: ["BARANGAY", "GENERAL"],
+    requiredFields: [
+      "userName",
+      "userAge",
+      "userAddress",
+      "respondentName",
+      "relationship",
+      "details",
+    ],
+    optionalFields: ["userCivilStatus", "incidentDate", "incidentPlace"],
+  },
+};
+
+// Template used when the client does not ask for a specific one
+const DEFAULT_TEMPLATE_BY_CATEGORY = {
+  BARANGAY: "BARANGAY_COMPLAINT",
+  WORKPLACE: "DOLE_SENA",
+  TENANT: "DEMAND_LETTER",
+  GENERAL: "INCIDENT",
+};
+
+function isAllowedForCategory(template, category) {
+  return (
+    template.categories.includes("*") || template.categories.includes(category)
+  );
+}
+
+function resolveTemplate(reportType, category) {
+  // Straight from the request body, so it may be anything
+  if (reportType && typeof reportType !== "string") return null;
+  const type = reportType
+    ? reportType.toUpperCase()
+    : DEFAULT_TEMPLATE_BY_CATEGORY[category] || "INCIDENT";
+  const template = REPORT_TEMPLATES[type];
+
+  if (!template || !isAllowedForCategory(template, category)) return null;
+  return { type, ...template };
+}
+
+function listTemplatesForCategory(category) {
+  return Object.entries(REPORT_TEMPLATES)
+    .filter(([_, template]) => isAllowedForCategory(template, category))
+    .map(([type, template]) => ({
+      type,
+      title: template.title,
+      isDefault: DEFAULT_TEMPLATE_BY_CATEGORY[category] === type,
+      fields: [...template.requiredFields, ...template.optionalFields].map(
+        (key) => ({
+          key,
+          ...FIELDS[key],
+          required: template.requiredFields.includes(key),
+        })
+      ),
+    }));
+}
+
+function findMissingFields(template, data) {
+  return template.requiredFields.filter((key) => {
+    const value = data[key];
+    if (Array.isArray(value)) return value.length === 0;
+    return value === undefined || value === null || String(value).trim() === "";
+  });
+}
+
+module.exports = {
+  FIELDS,
+  REPORT_TEMPLATES,
+  resolveTemplate,
+  listTemplatesForCategory,
+  findMissingFields,
+};
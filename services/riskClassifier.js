@@ -0,0 +1,288 @@
+// services/riskClassifier.js - Spots danger in what the user says during a call
+//
+// Runs locally on every USER transcript, so it never waits on a provider.
+// Each phrase belongs to a signal type with a base severity; anything said
+// as happening now ("sinasaktan", "right now", "nandito siya") raises it a
+// level. HIGH means the AI reply is replaced with safety instructions.
+// A phrase said as not happening ("hindi niya ako sinasaktan") counts for
+// nothing.
+
+const { getLanguage } = require("./languages");
+const { phrasePattern } = require("./textMatch");
+
+const RISK_LEVELS = ["NONE", "LOW", "MEDIUM", "HIGH"];
+
+// [phrase, ongoing] - ongoing phrases describe something happening now
+const SIGNALS = {
+  PHYSICAL_VIOLENCE: {
+    severity: "MEDIUM",
+    phrases: [
+      ["sinasaktan", true],
+      ["binubugbog", true],
+      ["sinasakal", true],
+      ["hitting me", true],
+      ["beating me", true],
+      ["choking me", true],
+      ["ginakulata", true],
+      ["sinaktan", false],
+      ["binugbog", false],
+      ["sinuntok", false],
+      ["sinampal", false],
+      ["sinipa", false],
+      ["gikulata", false],
+      ["gibunalan", false],
+      ["hit me", false],
+      ["beat me", false],
+      ["punched me", false],
+      ["slapped me", false],
+      ["kicked me", false],
+    ],
+  },
+  THREAT: {
+    severity: "MEDIUM",
+    phrases: [
+      ["papatayin", true],
+      ["pamatyon", true],
+      ["going to kill me", true],
+      ["will kill me", true],
+      ["tinututukan", true],
+      ["pointing a gun", true],
+      ["tinutukan", false],
+      ["threatened to kill", false],
+      ["death threat", false],
+      ["may baril", false],
+      ["may kutsilyo", false],
+      ["has a gun", false],
+      ["has a knife", false],
+    ],
+  },
+  CONFINEMENT: {
+    severity: "HIGH",
+    phrases: [
+      ["nakakulong ako", true],
+      ["ikinulong", true],
+      ["kinulong", true],
+      ["ayaw akong palabasin", true],
+      ["hindi ako makalabas", true],
+      ["dili ko kagawas", true],
+      ["locked me in", true],
+      ["locked me up", true],
+      ["won't let me leave", true],
+      ["wont let me leave", true],
+      ["held against my will", true],
+      ["hostage", true],
+      ["kinuha ang passport", false],
+      ["took my passport", false],
+    ],
+  },
+  SEXUAL_VIOLENCE: {
+    severity: "MEDIUM",
+    phrases: [
+      ["ginagahasa", true],
+      ["ginahasa", false],
+      ["hinalay", false],
+      ["minolestiya", false],
+      ["raped", false],
+      ["rape", false],
+      ["molested", false],
+      ["sexually assaulted", false],
+    ],
+  },
+  SELF_HARM: {
+    severity: "HIGH",
+    phrases: [
+      ["magpakamatay", true],
+      ["magpapakamatay", true],
+      ["ayoko nang mabuhay", true],
+      ["kill myself", true],
+      ["end my life", true],
+      ["suicide", true],
+      ["saktan ang sarili", true],
+      ["hurt myself", true],
+    ],
+  },
+  FEAR: {
+    severity: "LOW",
+    phrases: [
+      ["natatakot ako", false],
+      ["takot ako", false],
+      ["nahadlok ko", false],
+      ["i'm scared", false],
+      ["i am scared", false],
+      ["afraid for my life", false],
+      ["stalking me", false],
+      ["sinusundan ako", false],
+    ],
+  },
+};
+
+// Words that put the danger in the present
+const IMMEDIACY = [
+  "ngayon mismo",
+  "karon dayon",
+  "right now",
+  "nandito siya",
+  "andito siya",
+  "nasa labas siya",
+  "outside my door",
+  "saklolo",
+  "emergency",
+];
+
+// Mentions of a child turn abuse into a Bantay Bata case as well
+const CHILD_WORDS = ["anak", "bata", "child", "kid", "son", "daughter"];
+
+const HOTLINES = {
+  PNP: { name: "PNP Emergency", number: "911" },
+  VAWC: {
+    name: "VAWC Desk",
+    number: null,
+    note: "at any police station or barangay hall",
+  },
+  DSWD: { name: "DSWD / 1343 Actionline", number: "1343" },
+  NCMH: {
+    name: "NCMH Crisis Hotline",
+    number: "1553",
+    note: "free, 24/7",
+  },
+  BANTAY_BATA: { name: "Bantay Bata", number: "163" },
+};
+
+const HOTLINES_BY_SIGNAL = {
+  PHYSICAL_VIOLENCE: ["PNP", "VAWC", "DSWD"],
+  THREAT: ["PNP", "VAWC"],
+  CONFINEMENT: ["PNP", "DSWD"],
+  SEXUAL_VIOLENCE: ["PNP", "VAWC", "DSWD"],
+  SELF_HARM: ["NCMH", "PNP"],
+  FEAR: ["PNP"],
+};
+
+// A negation right before the phrase, with at most a few pronouns or
+// particles in between: "hindi niya ako sinasaktan", "he is not hitting
+// me". Like the written-contract check in deadlines, a comma ends it, so
+// "hindi ko alam, sinasaktan niya ako" still counts.
+const NEGATED =
+  /(?:^|[^\p{L}'’])(?:hindi|di|wala|walang|dili|not|never|\p{L}+n['’]t)\s+(?:(?:na|pa|naman|po|ko|mo|niya|nila|ako|akong|siya|sila|kami|kayo|ka|ta|he|she|they|is|was|are|were|has|have|been)\s+){0,3}$/iu;
+
+// True when at least one mention of the phrase is not negated
+function mentioned(pattern, text) {
+  const global = new RegExp(pattern.source, "giu");
+  return [...text.matchAll(global)].some(
+    (match) => !NEGATED.test(text.slice(0, match.index + match[1].length))
+  );
+}
+
+const MATCHERS = Object.entries(SIGNALS).flatMap(
+  ([type, { severity, phrases }]) =>
+    phrases.map(([phrase, ongoing]) => ({
+      type,
+      severity,
+      phrase,
+      ongoing,
+      pattern: phrasePattern(phrase),
+    }))
+);
+const IMMEDIACY_PATTERNS = IMMEDIACY.map(phrasePattern);
+const CHILD_PATTERNS = CHILD_WORDS.map(phrasePattern);
+
+function levelIndex(severity) {
+  return Math.max(0, RISK_LEVELS.indexOf(severity));
+}
+
+function maxSeverity(a, b) {
+  return levelIndex(a) >= levelIndex(b) ? a : b;
+}
+
+function raise(severity) {
+  return RISK_LEVELS[
+    Math.min(levelIndex(severity) + 1, RISK_LEVELS.length - 1)
+  ];
+}
+
+// Returns { severity, signals: [{ type, phrase }], immediate, hotlines }
+function assessRisk(text) {
+  const value = String(text || "");
+  const hits = MATCHERS.filter((matcher) => mentioned(matcher.pattern, value));
+  if (!hits.length) {
+    return { severity: "NONE", signals: [], immediate: false, hotlines: [] };
+  }
+
+  const immediate =
+    hits.some((hit) => hit.ongoing) ||
+    IMMEDIACY_PATTERNS.some((pattern) => pattern.test(value));
+  const types = [...new Set(hits.map((hit) => hit.type))];
+
+  let severity = hits.reduce(
+    (current, hit) => maxSeverity(current, hit.severity),
+    "NONE"
+  );
+  // Fear alone stays LOW; harm happening now, or more than one kind of
+  // harm at once, is an emergency
+  const harmTypes = types.filter((type) => type !== "FEAR");
+  if (harmTypes.length && (immediate || harmTypes.length > 1)) {
+    severity = raise(severity);
+  }
+
+  const hotlineIds = new Set(types.flatMap((type) => HOTLINES_BY_SIGNAL[type]));
+  if (
+    types.some((type) =>
+      ["PHYSICAL_VIOLENCE", "SEXUAL_VIOLENCE"].includes(type)
+    ) &&
+    CHILD_PATTERNS.some((pattern) => pattern.test(value))
+  ) {
+    hotlineIds.add("BANTAY_BATA");
+  }
+
+  return {
+    severity,
+    signals: hits.map(({ type, phrase }) => ({ type, phrase })),
+    immediate,
+    hotlines: getHotlines([...hotlineIds]),
+  };
+}
+
+function getHotlines(ids) {
+  return ids
+    .filter((id) => HOTLINES[id])
+    .map((id) => ({ id, ...HOTLINES[id] }));
+}
+
+function isAtLeast(severity, threshold) {
+  return levelIndex(severity) >= levelIndex(threshold);
+}
+
+// The reply that replaces the AI's at HIGH severity, in the session's
+// language
+function safetyMessage(assessment, language) {
+  const text = getLanguage(language).safety;
+  const types = new Set(assessment.signals.map((signal) => signal.type));
+  const lines = [text.intro];
+
+  if (types.has("SELF_HARM")) lines.push(text.selfHarm);
+  if (types.has("CONFINEMENT")) lines.push(text.confinement);
+  if (
+    types.has("PHYSICAL_VIOLENCE") ||
+    types.has("THREAT") ||
+    types.has("SEXUAL_VIOLENCE")
+  ) {
+    lines.push(text.violence);
+  }
+
+  const others = assessment.hotlines
+    .filter((hotline) => hotline.id !== "PNP")
+    .map((hotline) => `${hotline.name}: ${hotline.number || text.walkIn}`);
+  if (others.length) lines.push(text.otherHotlines(others.join(", ")));
+
+  lines.push(text.closing);
+  return lines.join(" ");
+}
+
+module.exports = {
+  RISK_LEVELS,
+  HOTLINES,
+  assessRisk,
+  getHotlines,
+  isAtLeast,
+  maxSeverity,
+  safetyMessage,
+};
@@ -0,0 +1,139 @@
+// services/sessionAccess.js - Express middleware for identity and ownership
+//
+// identify() runs on every request and makes sure req.user is set, handing
+// out a signed anonymous identity to first-time visitors. requireSessionOwner()
+// guards anything that takes a sessionId: someone else's session looks
+// exactly like one that does not exist. requireAdmin() guards the admin
+// pages and APIs, requireVolunteer() the volunteer console.
+
+const AuthService = require("./AuthService");
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Ignore cookies that are not ours and not URI-encoded
+    }
+  }
+  return cookies;
+}
+
+function setIdentityCookie(res, auth, identity) {
+  res.cookie(AuthService.COOKIE_NAME, auth.issueToken(identity), {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: AuthService.COOKIE_MAX_AGE_MS,
+  });
+}
+
+function identify(auth) {
+  return (req, res, next) => {
+    const token = parseCookies(req.headers.cookie)[AuthService.COOKIE_NAME];
+    let identity = auth.verifyToken(token);
+    if (!identity) {
+      identity = auth.createAnonymousIdentity();
+      setIdentityCookie(res, auth, identity);
+    }
+    req.user = identity;
+    res.locals.user = identity;
+    next();
+  };
+}
+
+// options.page: redirect instead of answering with JSON
+// options.resolveSessionId: for routes that reach the session indirectly
+function requireSessionOwner(store, { page = false, resolveSessionId } = {}) {
+  const notFound = (req, res) => {
+    if (!page) return res.status(404).json({ error: "Session not found" });
+    if (req.user.anonymous) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    return res.redirect("/history");
+  };
+
+  return async (req, res, next) => {
+    try {
+      const sessionId = resolveSessionId
+        ? await resolveSessionId(req)
+        : req.params.sessionId || (req.body && req.body.sessionId);
+      if (!sessionId) {
+        if (page) return notFound(req, res);
+        return res.status(400).json({ error: "sessionId is required" });
+      }
+
+      const session = await store.findOne("sessions", { sessionId });
+      if (!session || session.userId !== req.user.userId) {
+        if (session) {
+          console.warn(`🔒 Blocked access to session ${sessionId}`);
+        }
+        return notFound(req, res);
+      }
+
+      req.consultation = session;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Usernames listed in an env var, e.g. ADMIN_USERS=ana,ben
+function listedUsers(variable) {
+  return new Set(
+    String(process.env[variable] || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+function requireListed(isAllowed, denied, { page = false } = {}) {
+  return (req, res, next) => {
+    if (isAllowed(req.user)) return next();
+    if (!page) return res.status(403).json({ error: denied });
+    if (req.user.anonymous) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    return res.redirect("/");
+  };
+}
+
+// Signed-in accounts whose username is listed in ADMIN_USERS
+function requireAdmin(options) {
+  const admins = listedUsers("ADMIN_USERS");
+  return requireListed(
+    (user) => !user.anonymous && admins.has(user.username),
+    "Admin access only",
+    options
+  );
+}
+
+// PAO and partner paralegals who take over calls: VOLUNTEER_USERS, plus
+// the admins
+function isVolunteer(user) {
+  if (!user || user.anonymous) return false;
+  return (
+    listedUsers("VOLUNTEER_USERS").has(user.username) ||
+    listedUsers("ADMIN_USERS").has(user.username)
+  );
+}
+
+function requireVolunteer(options) {
+  return requireListed(isVolunteer, "Volunteer access only", options);
+}
+
+module.exports = {
+  parseCookies,
+  setIdentityCookie,
+  identify,
+  requireSessionOwner,
+  requireAdmin,
+  isVolunteer,
+  requireVolunteer,
+};
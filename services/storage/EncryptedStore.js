@@ -0,0 +1,153 @@
+// services/storage/EncryptedStore.js - Field-level encryption over any backend
+//
+// Wraps a store and encrypts the configured fields on the way in and
+// decrypts them on the way out, so callers keep using the plain interface.
+// Everything else (sessionId, timestamps, status) stays in the clear so the
+// backends can still index and filter on it.
+//
+// Filters that look at an encrypted field can't be pushed down to the
+// backend; they are checked against the decrypted record instead.
+
+const { isObjectFilter, toPredicate } = require("./filters");
+
+class EncryptedStore {
+  // fields: { collection: ["field", ...] }
+  constructor({ store, cipher, fields }) {
+    this.store = store;
+    this.cipher = cipher;
+    this.fields = fields || {};
+  }
+
+  get backend() {
+    return this.store.backend;
+  }
+
+  get keyId() {
+    return this.cipher.keyId;
+  }
+
+  async init() {
+    await this.store.init();
+  }
+
+  _seal(collection, item) {
+    const fields = this.fields[collection];
+    if (!fields || !item) return item;
+
+    const sealed = { ...item };
+    for (const field of fields) {
+      if (sealed[field] === undefined || sealed[field] === null) continue;
+      sealed[field] = this.cipher.encrypt(
+        sealed[field],
+        `${collection}.${field}`
+      );
+    }
+    return sealed;
+  }
+
+  _open(collection, item) {
+    const fields = this.fields[collection];
+    if (!fields || !item) return item;
+
+    const opened = { ...item };
+    for (const field of fields) {
+      if (opened[field] === undefined) continue;
+      opened[field] = this.cipher.decrypt(
+        opened[field],
+        `${collection}.${field}`
+      );
+    }
+    return opened;
+  }
+
+  // Object filters on clear fields go to the backend untouched
+  _filter(collection, filter) {
+    const fields = this.fields[collection];
+    if (!fields) return filter;
+    if (
+      !filter ||
+      (isObjectFilter(filter) &&
+        !Object.keys(filter).some((key) => fields.includes(key)))
+    ) {
+      return filter;
+    }
+    const predicate = toPredicate(filter);
+    return (item) => predicate(this._open(collection, item));
+  }
+
+  async read(collection) {
+    const items = await this.store.read(collection);
+    return items.map((item) => this._open(collection, item));
+  }
+
+  async append(collection, item) {
+    await this.store.append(collection, this._seal(collection, item));
+    return item;
+  }
+
+  async appendMany(collection, items) {
+    return this.store.appendMany(
+      collection,
+      items.map((item) => this._seal(collection, item))
+    );
+  }
+
+  async count(collection) {
+    return this.store.count(collection);
+  }
+
+  async findOne(collection, filter) {
+    const item = await this.store.findOne(
+      collection,
+      this._filter(collection, filter)
+    );
+    return this._open(collection, item);
+  }
+
+  async query(collection, filter) {
+    const items = await this.store.query(
+      collection,
+      this._filter(collection, filter)
+    );
+    return items.map((item) => this._open(collection, item));
+  }
+
+  async update(collection, filter, updates) {
+    const updated = await this.store.update(
+      collection,
+      this._filter(collection, filter),
+      this._seal(collection, updates)
+    );
+    return this._open(collection, updated);
+  }
+
+  async remove(collection, filter) {
+    return this.store.remove(collection, this._filter(collection, filter));
+  }
+
+  // Re-seal every record that is still plaintext or under an older key.
+  // Run after changing DATA_ENCRYPTION_KEY; returns counts per collection.
+  async reencrypt() {
+    const counts = {};
+    for (const [collection, fields] of Object.entries(this.fields)) {
+      counts[collection] = await this.store.rewrite(collection, (item) => {
+        const stale = fields.some(
+          (field) =>
+            item[field] !== undefined &&
+            item[field] !== null &&
+            this.cipher.needsRotation(item[field])
+        );
+        return stale
+          ? this._seal(collection, this._open(collection, item))
+          : null;
+      });
+    }
+    return counts;
+  }
+
+  close() {
+    if (this.store.close) this.store.close();
+  }
+}
+
+module.exports = EncryptedStore;
@@ -0,0 +1,125 @@
+// services/storage/FieldCipher.js - AES-256-GCM for individual record fields
+//
+// An encrypted value is a single string:
+//   enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>
+// The value is JSON-encoded first, so strings, arrays and objects all round
+// trip. The key id is a fingerprint of the key, which lets old records be
+// read after a rotation as long as the previous key is still configured.
+
+const crypto = require("crypto");
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const KEY_SALT = "justifi-field-encryption";
+
+function deriveKey(secret) {
+  return crypto.scryptSync(String(secret), KEY_SALT, 32);
+}
+
+function fingerprint(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+// "a,b , c" -> ["a", "b", "c"]
+function splitSecrets(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return String(value || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+}
+
+class FieldCipher {
+  constructor({ key, previousKeys }) {
+    if (!key) throw new Error("FieldCipher needs an encryption key");
+
+    this.keys = new Map(); // keyId -> key
+    const current = deriveKey(key);
+    this.keyId = fingerprint(current);
+    this.keys.set(this.keyId, current);
+    this.digestKey = crypto.hkdfSync("sha256", current, KEY_SALT, "digest", 32);
+
+    for (const secret of splitSecrets(previousKeys)) {
+      const previous = deriveKey(secret);
+      this.keys.set(fingerprint(previous), previous);
+    }
+  }
+
+  static isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(PREFIX);
+  }
+
+  static keyIdOf(value) {
+    return FieldCipher.isEncrypted(value)
+      ? value.slice(PREFIX.length).split(":")[0]
+      : null;
+  }
+
+  // context ("transcripts.text") is authenticated, so a value copied into
+  // another field or collection fails to decrypt instead of being misread
+  encrypt(value, context) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      ALGORITHM,
+      this.keys.get(this.keyId),
+      iv
+    );
+    cipher.setAAD(Buffer.from(context));
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(value), "utf8"),
+      cipher.final(),
+    ]);
+
+    return (
+      PREFIX +
+      [
+        this.keyId,
+        iv.toString("base64url"),
+        cipher.getAuthTag().toString("base64url"),
+        ciphertext.toString("base64url"),
+      ].join(":")
+    );
+  }
+
+  // A keyed hash, for naming things by their content without the name
+  // giving the content away. Changes when the key is rotated.
+  digest(value, context) {
+    return crypto
+      .createHmac("sha256", Buffer.from(this.digestKey))
+      .update(`${context}\0${JSON.stringify(value)}`)
+      .digest("hex");
+  }
+
+  // Plaintext written before encryption was turned on passes through
+  decrypt(value, context) {
+    if (!FieldCipher.isEncrypted(value)) return value;
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(
+        `No key for encrypted ${context} (key id ${keyId}); add the old key to DATA_ENCRYPTION_PREVIOUS_KEYS`
+      );
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      Buffer.from(iv, "base64url")
+    );
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+    return JSON.parse(plaintext);
+  }
+
+  // True for plaintext and for values sealed with an older key
+  needsRotation(value) {
+    return FieldCipher.keyIdOf(value) !== this.keyId;
+  }
+}
+
+module.exports = FieldCipher;
@@ -0,0 +1,221 @@
+// services/storage/JSONStore.js - Flat-file JSON backend
+//
+// Writes are serialized per file and go through write-to-temp-then-rename,
+// so a crash mid-write can never leave a truncated file behind. The last
+// good version is kept as <file>.bak and used to recover if the main file
+// is ever found unparseable; if neither can be parsed the store refuses to
+// touch the file instead of overwriting history with an empty array.
+
+const fs = require("fs").promises;
+const path = require("path");
+const { toPredicate } = require("./filters");
+
+class StoreCorruptionError extends Error {
+  constructor(collection, filePath, cause) {
+    super(
+      `Refusing to use ${path.basename(
+        filePath
+      )}: it is not valid JSON and no usable backup was found`
+    );
+    this.name = "StoreCorruptionError";
+    this.collection = collection;
+    this.filePath = filePath;
+    this.cause = cause;
+  }
+}
+
+async function readJSONFile(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return { ok: false, missing: true };
+    return { ok: false, error };
+  }
+  // Writes are atomic, so an empty file was created by hand, not by a
+  // crashed write; treat it like a missing one
+  if (!text.trim()) return { ok: false, missing: true };
+
+  try {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error("Expected a JSON array");
+    return { ok: true, data };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+class JSONStore {
+  constructor(files) {
+    this.files = files;
+    this.backend = "json";
+    this.queues = new Map();
+  }
+
+  async init() {
+    for (const [collection, filePath] of Object.entries(this.files)) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Loading also restores a missing or damaged file from its backup
+      const data = await this._enqueue(collection, () =>
+        this._loadLocked(collection)
+      );
+      try {
+        await fs.access(filePath);
+      } catch {
+        await this._enqueue(collection, () =>
+          this._writeLocked(collection, data)
+        );
+      }
+    }
+  }
+
+  _file(collection) {
+    const filePath = this.files[collection];
+    if (!filePath) throw new Error(`Unknown collection: ${collection}`);
+    return filePath;
+  }
+
+  // Run task after every earlier task on the same file has settled
+  _enqueue(collection, task) {
+    const filePath = this._file(collection);
+    const previous = this.queues.get(filePath) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+    this.queues.set(filePath, settled);
+    settled.then(() => {
+      if (this.queues.get(filePath) === settled) this.queues.delete(filePath);
+    });
+    return run;
+  }
+
+  // Must only be called from inside the file's queue
+  async _loadLocked(collection) {
+    const filePath = this._file(collection);
+    const main = await readJSONFile(filePath);
+    if (main.ok) return main.data;
+
+    const backup = await readJSONFile(`${filePath}.bak`);
+    if (!backup.ok) {
+      if (main.missing) return [];
+      throw new StoreCorruptionError(collection, filePath, main.error);
+    }
+
+    console.warn(
+      `⚠️ ${path.basename(filePath)} is ${
+        main.missing ? "missing" : "unreadable"
+      }, restoring from backup (${backup.data.length} records)`
+    );
+    if (!main.missing) {
+      await fs.rename(filePath, `${filePath}.corrupt-${Date.now()}`);
+    }
+    await this._writeLocked(collection, backup.data, { keepBackup: false });
+    return backup.data;
+  }
+
+  // Must only be called from inside the file's queue
+  async _writeLocked(collection, data, { keepBackup = true } = {}) {
+    const filePath = this._file(collection);
+    const tempPath = `${filePath}.tmp`;
+
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (keepBackup) {
+      try {
+        await fs.copyFile(filePath, `${filePath}.bak`);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+
+    await fs.rename(tempPath, filePath);
+  }
+
+  async read(collection) {
+    // Renames are atomic, so a plain read never sees a half-written file.
+    // Only fall back to the queue when recovery is needed.
+    const result = await readJSONFile(this._file(collection));
+    if (result.ok) return result.data;
+    return this._enqueue(collection, () => this._loadLocked(collection));
+  }
+
+  _mutate(collection, change) {
+    return this._enqueue(collection, async () => {
+      const data = await this._loadLocked(collection);
+      const { result, dirty, scrubBackup } = change(data);
+      if (dirty) {
+        await this._writeLocked(collection, data);
+        // The .bak would otherwise keep what was just deleted
+        if (scrubBackup) {
+          const filePath = this._file(collection);
+          await fs.copyFile(filePath, `${filePath}.bak`);
+        }
+      }
+      return result;
+    });
+  }
+
+  async append(collection, item) {
+    return this._mutate(collection, (data) => {
+      data.push(item);
+      return { result: item, dirty: true };
+    });
+  }
+
+  async findOne(collection, filter) {
+    const data = await this.read(collection);
+    return data.find(toPredicate(filter));
+  }
+
+  async query(collection, filter) {
+    const data = await this.read(collection);
+    return data.filter(toPredicate(filter));
+  }
+
+  async update(collection, filter, updates) {
+    const predicate = toPredicate(filter);
+    return this._mutate(collection, (data) => {
+      const index = data.findIndex(predicate);
+      if (index === -1) return { result: null, dirty: false };
+      data[index] = { ...data[index], ...updates };
+      return { result: data[index], dirty: true };
+    });
+  }
+
+  // Returns how many records were deleted
+  async remove(collection, filter) {
+    const predicate = toPredicate(filter);
+    return this._mutate(collection, (data) => {
+      const kept = data.filter((item) => !predicate(item));
+      const removed = data.length - kept.length;
+      data.length = 0;
+      for (const item of kept) data.push(item);
+      return { result: removed, dirty: removed > 0, scrubBackup: true };
+    });
+  }
+
+  // transform returns a replacement record, or null to leave it alone.
+  // Returns how many records were replaced.
+  async rewrite(collection, transform) {
+    return this._mutate(collection, (data) => {
+      let changed = 0;
+      data.forEach((item, index) => {
+        const replacement = transform(item);
+        if (replacement) {
+          data[index] = replacement;
+          changed++;
+        }
+      });
+      return { result: changed, dirty: changed > 0, scrubBackup: true };
+    });
+  }
+}
+
+JSONStore.StoreCorruptionError = StoreCorruptionError;
+
+module.exports = JSONStore;
@@ -0,0 +1,199 @@
+// services/storage/SQLiteStore.js - Embedded SQLite backend
+//
+// Each collection is a table holding the record as a JSON document, with
+// sessionId pulled out into its own indexed column since almost every
+// lookup in the app is by session.
+
+const fs = require("fs");
+const path = require("path");
+const { isObjectFilter, toPredicate } = require("./filters");
+
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class SQLiteStore {
+  constructor({ filePath, collections }) {
+    this.filePath = filePath;
+    this.collections = collections;
+    this.backend = "sqlite";
+    this.db = null;
+  }
+
+  async init() {
+    // Loaded lazily so the JSON backend works without the native module
+    const Database = require("better-sqlite3");
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma("journal_mode = WAL");
+    // Overwrite deleted records on disk instead of leaving them in free pages
+    this.db.pragma("secure_delete = ON");
+
+    for (const collection of this.collections) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS "${collection}" (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sessionId TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS "idx_${collection}_sessionId"
+          ON "${collection}" (sessionId);
+      `);
+    }
+  }
+
+  _table(collection) {
+    if (!this.collections.includes(collection)) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    return `"${collection}"`;
+  }
+
+  // Translate an object filter into a WHERE clause. sessionId hits the
+  // index; other fields are matched inside the JSON document.
+  _where(filter) {
+    const clauses = [];
+    const params = [];
+
+    for (const [key, value] of Object.entries(filter)) {
+      if (!FIELD_NAME.test(key)) throw new Error(`Invalid field: ${key}`);
+      const column =
+        key === "sessionId" ? "sessionId" : `json_extract(data, '$.${key}')`;
+
+      if (Array.isArray(value)) {
+        // An empty list matches nothing
+        clauses.push(
+          value.length
+            ? `${column} IN (${value.map(() => "?").join(", ")})`
+            : "0"
+        );
+        params.push(
+          ...value.map((v) => (typeof v === "boolean" ? Number(v) : v))
+        );
+      } else if (value === null || value === undefined) {
+        clauses.push(`${column} IS NULL`);
+      } else {
+        clauses.push(`${column} = ?`);
+        params.push(typeof value === "boolean" ? Number(value) : value);
+      }
+    }
+
+    return {
+      sql: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+      params,
+    };
+  }
+
+  _rows(collection, filter, limit) {
+    const table = this._table(collection);
+
+    if (typeof filter === "function") {
+      const predicate = toPredicate(filter);
+      const rows = this.db
+        .prepare(`SELECT id, data FROM ${table} ORDER BY id`)
+        .all()
+        .map((row) => ({ id: row.id, item: JSON.parse(row.data) }))
+        .filter((row) => predicate(row.item));
+      return limit ? rows.slice(0, limit) : rows;
+    }
+
+    const { sql, params } = this._where(isObjectFilter(filter) ? filter : {});
+    const limitSql = limit ? `LIMIT ${Number(limit)}` : "";
+    return this.db
+      .prepare(`SELECT id, data FROM ${table} ${sql} ORDER BY id ${limitSql}`)
+      .all(...params)
+      .map((row) => ({ id: row.id, item: JSON.parse(row.data) }));
+  }
+
+  async read(collection) {
+    return this._rows(collection, null).map((row) => row.item);
+  }
+
+  async append(collection, item) {
+    this.db
+      .prepare(
+        `INSERT INTO ${this._table(collection)} (sessionId, data) VALUES (?, ?)`
+      )
+      .run(item.sessionId || null, JSON.stringify(item));
+    return item;
+  }
+
+  async appendMany(collection, items) {
+    const insert = this.db.prepare(
+      `INSERT INTO ${this._table(collection)} (sessionId, data) VALUES (?, ?)`
+    );
+    const insertAll = this.db.transaction((rows) => {
+      for (const item of rows) {
+        insert.run(item.sessionId || null, JSON.stringify(item));
+      }
+    });
+    insertAll(items);
+    return items.length;
+  }
+
+  async count(collection) {
+    return this.db
+      .prepare(`SELECT COUNT(*) AS total FROM ${this._table(collection)}`)
+      .get().total;
+  }
+
+  async findOne(collection, filter) {
+    const [row] = this._rows(collection, filter, 1);
+    return row ? row.item : undefined;
+  }
+
+  async query(collection, filter) {
+    return this._rows(collection, filter).map((row) => row.item);
+  }
+
+  async update(collection, filter, updates) {
+    const [row] = this._rows(collection, filter, 1);
+    if (!row) return null;
+
+    const updated = { ...row.item, ...updates };
+    this.db
+      .prepare(
+        `UPDATE ${this._table(
+          collection
+        )} SET sessionId = ?, data = ? WHERE id = ?`
+      )
+      .run(updated.sessionId || null, JSON.stringify(updated), row.id);
+    return updated;
+  }
+
+  async remove(collection, filter) {
+    const ids = this._rows(collection, filter).map((row) => row.id);
+    const remove = this.db.prepare(
+      `DELETE FROM ${this._table(collection)} WHERE id = ?`
+    );
+    this.db.transaction(() => ids.forEach((id) => remove.run(id)))();
+    return ids.length;
+  }
+
+  // transform returns a replacement record, or null to leave it alone.
+  // Returns how many records were replaced.
+  async rewrite(collection, transform) {
+    const replace = this.db.prepare(
+      `UPDATE ${this._table(
+        collection
+      )} SET sessionId = ?, data = ? WHERE id = ?`
+    );
+    const changes = this._rows(collection, null)
+      .map((row) => ({ id: row.id, item: transform(row.item) }))
+      .filter((row) => row.item);
+
+    this.db.transaction(() =>
+      changes.forEach(({ id, item }) =>
+        replace.run(item.sessionId || null, JSON.stringify(item), id)
+      )
+    )();
+    // Don't leave the old page images behind in the write-ahead log
+    if (changes.length) this.db.pragma("wal_checkpoint(TRUNCATE)");
+    return changes.length;
+  }
+
+  close() {
+    if (this.db) this.db.close();
+  }
+}
+
+module.exports = SQLiteStore;
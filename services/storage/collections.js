@@ -0,0 +1,57 @@
+// services/storage/collections.js - The app's collections and where they live
+//
+// app.js and the maintenance scripts (migrate-to-sqlite.js,
+// reencrypt-data.js) all open the store through these, so a script never
+// misses a collection or an encrypted field the app has.
+
+const path = require("path");
+
+const COLLECTIONS = [
+  "sessions",
+  "transcripts",
+  "summaries",
+  "reports",
+  "users",
+  "redactions",
+  "redactionAudit",
+  "erasureAudit",
+  "contacts",
+];
+
+// Fields encrypted at rest when DATA_ENCRYPTION_KEY is set: everything that
+// repeats what the user said
+const ENCRYPTED_FIELDS = {
+  transcripts: ["text"],
+  summaries: [
+    "situation",
+    "relevantLaws",
+    "recommendedSteps",
+    "watchOutFor",
+    "contacts",
+    "nextAction",
+    "citations",
+    "deadlines",
+    "translation",
+  ],
+  sessions: ["memory"],
+  redactions: ["value"],
+};
+
+// DATA_DIR moves the stores elsewhere, e.g. a scratch directory for tests
+function resolveDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, "..", "..", "data");
+}
+
+// { collection: "<dataDir>/<collection>.json" }
+function collectionFiles(dataDir) {
+  return Object.fromEntries(
+    COLLECTIONS.map((name) => [name, path.join(dataDir, `${name}.json`)])
+  );
+}
+
+module.exports = {
+  COLLECTIONS,
+  ENCRYPTED_FIELDS,
+  resolveDataDir,
+  collectionFiles,
+};
@@ -0,0 +1,25 @@
+// services/storage/filters.js - Shared filter handling for the stores
+
+// Stores accept either a predicate function or a plain object of
+// field/value pairs, where an array value matches any of its values
+// ({ sessionId: [a, b] }). Object filters can be pushed down to an index by
+// backends that have one; functions always fall back to a scan.
+function isObjectFilter(filter) {
+  return !!filter && typeof filter === "object" && !Array.isArray(filter);
+}
+
+function toPredicate(filter) {
+  if (typeof filter === "function") return filter;
+  if (!filter) return () => true;
+  if (!isObjectFilter(filter)) {
+    throw new Error("Store filters must be a function or a plain object");
+  }
+  const checks = Object.entries(filter).map(([key, value]) => {
+    if (!Array.isArray(value)) return (item) => item[key] === value;
+    const values = new Set(value);
+    return (item) => values.has(item[key]);
+  });
+  return (item) => checks.every((check) => check(item));
+}
+
+module.exports = { isObjectFilter, toPredicate };
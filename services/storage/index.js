@@ -0,0 +1,71 @@
+// services/storage/index.js - Picks the storage backend
+//
+// Every backend exposes the same async interface:
+//   init(), read(collection), append(collection, item),
+//   findOne(collection, filter), query(collection, filter),
+//   update(collection, filter, updates), remove(collection, filter),
+//   rewrite(collection, transform)
+// where filter is a predicate function or an object of field/value pairs.
+//
+// With an encryption key, the chosen backend is wrapped in EncryptedStore
+// so the fields listed in encryption.fields are encrypted at rest.
+
+const path = require("path");
+const JSONStore = require("./JSONStore");
+const SQLiteStore = require("./SQLiteStore");
+const EncryptedStore = require("./EncryptedStore");
+const FieldCipher = require("./FieldCipher");
+const {
+  COLLECTIONS,
+  ENCRYPTED_FIELDS,
+  resolveDataDir,
+  collectionFiles,
+} = require("./collections");
+
+function createBackend({ backend, dataDir, files }) {
+  const selected = (backend || "json").toLowerCase();
+
+  if (selected === "sqlite") {
+    return new SQLiteStore({
+      filePath: process.env.SQLITE_PATH || path.join(dataDir, "legal-buddy.db"),
+      collections: Object.keys(files),
+    });
+  }
+
+  if (selected !== "json") {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+
+  return new JSONStore(files);
+}
+
+// encryption: { key, previousKeys, fields: { collection: [field, ...] } }
+function createStore({ backend, dataDir, files, encryption }) {
+  const store = createBackend({ backend, dataDir, files });
+  if (!encryption) return store;
+
+  if (!encryption.key) {
+    console.warn(
+      "⚠️ DATA_ENCRYPTION_KEY is not set; transcripts and summaries are stored unencrypted."
+    );
+    return store;
+  }
+
+  return new EncryptedStore({
+    store,
+    cipher: new FieldCipher(encryption),
+    fields: encryption.fields,
+  });
+}
+
+module.exports = {
+  createStore,
+  JSONStore,
+  SQLiteStore,
+  EncryptedStore,
+  FieldCipher,
+  COLLECTIONS,
+  ENCRYPTED_FIELDS,
+  resolveDataDir,
+  collectionFiles,
+};
@@ -0,0 +1,87 @@
+// services/stt/engines/LocalEngine.js - Offline transcription with whisper.cpp
+//
+// Needs the whisper.cpp CLI (STT_LOCAL_COMMAND, default "whisper-cli") and a
+// ggml model file (STT_LOCAL_MODEL, e.g. ggml-base.bin; the multilingual
+// models handle Tagalog). Audio never leaves the server.
+
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { existsSync } = require("fs");
+const { onPath, runCommand } = require("../../localCommand");
+
+const DEFAULT_COMMAND = "whisper-cli";
+const TIMEOUT_MS = 60000;
+
+// Special tokens ([_BEG_], [_TT_50]) carry no confidence about words
+function isWordToken(token) {
+  return token.text && !/^\[_.*\]$/.test(token.text.trim());
+}
+
+class LocalEngine {
+  constructor({ command, model, threads }) {
+    this.id = "local";
+    this.name = "whisper.cpp (offline)";
+    this.command = command || DEFAULT_COMMAND;
+    this.model = model;
+    this.threads = Number(threads) || 1;
+    this.available = !!model && existsSync(model) && onPath(this.command);
+  }
+
+  get enabled() {
+    return this.available;
+  }
+
+  // audio: 16 kHz mono WAV; language: ISO 639-1 code or "auto"
+  async transcribe(audio, { language = "auto" }) {
+    const base = path.join(
+      os.tmpdir(),
+      `justifi-stt-${crypto.randomBytes(8).toString("hex")}`
+    );
+    try {
+      await fs.writeFile(`${base}.wav`, audio);
+      await runCommand(
+        this.command,
+        [
+          "-m",
+          this.model,
+          "-f",
+          `${base}.wav`,
+          "-l",
+          language,
+          "-t",
+          String(this.threads),
+          "-np",
+          "-ojf",
+          "-of",
+          base,
+        ],
+        { timeoutMs: TIMEOUT_MS }
+      );
+      const output = JSON.parse(await fs.readFile(`${base}.json`, "utf8"));
+
+      const segments = output.transcription || [];
+      const tokens = segments
+        .flatMap((segment) => segment.tokens || [])
+        .filter(isWordToken);
+      return {
+        // Silence comes back as a tag like "[BLANK_AUDIO]", not as text
+        text: segments
+          .map((segment) => segment.text)
+          .join("")
+          .replace(/\[[A-Z_ ]+\]/g, "")
+          .trim(),
+        language: (output.result && output.result.language) || null,
+        confidence: tokens.length
+          ? tokens.reduce((sum, token) => sum + token.p, 0) / tokens.length
+          : null,
+      };
+    } finally {
+      await fs.rm(`${base}.wav`, { force: true });
+      await fs.rm(`${base}.json`, { force: true });
+    }
+  }
+}
+
+module.exports = LocalEngine;
@@ -0,0 +1,61 @@
+// services/stt/engines/OpenAIEngine.js - OpenAI Whisper API
+//
+// Opt-in only (list "openai" in STT_ENGINE_ORDER): the point of server-side
+// transcription is keeping audio off third-party clouds, so audio goes to
+// OpenAI only when the deployment asks for it.
+
+const OpenAI = require("openai");
+const { toFile } = require("openai");
+const { readTimeout } = require("../../providers/BaseProvider");
+
+// verbose_json names the language; everything else here uses codes
+const LANGUAGE_CODES = {
+  english: "en",
+  tagalog: "tl",
+  filipino: "tl",
+  cebuano: "ceb",
+};
+
+class OpenAIEngine {
+  constructor({ apiKey, model, timeoutMs }) {
+    this.id = "openai";
+    this.name = "OpenAI Whisper";
+    this.model = model || "whisper-1";
+    // Like the AI providers: a bounded wait and no SDK retries, since
+    // STTService falls through to the next engine itself
+    this.timeoutMs = readTimeout(timeoutMs);
+    this.client = apiKey
+      ? new OpenAI({ apiKey, timeout: this.timeoutMs, maxRetries: 0 })
+      : null;
+  }
+
+  get enabled() {
+    return !!this.client;
+  }
+
+  async transcribe(audio, { language = "auto" }) {
+    const result = await this.client.audio.transcriptions.create({
+      file: await toFile(audio, "speech.wav", { type: "audio/wav" }),
+      model: this.model,
+      response_format: "verbose_json",
+      ...(language !== "auto" ? { language } : {}),
+    });
+
+    // avg_logprob per segment; its exponent is the average token probability
+    const segments = result.segments || [];
+    const confidence = segments.length
+      ? Math.exp(
+          segments.reduce((sum, segment) => sum + segment.avg_logprob, 0) /
+            segments.length
+        )
+      : null;
+    const name = String(result.language || "").toLowerCase();
+    return {
+      text: String(result.text || "").trim(),
+      language: LANGUAGE_CODES[name] || name || null,
+      confidence,
+    };
+  }
+}
+
+module.exports = OpenAIEngine;
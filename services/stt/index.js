@@ -0,0 +1,102 @@
+// services/stt/index.js - Speech-to-text for recorded microphone audio
+//
+// The call page uses this when the browser has no Web Speech API (Firefox,
+// many Android WebViews) or when STT_PREFER_SERVER is set, so audio stays on
+// our side instead of going to the browser vendor. Engines are tried in
+// STT_ENGINE_ORDER (default "local"), skipping unconfigured ones and falling
+// through on failure. The page sends 16 kHz mono WAV.
+
+const LocalEngine = require("./engines/LocalEngine");
+const OpenAIEngine = require("./engines/OpenAIEngine");
+const { httpError } = require("../httpError");
+
+const DEFAULT_ORDER = "local";
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024; // about five minutes of WAV
+// Cebuano sessions send "auto": Whisper has no Cebuano model to ask for
+const LANGUAGES = ["auto", "en", "tl"];
+
+function isWav(audio) {
+  return (
+    audio.length > 44 &&
+    audio.toString("ascii", 0, 4) === "RIFF" &&
+    audio.toString("ascii", 8, 12) === "WAVE"
+  );
+}
+
+class STTService {
+  constructor({ engines, preferServer = false }) {
+    this.engines = engines;
+    this.preferServer = preferServer;
+  }
+
+  // What the call page needs to decide between this and Web Speech
+  options() {
+    const engine = this.engines.find((e) => e.enabled);
+    return {
+      engine: engine ? engine.id : null,
+      preferServer: this.preferServer && !!engine,
+    };
+  }
+
+  // Returns { text, language, confidence, engine }; confidence is 0-1 or
+  // null when the engine doesn't report it
+  async transcribe(audio, { language = "auto" } = {}) {
+    if (!Buffer.isBuffer(audio) || !isWav(audio)) {
+      throw httpError(400, "Audio must be a WAV file");
+    }
+    if (audio.length > MAX_AUDIO_BYTES) {
+      throw httpError(413, "Recording is too long");
+    }
+    if (!LANGUAGES.includes(language)) {
+      throw httpError(400, `language must be one of ${LANGUAGES.join(", ")}`);
+    }
+
+    const engines = this.engines.filter((engine) => engine.enabled);
+    if (!engines.length) throw httpError(503, "No speech-to-text engine");
+
+    let lastError;
+    for (const engine of engines) {
+      try {
+        const result = await engine.transcribe(audio, { language });
+        return {
+          ...result,
+          confidence:
+            result.confidence === null
+              ? null
+              : Number(result.confidence.toFixed(3)),
+          engine: engine.id,
+        };
+      } catch (error) {
+        console.error(`⚠️ ${engine.name} failed:`, error.message);
+        lastError = error;
+      }
+    }
+    throw httpError(502, `Speech-to-text failed: ${lastError.message}`);
+  }
+}
+
+function createSTTService(env = process.env) {
+  const adapters = {
+    local: new LocalEngine({
+      command: env.STT_LOCAL_COMMAND,
+      model: env.STT_LOCAL_MODEL,
+      threads: env.STT_LOCAL_THREADS,
+    }),
+    openai: new OpenAIEngine({
+      apiKey: env.OPENAI_API_KEY,
+      model: env.STT_OPENAI_MODEL,
+      timeoutMs: env.STT_OPENAI_TIMEOUT_MS,
+    }),
+  };
+  const engines = (env.STT_ENGINE_ORDER || DEFAULT_ORDER)
+    .split(",")
+    .map((id) => adapters[id.trim().toLowerCase()])
+    .filter(Boolean);
+
+  return new STTService({
+    engines,
+    preferServer: env.STT_PREFER_SERVER === "true",
+  });
+}
+
+module.exports = { STTService, createSTTService, MAX_AUDIO_BYTES };
@@ -0,0 +1,148 @@
+// services/summarySchema.js - Shape of a consultation summary
+//
+// validateSummary() lists what is wrong with a model's output so it can be
+// sent back to the provider; repairSummary() coerces whatever is left into
+// the expected shape and reports which fields it had to touch.
+
+const SUMMARY_SCHEMA = {
+  situation: {
+    type: "string",
+    default: "Unable to analyze situation automatically",
+  },
+  relevantLaws: {
+    type: "string[]",
+    default: ["Please consult with a legal professional"],
+  },
+  recommendedSteps: {
+    type: "string[]",
+    default: [
+      "Contact PAO (Public Attorney's Office) at (02) 8426-2075",
+      "Visit your local barangay hall",
+      "Gather all relevant documents",
+    ],
+  },
+  watchOutFor: {
+    type: "string[]",
+    default: [
+      "Document all interactions and keep copies of all documents",
+      "Be aware of deadlines and prescription periods",
+      "Seek legal advice if situation escalates",
+    ],
+  },
+  nextAction: {
+    type: "string",
+    default: "Seek immediate legal counsel from PAO",
+  },
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function describe(value) {
+  if (value === undefined) return "missing";
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return `a ${typeof value}`;
+}
+
+function validateSummary(summary) {
+  if (!isPlainObject(summary)) return ["Response must be a JSON object"];
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(SUMMARY_SCHEMA)) {
+    const value = summary[field];
+
+    if (rule.type === "string" && !isNonEmptyString(value)) {
+      errors.push(
+        `"${field}" must be a non-empty string, got ${describe(value)}`
+      );
+    }
+
+    if (rule.type === "string[]") {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(
+          `"${field}" must be a non-empty array of strings, got ${describe(
+            value
+          )}`
+        );
+      } else if (!value.every(isNonEmptyString)) {
+        errors.push(`every item in "${field}" must be a non-empty string`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Turn an object like { step, timeline } or { law, description } into text
+function objectToText(value) {
+  const main =
+    value.step ||
+    value.action ||
+    value.law ||
+    value.title ||
+    value.name ||
+    value.text;
+  const detail = value.description || value.explanation || value.details;
+
+  if (main && value.timeline) return `${main} (Timeline: ${value.timeline})`;
+  if (main && detail) return `${main} - ${detail}`;
+  if (main) return String(main);
+
+  return Object.values(value)
+    .filter((v) => v !== null && typeof v !== "object")
+    .join(" - ");
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string") return value.trim();
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(" ");
+  if (typeof value === "object") return objectToText(value).trim();
+  return String(value);
+}
+
+function toStringList(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === "string") {
+    // "1. Do this\n2. Do that" or "- a\n- b" -> separate items
+    return value
+      .split(/\n+/)
+      .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim())
+      .filter(Boolean);
+  }
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean);
+  if (typeof value === "object")
+    return Object.values(value).map(toText).filter(Boolean);
+  return [String(value)];
+}
+
+function repairSummary(input) {
+  const source = isPlainObject(input) ? input : {};
+  const summary = { ...source };
+  const repairedFields = [];
+
+  for (const [field, rule] of Object.entries(SUMMARY_SCHEMA)) {
+    const original = source[field];
+    let value;
+
+    if (rule.type === "string") value = toText(original);
+    if (rule.type === "string[]") value = toStringList(original);
+
+    const empty = value === "" || (Array.isArray(value) && value.length === 0);
+    if (empty) value = JSON.parse(JSON.stringify(rule.default));
+
+    if (JSON.stringify(value) !== JSON.stringify(original)) {
+      repairedFields.push(field);
+    }
+    summary[field] = value;
+  }
+
+  return { summary, repairedFields };
+}
+
+module.exports = { SUMMARY_SCHEMA, validateSummary, repairSummary };
@@ -0,0 +1,75 @@
+// services/tarArchive.js - Minimal .tar.gz writer for data exports
+//
+// Only what exports need: regular files with relative paths. A path over
+// the 100 bytes a ustar name holds is split at a "/" into the 155-byte
+// prefix field and the name. Opens with any tar tool or archive manager.
+
+const zlib = require("zlib");
+
+const BLOCK = 512;
+
+function writeString(header, offset, length, value) {
+  header.write(String(value).slice(0, length), offset, length, "utf8");
+}
+
+function writeOctal(header, offset, length, value) {
+  writeString(
+    header,
+    offset,
+    length,
+    value.toString(8).padStart(length - 1, "0") + "\0"
+  );
+}
+
+// "a/b/c.json" -> { prefix: "a/b", name: "c.json" }, keeping the prefix
+// as long as it can be so the name fits
+function splitPath(path) {
+  if (Buffer.byteLength(path) <= 100) return { prefix: "", name: path };
+  for (
+    let slash = path.lastIndexOf("/");
+    slash > 0;
+    slash = path.lastIndexOf("/", slash - 1)
+  ) {
+    const name = path.slice(slash + 1);
+    if (Buffer.byteLength(name) > 100) break;
+    const prefix = path.slice(0, slash);
+    if (Buffer.byteLength(prefix) <= 155) return { prefix, name };
+  }
+  throw new Error(`Archive path too long: ${path}`);
+}
+
+function fileHeader(path, size, mtime) {
+  const { prefix, name } = splitPath(path);
+  const header = Buffer.alloc(BLOCK);
+  writeString(header, 0, 100, name);
+  writeOctal(header, 100, 8, 0o644); // mode
+  writeOctal(header, 108, 8, 0); // uid
+  writeOctal(header, 116, 8, 0); // gid
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(mtime / 1000));
+  header.fill(" ", 148, 156); // checksum is computed with spaces here
+  writeString(header, 156, 1, "0"); // regular file
+  writeString(header, 257, 6, "ustar\0");
+  writeString(header, 263, 2, "00");
+  writeString(header, 345, 155, prefix);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, 148, 8, checksum.toString(8).padStart(6, "0") + "\0 ");
+  return header;
+}
+
+// entries: [{ name: "folder/file.json", content: string | Buffer }]
+function createTarGz(entries, { mtime = Date.now() } = {}) {
+  const parts = [];
+  for (const { name, content } of entries) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    parts.push(fileHeader(name, data.length, mtime), data);
+    const padding = (BLOCK - (data.length % BLOCK)) % BLOCK;
+    if (padding) parts.push(Buffer.alloc(padding));
+  }
+  parts.push(Buffer.alloc(BLOCK * 2)); // end-of-archive marker
+  return zlib.gzipSync(Buffer.concat(parts));
+}
+
+module.exports = { createTarGz };
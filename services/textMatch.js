@@ -0,0 +1,20 @@
+// services/textMatch.js - Phrase matching shared by the classifiers
+//
+// A word boundary here is any non-letter rather than \b, which only knows
+// ASCII letters: "bata" must not match inside "kabataan", and "ñ" is part
+// of a word.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Case-insensitive match of a phrase that starts a word and, unless
+// wholeWord is false, ends one. Group 1 holds the character before it.
+function phrasePattern(phrase, { wholeWord = true } = {}) {
+  return new RegExp(
+    `(^|[^\\p{L}])${escapeRegExp(phrase)}${wholeWord ? "(?![\\p{L}])" : ""}`,
+    "iu"
+  );
+}
+
+module.exports = { escapeRegExp, phrasePattern };
@@ -0,0 +1,74 @@
+// services/topicClassifier.js - Keyword classifier over the shared categories
+
+const { CATEGORIES, normalizeCategory } = require("./categories");
+const { phrasePattern } = require("./textMatch");
+
+// Below these a suggestion is more likely noise than a real topic change
+const MIN_SCORE = 2;
+const MIN_CONFIDENCE = 0.6;
+
+// Compile once: word-start match, whole word for short keywords
+const MATCHERS = Object.fromEntries(
+  Object.entries(CATEGORIES).map(([category, { keywords }]) => [
+    category,
+    keywords.map(([keyword, weight]) => ({
+      keyword,
+      weight,
+      pattern: phrasePattern(keyword, { wholeWord: keyword.length < 5 }),
+    })),
+  ])
+);
+
+// Returns raw keyword scores per category, the best category, and a
+// confidence in [0, 1] that is the best score's share of all matches.
+function classify(text) {
+  const scores = {};
+  const matches = {};
+  let total = 0;
+
+  for (const [category, matchers] of Object.entries(MATCHERS)) {
+    scores[category] = 0;
+    matches[category] = [];
+    for (const { keyword, weight, pattern } of matchers) {
+      if (pattern.test(text || "")) {
+        scores[category] += weight;
+        matches[category].push(keyword);
+      }
+    }
+    total += scores[category];
+  }
+
+  const [best, bestScore] = Object.entries(scores).sort(
+    (a, b) => b[1] - a[1]
+  )[0];
+
+  return {
+    category: bestScore > 0 ? best : null,
+    score: bestScore,
+    confidence: total > 0 ? Number((bestScore / total).toFixed(2)) : 0,
+    scores,
+    matches,
+  };
+}
+
+// Suggest another category only when the text clearly belongs elsewhere
+// and hardly at all to the one the user picked
+function detectMismatch(text, selectedCategory) {
+  const selected = normalizeCategory(selectedCategory);
+  const result = classify(text);
+
+  if (!result.category || result.category === selected) return null;
+  if (result.score < MIN_SCORE || result.confidence < MIN_CONFIDENCE) {
+    return null;
+  }
+  if (result.scores[selected] * 2 >= result.score) return null;
+
+  return {
+    category: result.category,
+    label: CATEGORIES[result.category].label,
+    confidence: result.confidence,
+    matchedKeywords: result.matches[result.category],
+  };
+}
+
+module.exports = { classify, detectMismatch };
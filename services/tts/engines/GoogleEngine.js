@@ -0,0 +1,38 @@
+// services/tts/engines/GoogleEngine.js - Google Cloud Text-to-Speech
+//
+// Replies are read aloud with names and numbers restored, so this engine
+// sends what the user told us to Google. It is only enabled when
+// TTS_ALLOW_EXTERNAL=true says that is acceptable, and
+// GOOGLE_APPLICATION_CREDENTIALS (or GOOGLE_TTS_KEY_FILE) points at a
+// service account key. Returns MP3.
+
+class GoogleEngine {
+  constructor({ keyFile, allowed = false }) {
+    this.id = "google";
+    this.name = "Google Cloud TTS";
+    this.keyFile = keyFile;
+    this.allowed = allowed;
+    this.contentType = "audio/mpeg";
+    this.extension = "mp3";
+    this.client = null;
+  }
+
+  get enabled() {
+    return !!this.keyFile && this.allowed;
+  }
+
+  async synthesize(text, { voice, rate }) {
+    if (!this.client) {
+      const { TextToSpeechClient } = require("@google-cloud/text-to-speech");
+      this.client = new TextToSpeechClient({ keyFilename: this.keyFile });
+    }
+    const [response] = await this.client.synthesizeSpeech({
+      input: { text },
+      voice: { languageCode: voice.language, name: voice.google },
+      audioConfig: { audioEncoding: "MP3", speakingRate: rate },
+    });
+    return Buffer.from(response.audioContent);
+  }
+}
+
+module.exports = GoogleEngine;
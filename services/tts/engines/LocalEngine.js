@@ -0,0 +1,44 @@
+// services/tts/engines/LocalEngine.js - Offline speech through espeak-ng
+//
+// The stand-in when no cloud engine is configured: no network, no keys,
+// robotic but always there. TTS_LOCAL_COMMAND overrides the binary (any
+// espeak-compatible one that takes -v, -s and --stdout). Returns WAV.
+
+const { onPath, runCommand } = require("../../localCommand");
+
+const DEFAULT_COMMAND = "espeak-ng";
+const WORDS_PER_MINUTE = 165;
+
+class LocalEngine {
+  constructor({ command }) {
+    this.id = "local";
+    this.name = "espeak-ng (offline)";
+    this.command = command || DEFAULT_COMMAND;
+    this.contentType = "audio/wav";
+    this.extension = "wav";
+    this.available = onPath(this.command);
+  }
+
+  get enabled() {
+    return this.available;
+  }
+
+  // Text goes in on stdin so nothing the AI says is parsed as a flag
+  async synthesize(text, { voice, rate }) {
+    const audio = await runCommand(
+      this.command,
+      [
+        "--stdout",
+        "-v",
+        voice.local,
+        "-s",
+        String(Math.round(WORDS_PER_MINUTE * rate)),
+      ],
+      { input: text }
+    );
+    if (!audio.length) throw new Error(`${this.command} returned no audio`);
+    return audio;
+  }
+}
+
+module.exports = LocalEngine;
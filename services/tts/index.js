@@ -0,0 +1,237 @@
+// services/tts/index.js - Text-to-speech for AI replies, with a disk cache
+//
+// Engines are tried in TTS_ENGINE_ORDER (default "google,local"); ones that
+// aren't configured are skipped, and a failing engine falls through to the
+// next. Google only counts as configured with TTS_ALLOW_EXTERNAL=true, since
+// replies it reads carry the user's real names and numbers.
+//
+// Replies say what the user told us, so the audio cache is session data:
+// data/tts-cache/<sessionId>/ holds a session's audio, goes with it on
+// erasure and retention, and with DATA_ENCRYPTION_KEY set is encrypted and
+// named by a keyed hash of the engine, voice, rate and text. Repeated
+// phrases within a session cost one synthesis. The oldest files go once the
+// cache passes TTS_CACHE_MAX_FILES; files directly under tts-cache are from
+// before it was split by session and go at the next write.
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { FieldCipher } = require("../storage");
+const { httpError } = require("../httpError");
+const GoogleEngine = require("./engines/GoogleEngine");
+const LocalEngine = require("./engines/LocalEngine");
+const {
+  VOICES,
+  DEFAULT_VOICE,
+  RATES,
+  getVoice,
+  clampRate,
+} = require("./voices");
+
+const DEFAULT_ORDER = "google,local";
+const DEFAULT_CACHE_FILES = 500;
+const MAX_TEXT_LENGTH = 1000;
+// Authenticated with each cached file, so nothing else decrypts as audio
+const CACHE_CONTEXT = "tts-cache";
+// Session ids become directory names
+const SESSION_ID = /^[\w-]+$/;
+
+class TTSService {
+  constructor({
+    engines,
+    cacheDir,
+    maxCacheFiles = DEFAULT_CACHE_FILES,
+    cipher = null,
+  }) {
+    this.engines = engines;
+    this.cacheDir = cacheDir;
+    this.maxCacheFiles = maxCacheFiles;
+    this.cipher = cipher;
+  }
+
+  get available() {
+    return this.engines.some((engine) => engine.enabled);
+  }
+
+  // What the call page needs to build its voice and speed pickers
+  options() {
+    const engine = this.engines.find((e) => e.enabled);
+    return {
+      engine: engine ? engine.id : null,
+      voices: VOICES.map(({ id, label, language }) => ({
+        id,
+        label,
+        language,
+      })),
+      defaultVoice: DEFAULT_VOICE,
+      rates: RATES,
+    };
+  }
+
+  // Returns { audio, contentType, engine, cached }. Only audio for a
+  // sessionId is cached.
+  async synthesize(text, options = {}) {
+    const input = String(text || "").trim();
+    if (!input) throw httpError(400, "text is required");
+    if (input.length > MAX_TEXT_LENGTH) {
+      throw httpError(
+        400,
+        `text must be at most ${MAX_TEXT_LENGTH} characters`
+      );
+    }
+    const voice = getVoice(options.voice);
+    const rate = clampRate(options.rate ?? 1);
+
+    const engines = this.engines.filter((engine) => engine.enabled);
+    if (!engines.length) throw httpError(503, "No text-to-speech engine");
+
+    const sessionId = SESSION_ID.test(options.sessionId || "")
+      ? options.sessionId
+      : null;
+
+    let lastError;
+    for (const engine of engines) {
+      const file =
+        sessionId && this._cachePath(sessionId, engine, voice, rate, input);
+      const cached = file && (await this._load(file));
+      if (cached) {
+        return {
+          audio: cached,
+          contentType: engine.contentType,
+          engine: engine.id,
+          cached: true,
+        };
+      }
+
+      try {
+        const audio = await engine.synthesize(input, { voice, rate });
+        if (file) await this._store(file, audio);
+        return {
+          audio,
+          contentType: engine.contentType,
+          engine: engine.id,
+          cached: false,
+        };
+      } catch (error) {
+        console.error(`⚠️ ${engine.name} failed:`, error.message);
+        lastError = error;
+      }
+    }
+    throw httpError(502, `Text-to-speech failed: ${lastError.message}`);
+  }
+
+  _cachePath(sessionId, engine, voice, rate, text) {
+    const key = [engine.id, voice.id, rate, text];
+    const hash = this.cipher
+      ? this.cipher.digest(key, CACHE_CONTEXT)
+      : crypto.createHash("sha256").update(JSON.stringify(key)).digest("hex");
+    return path.join(this.cacheDir, sessionId, `${hash}.${engine.extension}`);
+  }
+
+  // A file that is missing or won't decrypt (an old key) is a miss
+  async _load(file) {
+    try {
+      const content = await fs.readFile(file);
+      if (!this.cipher) return content;
+      return Buffer.from(
+        this.cipher.decrypt(content.toString("utf8"), CACHE_CONTEXT),
+        "base64"
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  // A cache write that fails only costs a re-synthesis later
+  async _store(file, audio) {
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(
+        file,
+        this.cipher
+          ? this.cipher.encrypt(audio.toString("base64"), CACHE_CONTEXT)
+          : audio
+      );
+      await this._prune();
+    } catch (error) {
+      console.error("⚠️ TTS cache write failed:", error.message);
+    }
+  }
+
+  // Drops the cached audio of these sessions; returns how many files went
+  async purgeSessions(sessionIds) {
+    let removed = 0;
+    for (const sessionId of sessionIds) {
+      if (!SESSION_ID.test(sessionId || "")) continue;
+      const dir = path.join(this.cacheDir, sessionId);
+      const names = await fs.readdir(dir).catch(() => []);
+      await fs.rm(dir, { recursive: true, force: true });
+      removed += names.length;
+    }
+    return removed;
+  }
+
+  async _prune() {
+    const files = [];
+    for (const entry of await fs.readdir(this.cacheDir, {
+      withFileTypes: true,
+    })) {
+      const entryPath = path.join(this.cacheDir, entry.name);
+      if (!entry.isDirectory()) {
+        // From before the cache was split by session
+        await fs.unlink(entryPath).catch(() => {});
+        continue;
+      }
+      for (const name of await fs.readdir(entryPath)) {
+        const file = path.join(entryPath, name);
+        const stat = await fs.stat(file).catch(() => null);
+        if (stat) files.push({ file, mtime: stat.mtimeMs });
+      }
+    }
+    if (files.length <= this.maxCacheFiles) return;
+    files.sort((a, b) => a.mtime - b.mtime);
+    await Promise.all(
+      files
+        .slice(0, files.length - this.maxCacheFiles)
+        .map(({ file }) => fs.unlink(file).catch(() => {}))
+    );
+  }
+}
+
+function createTTSService({ cacheDir, env = process.env }) {
+  const adapters = {
+    google: new GoogleEngine({
+      keyFile:
+        env.GOOGLE_TTS_KEY_FILE || env.GOOGLE_APPLICATION_CREDENTIALS || null,
+      allowed: env.TTS_ALLOW_EXTERNAL === "true",
+    }),
+    local: new LocalEngine({ command: env.TTS_LOCAL_COMMAND }),
+  };
+  const engines = (env.TTS_ENGINE_ORDER || DEFAULT_ORDER)
+    .split(",")
+    .map((id) => adapters[id.trim().toLowerCase()])
+    .filter(Boolean);
+  if (
+    engines.includes(adapters.google) &&
+    adapters.google.keyFile &&
+    !adapters.google.allowed
+  ) {
+    console.warn(
+      "⚠️ Google TTS has credentials but stays off: it would send users' words to Google. Set TTS_ALLOW_EXTERNAL=true to allow it."
+    );
+  }
+
+  return new TTSService({
+    engines,
+    cacheDir,
+    maxCacheFiles: Number(env.TTS_CACHE_MAX_FILES) || DEFAULT_CACHE_FILES,
+    cipher: env.DATA_ENCRYPTION_KEY
+      ? new FieldCipher({
+          key: env.DATA_ENCRYPTION_KEY,
+          previousKeys: env.DATA_ENCRYPTION_PREVIOUS_KEYS,
+        })
+      : null,
+  });
+}
+
+module.exports = { TTSService, createTTSService };
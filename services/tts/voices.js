@@ -0,0 +1,62 @@
+// services/tts/voices.js - Voices offered on the call page
+//
+// Each voice names what to ask each engine for. Google has Filipino
+// WaveNet voices; espeak-ng has no Tagalog voice, so the local engine reads
+// Filipino with its Indonesian one, whose spelling-to-sound rules are close.
+
+const VOICES = [
+  {
+    id: "fil-female",
+    label: "Filipino (female)",
+    language: "fil-PH",
+    google: "fil-PH-Wavenet-A",
+    local: "id+f3",
+  },
+  {
+    id: "fil-male",
+    label: "Filipino (male)",
+    language: "fil-PH",
+    google: "fil-PH-Wavenet-D",
+    local: "id+m3",
+  },
+  {
+    id: "en-female",
+    label: "English (female)",
+    language: "en-US",
+    google: "en-US-Neural2-F",
+    local: "en-us+f3",
+  },
+  {
+    id: "en-male",
+    label: "English (male)",
+    language: "en-US",
+    google: "en-US-Neural2-D",
+    local: "en-us+m3",
+  },
+];
+
+const DEFAULT_VOICE = "fil-female";
+
+// Speaking rates the call page offers; 1 is the engine's normal speed
+const RATES = [
+  { value: 0.85, label: "Slower" },
+  { value: 1, label: "Normal" },
+  { value: 1.15, label: "Faster" },
+];
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+function getVoice(id) {
+  return (
+    VOICES.find((voice) => voice.id === id) ||
+    VOICES.find((voice) => voice.id === DEFAULT_VOICE)
+  );
+}
+
+function clampRate(rate) {
+  const value = Number(rate);
+  if (!Number.isFinite(value)) return 1;
+  return Math.min(MAX_RATE, Math.max(MIN_RATE, Math.round(value * 100) / 100));
+}
+
+module.exports = { VOICES, DEFAULT_VOICE, RATES, getVoice, clampRate };
@@ -1,6 +1,7 @@
 // fix-summaries.js - Run this once to fix existing summaries
 const fs = require("fs").promises;
 const path = require("path");
+const { repairSummary } = require("./services/summarySchema");
 
 const SUMMARIES_FILE = path.join(__dirname, "data", "summaries.json");
 
@@ -14,32 +15,19 @@ async function fixSummaries() {
 
     let fixed = 0;
 
-    for (let summary of summaries) {
-      let needsUpdate = false;
-
-      // Fix nextAction if it's an object
-      if (summary.nextAction && typeof summary.nextAction === "object") {
-        console.log(`Fixing nextAction for session ${summary.sessionId}`);
-        const step = summary.nextAction.step || "";
-        const timeline = summary.nextAction.timeline || "";
-        summary.nextAction = timeline
-          ? `${step} (Timeline: ${timeline})`
-          : step;
-        needsUpdate = true;
-      }
-
-      // Add watchOutFor if missing
-      if (!summary.watchOutFor) {
-        console.log(`Adding watchOutFor for session ${summary.sessionId}`);
-        summary.watchOutFor = [
-          "Document all interactions and keep copies of all documents",
-          "Be aware of deadlines and prescription periods",
-          "Seek legal advice if situation escalates",
-        ];
-        needsUpdate = true;
-      }
-
-      if (needsUpdate) {
+    for (let i = 0; i < summaries.length; i++) {
+      const { summary, repairedFields } = repairSummary(summaries[i]);
+
+      if (repairedFields.length > 0) {
+        console.log(
+          `Fixing ${repairedFields.join(", ")} for session ${summary.sessionId}`
+        );
+        summaries[i] = {
+          ...summary,
+          repairedFields: [
+            ...new Set([...(summary.repairedFields || []), ...repairedFields]),
+          ],
+        };
         fixed++;
       }
     }
@@ -0,0 +1,44 @@
+// Participants joining a call at the same time each keep their uid.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSONStore } = require("../services/storage");
+const AgoraService = require("../services/AgoraService");
+
+const JOINS = 8;
+
+test("concurrent joins are all recorded", async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-agora-"));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const store = new JSONStore({
+    sessions: path.join(dataDir, "sessions.json"),
+  });
+  await store.init();
+  await store.append("sessions", { sessionId: "s1", status: "ACTIVE" });
+  const agora = new AgoraService({ store, mock: true });
+
+  // Each join reads the session for itself, before any of them is stored
+  const snapshots = await Promise.all(
+    Array.from({ length: JOINS }, () =>
+      store.findOne("sessions", { sessionId: "s1" })
+    )
+  );
+  const tokens = await Promise.all(
+    snapshots.map((session, index) =>
+      agora.issueToken(session, { userId: `user-${index}`, role: "publisher" })
+    )
+  );
+
+  const { rtcParticipants } = await store.findOne("sessions", {
+    sessionId: "s1",
+  });
+  assert.equal(rtcParticipants.length, JOINS);
+  assert.equal(new Set(rtcParticipants.map((p) => p.uid)).size, JOINS);
+  tokens.forEach((token, index) => {
+    const stored = rtcParticipants.find((p) => p.userId === `user-${index}`);
+    assert.equal(token.uid, stored.uid);
+  });
+});
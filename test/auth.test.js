@@ -0,0 +1,107 @@
+// Sign-in codes need a real transport, are never logged, and can't be
+// requested or guessed without limit.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSONStore } = require("../services/storage");
+const AuthService = require("../services/AuthService");
+
+async function authService(t, options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-auth-"));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const store = new JSONStore({ users: path.join(dataDir, "users.json") });
+  await store.init();
+  const sent = [];
+  const auth = new AuthService({
+    store,
+    secret: "auth-test-secret",
+    sendCode: async (email, code) => sent.push({ email, code }),
+    ...options,
+  });
+  return { auth, store, sent };
+}
+
+// Collects console output while fn runs
+async function captureLogs(t, fn) {
+  const lines = [];
+  for (const method of ["log", "warn", "error"]) {
+    t.mock.method(console, method, (...args) => lines.push(args.join(" ")));
+  }
+  await fn();
+  t.mock.restoreAll();
+  return lines.join("\n");
+}
+
+test("without a transport, code sign-in is disabled", async (t) => {
+  const { auth } = await authService(t, { sendCode: undefined });
+  assert.equal(auth.codeLoginEnabled, false);
+  await assert.rejects(auth.requestCode({ email: "maria@example.com" }), {
+    status: 503,
+  });
+});
+
+test("a code is delivered, never logged, and signs in once", async (t) => {
+  const { auth, store, sent } = await authService(t);
+  let user;
+  const logs = await captureLogs(t, async () => {
+    await auth.requestCode({ email: " Maria@Example.com " }, { ip: "1.2.3.4" });
+    assert.equal((await store.read("users")).length, 0, "no account yet");
+    user = await auth.verifyCode({
+      email: "maria@example.com",
+      code: sent[0].code,
+    });
+  });
+
+  assert.equal(sent[0].email, "maria@example.com");
+  assert.ok(!logs.includes(sent[0].code), "the code is not logged");
+  assert.equal(user.username, "maria@example.com");
+  assert.equal((await store.read("users")).length, 1);
+  await assert.rejects(
+    auth.verifyCode({ email: "maria@example.com", code: sent[0].code }),
+    { status: 401 }
+  );
+});
+
+test("code requests are limited per address and per IP", async (t) => {
+  const { auth } = await authService(t);
+  for (let index = 0; index < 3; index++) {
+    await auth.requestCode({ email: "maria@example.com" }, { ip: "1.2.3.4" });
+  }
+  await assert.rejects(
+    auth.requestCode({ email: "maria@example.com" }, { ip: "5.6.7.8" }),
+    { status: 429 }
+  );
+
+  for (let index = 0; index < 7; index++) {
+    const email = `user${index}@example.com`;
+    await auth.requestCode({ email }, { ip: "1.2.3.4" });
+  }
+  await assert.rejects(
+    auth.requestCode({ email: "pedro@example.com" }, { ip: "1.2.3.4" }),
+    { status: 429 }
+  );
+  await auth.requestCode({ email: "pedro@example.com" }, { ip: "5.6.7.8" });
+});
+
+test("asking for a new code doesn't reset wrong guesses", async (t) => {
+  const { auth, sent } = await authService(t);
+  const email = "maria@example.com";
+  await auth.requestCode({ email });
+  for (let index = 0; index < 3; index++) {
+    await assert.rejects(auth.verifyCode({ email, code: "not-it" }), {
+      status: 401,
+    });
+  }
+  await auth.requestCode({ email });
+  for (let index = 0; index < 2; index++) {
+    await assert.rejects(auth.verifyCode({ email, code: "not-it" }), {
+      status: 401,
+    });
+  }
+  await assert.rejects(auth.verifyCode({ email, code: sent[1].code }), {
+    status: 429,
+  });
+});
@@ -0,0 +1,34 @@
+// Citations in the form the prompts ask for:
+// "<law>, <Sec./Art. number> - <explanation>"
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { verifyCitation } = require("../services/laws/citations");
+
+test("the prompt's own example verifies", () => {
+  const citation = verifyCitation("RA 9653, Sec. 9 - deposits");
+  assert.equal(citation.status, "verified", citation.reason);
+  assert.equal(citation.lawId, "ra-9653");
+  assert.equal(citation.provisions.length, 1);
+});
+
+test("the explanation is not read as the law's name", () => {
+  const citation = verifyCitation(
+    "RA 9653, Sec. 9 - the landlord may ask for one month advance"
+  );
+  assert.equal(citation.status, "verified", citation.reason);
+});
+
+test("a number paired with another law's name is still caught", () => {
+  const citation = verifyCitation(
+    "RA 6552 (Rent Deposit Act), Sec. 3 - refunds"
+  );
+  assert.equal(citation.status, "unverified");
+  assert.match(citation.reason, /not the law named here/);
+});
+
+test("a provision the law does not have is still caught", () => {
+  const citation = verifyCitation("RA 9653, Sec. 99 - deposits");
+  assert.equal(citation.status, "unverified");
+  assert.match(citation.reason, /Sec\. 99 is not in the local law library/);
+});
@@ -0,0 +1,27 @@
+// A location the directory can't accept is the caller's mistake: 400, not
+// a server error.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+test("an overlong city gets a 400", async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const client = app.client();
+  const city = "x".repeat(81);
+
+  const start = await client.json("POST", "/api/session/start", {
+    category: "TENANT",
+    location: { region: "NCR", city },
+  });
+  assert.equal(start.status, 400);
+  assert.match(start.body.error, /"city" must be at most 80 characters/);
+
+  const contacts = await client.json(
+    "GET",
+    `/api/contacts?category=TENANT&region=NCR&city=${city}`
+  );
+  assert.equal(contacts.status, 400);
+  assert.match(contacts.body.error, /"city"/);
+});
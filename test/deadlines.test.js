@@ -0,0 +1,32 @@
+// Dates written with abbreviations stay in the sentence they belong to.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeDeadlines } = require("../services/deadlines");
+
+const said = (text) => [
+  { speaker: "USER", text, timestamp: Date.parse("2026-03-20T02:00:00Z") },
+];
+
+test("a dismissal dated with an abbreviated month yields dated deadlines", () => {
+  const deadlines = computeDeadlines({
+    category: "LABOR",
+    transcripts: said("Tinanggal ako sa trabaho noong Mar. 5, 2026"),
+  });
+  assert.ok(deadlines.length, "there is a deadline");
+  for (const deadline of deadlines) {
+    assert.equal(deadline.from.type, "DISMISSAL");
+    assert.equal(deadline.from.date, "2026-03-05");
+  }
+});
+
+test("a title before a name does not end the sentence", () => {
+  const deadlines = computeDeadlines({
+    category: "LABOR",
+    transcripts: said(
+      "Sabi ni Atty. Reyes, tinanggal ako sa trabaho noong Mar. 5, 2026."
+    ),
+  });
+  assert.ok(deadlines.length, "there is a deadline");
+  assert.equal(deadlines[0].from.date, "2026-03-05");
+});
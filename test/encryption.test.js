@@ -0,0 +1,119 @@
+// What the user said is encrypted at rest, stays readable across a key
+// rotation, and is moved to the new key by reencrypt-data.js.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createStore,
+  FieldCipher,
+  ENCRYPTED_FIELDS,
+  collectionFiles,
+} = require("../services/storage");
+
+const ROOT = path.join(__dirname, "..");
+const SAID = "Ako po si Juan, hindi ako binayaran ng amo ko.";
+
+function scratchDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-crypt-"));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+async function openStore(t, backend, dataDir, key, previousKeys) {
+  delete process.env.SQLITE_PATH;
+  const store = createStore({
+    backend,
+    dataDir,
+    files: collectionFiles(dataDir),
+    encryption: key && { key, previousKeys, fields: ENCRYPTED_FIELDS },
+  });
+  await store.init();
+  t.after(() => store.close && store.close());
+  return store;
+}
+
+// Key ids of the stored transcript texts, or null for plaintext
+async function storedKeyIds(store) {
+  const raw = store.store || store;
+  return (await raw.read("transcripts")).map((t) =>
+    FieldCipher.keyIdOf(t.text)
+  );
+}
+
+for (const backend of ["json", "sqlite"]) {
+  test(`rotating the key keeps old records readable (${backend})`, async (t) => {
+    const dataDir = scratchDir(t);
+    const before = await openStore(t, backend, dataDir, "old-key");
+    await before.append("transcripts", {
+      sessionId: "s1",
+      speaker: "USER",
+      text: SAID,
+      timestamp: 1,
+    });
+    const oldKeyId = before.keyId;
+    assert.deepEqual(await storedKeyIds(before), [oldKeyId]);
+    before.close();
+
+    // Without the old key the record can't be read
+    const forgetful = await openStore(t, backend, dataDir, "new-key");
+    await assert.rejects(forgetful.read("transcripts"), /No key for/);
+    forgetful.close();
+
+    const rotated = await openStore(t, backend, dataDir, "new-key", "old-key");
+    assert.equal((await rotated.findOne("transcripts", {})).text, SAID);
+    await rotated.append("transcripts", {
+      sessionId: "s1",
+      speaker: "AI",
+      text: "Kailan po?",
+      timestamp: 2,
+    });
+
+    const counts = await rotated.reencrypt();
+    assert.equal(counts.transcripts, 1, "only the old record is re-sealed");
+    assert.deepEqual(await storedKeyIds(rotated), [
+      rotated.keyId,
+      rotated.keyId,
+    ]);
+    assert.equal((await rotated.reencrypt()).transcripts, 0);
+    rotated.close();
+
+    const after = await openStore(t, backend, dataDir, "new-key");
+    assert.deepEqual(
+      (await after.read("transcripts")).map((t) => t.text),
+      [SAID, "Kailan po?"]
+    );
+  });
+}
+
+test("reencrypt-data.js seals plaintext records in DATA_DIR", async (t) => {
+  const dataDir = scratchDir(t);
+  const plain = await openStore(t, "json", dataDir, null);
+  await plain.append("transcripts", {
+    sessionId: "s1",
+    speaker: "USER",
+    text: SAID,
+    timestamp: 1,
+  });
+
+  execFileSync(process.execPath, ["reencrypt-data.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      DATA_DIR: dataDir,
+      STORAGE_BACKEND: "json",
+      DATA_ENCRYPTION_KEY: "script-key",
+      DATA_ENCRYPTION_PREVIOUS_KEYS: "",
+    },
+    stdio: "ignore",
+    timeout: 20000,
+  });
+
+  const raw = fs.readFileSync(path.join(dataDir, "transcripts.json"), "utf8");
+  assert.doesNotMatch(raw, /Juan/);
+  const sealed = await openStore(t, "json", dataDir, "script-key");
+  assert.equal((await sealed.findOne("transcripts", {})).text, SAID);
+});
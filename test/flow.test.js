@@ -0,0 +1,98 @@
+// A whole consultation against the mock provider, the way the call page
+// drives it: start, talk, end, summarize, open the summary.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const FIRST_STEP = "Keep a copy of your lease contract and all rent receipts";
+
+async function consult(client) {
+  const start = await client.json("POST", "/api/session/start", {
+    category: "TENANT",
+  });
+  assert.equal(start.status, 200);
+  const { sessionId } = start.body;
+
+  const message = "My landlord wants me out but I always pay the rent.";
+  const said = await client.post("/api/transcript/save", {
+    sessionId,
+    speaker: "USER",
+    text: message,
+  });
+  assert.equal(said.status, 200);
+
+  const chat = await client.json("POST", "/api/ai/chat", {
+    sessionId,
+    message,
+  });
+  assert.equal(chat.status, 200);
+  assert.match(chat.body.response, /court order/);
+  const replied = await client.post("/api/transcript/save", {
+    sessionId,
+    speaker: "AI",
+    text: chat.body.response,
+  });
+  assert.equal(replied.status, 200);
+
+  assert.equal(
+    (await client.post("/api/session/end", { sessionId })).status,
+    200
+  );
+  return sessionId;
+}
+
+test("start, chat, end and summarize with the mock provider", async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const client = app.client();
+
+  const sessionId = await consult(client);
+  const summary = await client.json("POST", "/api/session/summarize", {
+    sessionId,
+  });
+  assert.equal(summary.status, 200);
+  assert.ok(summary.body.situation, "the summary has a situation");
+  assert.equal(summary.body.recommendedSteps[0], FIRST_STEP);
+
+  const page = await client.get(`/summary/${sessionId}`);
+  assert.equal(page.status, 200);
+  assert.ok((await page.text()).includes(FIRST_STEP));
+});
+
+test("a summary wrapped in a code fence is still read", async (t) => {
+  const app = await startApp({ MOCK_AI_FAILURE: "fenced_json" });
+  t.after(() => app.stop());
+  const client = app.client();
+
+  const sessionId = await consult(client);
+  const summary = await client.json("POST", "/api/session/summarize", {
+    sessionId,
+  });
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.recommendedSteps[0], FIRST_STEP);
+});
+
+test("the running analysis needs a transcript string", async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const client = app.client();
+
+  const sessionId = await consult(client);
+  for (const fullTranscript of [undefined, 42, ["USER: hello"], "  "]) {
+    const response = await client.json("POST", "/api/ai/process", {
+      sessionId,
+      fullTranscript,
+      category: "CRIMINAL",
+    });
+    assert.equal(response.status, 400, JSON.stringify(fullTranscript));
+  }
+
+  const analysis = await client.json("POST", "/api/ai/process", {
+    sessionId,
+    fullTranscript: "USER: My landlord wants me out.",
+    category: "CRIMINAL",
+  });
+  assert.equal(analysis.status, 200);
+  assert.equal(analysis.body.kind, "analysis");
+});
@@ -0,0 +1,76 @@
+// Volunteers act on copies of the session read at the start of a request;
+// a handoff change must never undo one that was stored in between.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSONStore } = require("../services/storage");
+const HandoffService = require("../services/HandoffService");
+
+const alice = { userId: "volunteer-alice", username: "alice" };
+const bob = { userId: "volunteer-bob", username: "bob" };
+
+async function setup(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-handoff-"));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const store = new JSONStore({
+    sessions: path.join(dataDir, "sessions.json"),
+  });
+  await store.init();
+  await store.append("sessions", { sessionId: "s1", status: "ACTIVE" });
+  const handoffs = new HandoffService({ store });
+  // A fresh copy, as each request reads the session for itself
+  const snapshot = () => store.findOne("sessions", { sessionId: "s1" });
+  return { store, handoffs, snapshot };
+}
+
+test("only one of two racing claims wins", async (t) => {
+  const { handoffs, snapshot } = await setup(t);
+  await handoffs.request(await snapshot(), "asked");
+
+  const [first, second] = [await snapshot(), await snapshot()];
+  const results = await Promise.allSettled([
+    handoffs.claim(first, alice),
+    handoffs.claim(second, bob),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), [
+    "fulfilled",
+    "rejected",
+  ]);
+  const loser = results.find((result) => result.status === "rejected");
+  assert.equal(loser.reason.status, 409);
+  const winner = results.find((result) => result.status === "fulfilled");
+  const stored = (await snapshot()).handoff;
+  assert.equal(stored.status, "CLAIMED");
+  assert.equal(stored.volunteer.userId, winner.value.volunteer.userId);
+});
+
+test("a late touch does not bring back a released claim", async (t) => {
+  const { handoffs, snapshot } = await setup(t);
+  await handoffs.request(await snapshot(), "high-risk");
+  await handoffs.claim(await snapshot(), alice);
+
+  const stale = await snapshot();
+  await handoffs.release(await snapshot(), alice);
+  await assert.rejects(handoffs.touch(stale, alice), { status: 404 });
+
+  assert.equal((await snapshot()).handoff.status, "DONE");
+});
+
+test("a reason added during a claim is kept", async (t) => {
+  const { handoffs, snapshot } = await setup(t);
+  await handoffs.request(await snapshot(), "high-risk");
+
+  const [forClaim, forRequest] = [await snapshot(), await snapshot()];
+  await Promise.all([
+    handoffs.claim(forClaim, alice),
+    handoffs.request(forRequest, "asked"),
+  ]);
+
+  const stored = (await snapshot()).handoff;
+  assert.equal(stored.status, "CLAIMED");
+  assert.deepEqual(stored.reasons.sort(), ["asked", "high-risk"]);
+});
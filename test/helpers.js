@@ -0,0 +1,129 @@
+// test/helpers.js - Runs app.js against a scratch data directory
+//
+// Each test file starts its own server with the mock AI provider and an
+// empty DATA_DIR, so nothing in data/ is touched and no API keys are
+// needed. Settings a developer's .env might hold are blanked out, since
+// dotenv never overrides what is already in the environment.
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const START_TIMEOUT_MS = 20000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitUntilUp(baseUrl, child) {
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`app.js exited with code ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/ai/providers`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error("app.js did not start in time");
+}
+
+// env: extra variables for the server. Returns { baseUrl, dataDir, client(),
+// stop() }.
+async function startApp(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, ["app.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      AI_PROVIDER_ORDER: "mock",
+      STORAGE_BACKEND: "",
+      DATA_ENCRYPTION_KEY: "",
+      AGORA_APP_ID: "",
+      AGORA_APP_CERTIFICATE: "",
+      AGORA_MOCK: "true",
+      TTS_ENGINE_ORDER: "",
+      STT_ENGINE_ORDER: "",
+      SESSION_AUTO_SUMMARY: "",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  try {
+    await waitUntilUp(baseUrl, child);
+  } catch (error) {
+    child.kill();
+    error.message += `\n${output}`;
+    throw error;
+  }
+
+  return {
+    baseUrl,
+    dataDir,
+    output: () => output,
+    client: () => createClient(baseUrl),
+    stop: async () => {
+      if (child.exitCode === null) {
+        await new Promise((resolve) => {
+          child.once("exit", resolve);
+          child.kill();
+        });
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// A browser stand-in: keeps the identity cookie the server hands out, so
+// every request after the first is the same (anonymous) user
+function createClient(baseUrl) {
+  let cookie = null;
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(cookie && { Cookie: cookie }),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const setCookie = response.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    return response;
+  };
+  return {
+    request,
+    get: (url) => request("GET", url),
+    post: (url, body = {}) => request("POST", url, body),
+    json: async (method, url, body) => {
+      const response = await request(method, url, body);
+      return { status: response.status, body: await response.json() };
+    },
+  };
+}
+
+module.exports = { startApp };
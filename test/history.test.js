@@ -0,0 +1,82 @@
+// The history list only reads, and decrypts, the caller's own records.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../services/storage");
+const HistoryService = require("../services/HistoryService");
+
+const COLLECTIONS = ["sessions", "transcripts", "summaries"];
+
+for (const backend of ["json", "sqlite"]) {
+  test(`history lists only the caller's sessions (${backend})`, async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-history-"));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    delete process.env.SQLITE_PATH;
+    const store = createStore({
+      backend,
+      dataDir,
+      files: Object.fromEntries(
+        COLLECTIONS.map((name) => [name, path.join(dataDir, `${name}.json`)])
+      ),
+      encryption: {
+        key: "history-test-key",
+        fields: { transcripts: ["text"], summaries: ["situation"] },
+      },
+    });
+    await store.init();
+    t.after(() => store.store.close && store.store.close());
+
+    for (const [userId, count] of [
+      ["alice", 2],
+      ["bob", 5],
+    ]) {
+      for (let index = 0; index < count; index++) {
+        const sessionId = `${userId}-${index}`;
+        await store.append("sessions", {
+          sessionId,
+          userId,
+          category: "LABOR",
+          status: "COMPLETED",
+          startTime: 1000 + index,
+        });
+        await store.append("transcripts", {
+          sessionId,
+          speaker: "USER",
+          text: `${userId} says hello`,
+          timestamp: 1000 + index,
+        });
+        await store.append("summaries", {
+          sessionId,
+          kind: "summary",
+          situation: `${userId}'s situation`,
+          createdAt: 2000 + index,
+        });
+      }
+    }
+
+    const opened = [];
+    const decrypt = store.cipher.decrypt.bind(store.cipher);
+    store.cipher.decrypt = (...args) => {
+      const value = decrypt(...args);
+      opened.push(value);
+      return value;
+    };
+
+    const history = new HistoryService({ store });
+    const { total, sessions } = await history.list({}, { userId: "alice" });
+
+    assert.equal(total, 2);
+    assert.deepEqual(sessions.map((s) => s.sessionId).sort(), [
+      "alice-0",
+      "alice-1",
+    ]);
+    assert.ok(opened.length, "alice's records were decrypted");
+    assert.ok(
+      opened.every((value) => !JSON.stringify(value).includes("bob")),
+      "none of bob's records were decrypted"
+    );
+  });
+}
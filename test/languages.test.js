@@ -0,0 +1,77 @@
+// The session's language picks what the AI answers in, the voice and the
+// fixed messages; anything unknown falls back to English.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  LANGUAGES,
+  normalizeLanguage,
+  getLanguage,
+} = require("../services/languages");
+const { VOICES } = require("../services/tts/voices");
+const multiAIService = require("../services/AIService");
+const { startApp } = require("./helpers");
+
+// Every key path in an object, functions and strings alike
+function shape(value, prefix = "") {
+  if (!value || typeof value !== "object") return [prefix];
+  return Object.keys(value)
+    .sort()
+    .flatMap((key) => shape(value[key], prefix ? `${prefix}.${key}` : key));
+}
+
+test("unknown or missing languages fall back to English", () => {
+  assert.equal(normalizeLanguage("TL"), "tl");
+  assert.equal(normalizeLanguage("ceb"), "ceb");
+  for (const code of [undefined, null, "", "fr", 42]) {
+    assert.equal(normalizeLanguage(code), "en", String(code));
+  }
+  assert.equal(getLanguage("xx").code, "en");
+});
+
+test("every language has every message and a known voice", () => {
+  const english = shape(LANGUAGES.en);
+  for (const [code, language] of Object.entries(LANGUAGES)) {
+    assert.deepEqual(shape(language), english, code);
+    assert.ok(
+      VOICES.some((voice) => voice.id === language.voice),
+      `${code} voice ${language.voice}`
+    );
+  }
+});
+
+test("the chat prompt asks for the session's language", () => {
+  for (const code of Object.keys(LANGUAGES)) {
+    const messages = multiAIService._buildChatMessages(
+      "Pinalayas ako ng landlord ko",
+      "Legal Category: Tenant.",
+      {},
+      [],
+      code
+    );
+    const prompt = messages.map((m) => m.content).join("\n");
+    assert.ok(prompt.includes(getLanguage(code).style), code);
+  }
+});
+
+test("a session keeps its language and only a useful bilingual flag", async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const client = app.client();
+
+  const cases = [
+    [{ language: "CEB", bilingualSummary: true }, "ceb", true],
+    [{ language: "en", bilingualSummary: true }, "en", undefined],
+    [{ language: "klingon" }, "en", undefined],
+    [{}, "en", undefined],
+  ];
+  for (const [body, language, bilingual] of cases) {
+    const start = await client.json("POST", "/api/session/start", {
+      category: "TENANT",
+      ...body,
+    });
+    assert.equal(start.status, 200);
+    assert.equal(start.body.language, language, JSON.stringify(body));
+    assert.equal(start.body.bilingualSummary, bilingual, JSON.stringify(body));
+  }
+});
@@ -0,0 +1,111 @@
+// The sweeper ends calls nobody is on (ABANDONED) and calls that ran too
+// long (TIMED_OUT), dated by the last sign of life rather than the sweep.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSONStore } = require("../services/storage");
+const SessionLifecycle = require("../services/SessionLifecycle");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.UTC(2026, 0, 5, 1, 0);
+
+async function lifecycleFor(t, sessions, transcripts = [], options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-sweep-"));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const store = new JSONStore({
+    sessions: path.join(dataDir, "sessions.json"),
+    transcripts: path.join(dataDir, "transcripts.json"),
+  });
+  await store.init();
+  for (const session of sessions) {
+    await store.append("sessions", { status: "ACTIVE", ...session });
+  }
+  for (const transcript of transcripts) {
+    await store.append("transcripts", transcript);
+  }
+  const lifecycle = new SessionLifecycle({
+    store,
+    idleMinutes: 30,
+    maxHours: 6,
+    ...options,
+  });
+  const stored = async (sessionId) => store.findOne("sessions", { sessionId });
+  return { lifecycle, store, stored };
+}
+
+test("a call with no heartbeat for the idle window is abandoned", async (t) => {
+  const { lifecycle, stored } = await lifecycleFor(t, [
+    { sessionId: "quiet", startTime: START, lastSeenAt: START + 10 * MINUTE },
+    { sessionId: "live", startTime: START, lastSeenAt: START + 35 * MINUTE },
+  ]);
+
+  const result = await lifecycle.sweep(START + 41 * MINUTE);
+  assert.deepEqual(result, { abandoned: 1, timedOut: 0 });
+
+  const quiet = await stored("quiet");
+  assert.equal(quiet.status, "ABANDONED");
+  assert.equal(quiet.endTime, START + 10 * MINUTE);
+  assert.equal((await stored("live")).status, "ACTIVE");
+});
+
+test("a transcript counts as a sign of life", async (t) => {
+  const { lifecycle, stored } = await lifecycleFor(
+    t,
+    [{ sessionId: "old", startTime: START }],
+    [
+      {
+        sessionId: "old",
+        speaker: "USER",
+        text: "Hello",
+        timestamp: START + 20 * MINUTE,
+      },
+    ]
+  );
+
+  assert.deepEqual(await lifecycle.sweep(START + 45 * MINUTE), {
+    abandoned: 0,
+    timedOut: 0,
+  });
+  await lifecycle.sweep(START + 51 * MINUTE);
+  const old = await stored("old");
+  assert.equal(old.status, "ABANDONED");
+  assert.equal(old.endTime, START + 20 * MINUTE);
+});
+
+test("a call past the longest allowed is timed out", async (t) => {
+  const { lifecycle, stored } = await lifecycleFor(t, [
+    {
+      sessionId: "long",
+      startTime: START,
+      lastSeenAt: START + 6 * HOUR + 5 * MINUTE,
+    },
+  ]);
+
+  const result = await lifecycle.sweep(START + 6 * HOUR + 10 * MINUTE);
+  assert.deepEqual(result, { abandoned: 0, timedOut: 1 });
+  const long = await stored("long");
+  assert.equal(long.status, "TIMED_OUT");
+  assert.equal(long.endTime, START + 6 * HOUR);
+});
+
+test("ended sessions are left alone and followed up once", async (t) => {
+  const followed = [];
+  const { lifecycle, stored } = await lifecycleFor(
+    t,
+    [
+      { sessionId: "done", status: "COMPLETED", startTime: START },
+      { sessionId: "idle", startTime: START, lastSeenAt: START },
+    ],
+    [],
+    { onEnded: async (session) => followed.push(session.sessionId) }
+  );
+
+  await lifecycle.sweep(START + HOUR);
+  await lifecycle.sweep(START + 2 * HOUR);
+  assert.equal((await stored("done")).status, "COMPLETED");
+  assert.deepEqual(followed, ["idle"]);
+});
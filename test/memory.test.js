@@ -0,0 +1,117 @@
+// Chat history is rebuilt from stored transcripts; older turns are folded
+// into a rolling summary once they no longer fit the token budget.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSONStore } = require("../services/storage");
+const ConversationMemory = require("../services/ConversationMemory");
+
+// Summarizes by listing the turns it was given after the earlier summary
+function recordingAI() {
+  return {
+    calls: [],
+    async summarizeConversation(earlier, turns) {
+      this.calls.push(turns);
+      return [earlier, ...turns.map((turn) => turn.text)]
+        .filter(Boolean)
+        .join(" / ");
+    },
+  };
+}
+
+async function memoryFor(t, turns, options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-memory-"));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const store = new JSONStore({
+    sessions: path.join(dataDir, "sessions.json"),
+    transcripts: path.join(dataDir, "transcripts.json"),
+  });
+  await store.init();
+
+  const session = { sessionId: "memory-1", category: "LABOR" };
+  await store.append("sessions", session);
+  for (const [index, [speaker, text]] of turns.entries()) {
+    await store.append("transcripts", {
+      sessionId: session.sessionId,
+      speaker,
+      text,
+      timestamp: 1000 + index,
+    });
+  }
+
+  const ai = recordingAI();
+  const memory = new ConversationMemory({ store, ai, ...options });
+  return { memory, store, ai, session };
+}
+
+// 100 characters, about 25 tokens
+function turn(index) {
+  return `Turn ${index} `.padEnd(100, ".");
+}
+
+test("short conversations are sent verbatim, without the new message", async (t) => {
+  const { memory, ai, session } = await memoryFor(t, [
+    ["USER", "Tinanggal ako sa trabaho."],
+    ["AI", "Kailan po?"],
+    ["USER", "Noong Lunes."],
+  ]);
+
+  const { memory: built } = await memory.build(session, "Noong Lunes.");
+  assert.deepEqual(
+    built.history.map((t) => t.text),
+    ["Tinanggal ako sa trabaho.", "Kailan po?"]
+  );
+  assert.equal(built.earlierSummary, "");
+  assert.equal(ai.calls.length, 0);
+});
+
+test("older turns are summarized once and the summary is kept", async (t) => {
+  const turns = Array.from({ length: 8 }, (_, index) => [
+    index % 2 ? "AI" : "USER",
+    turn(index),
+  ]);
+  const { memory, store, ai, session } = await memoryFor(t, turns, {
+    tokenBudget: 100,
+  });
+
+  const first = await memory.build(session, "A new question");
+  assert.equal(ai.calls.length, 1);
+  const folded = ai.calls[0].length;
+  assert.ok(folded > 0 && folded < turns.length);
+  assert.deepEqual(
+    first.memory.history.map((t) => t.text),
+    turns.slice(folded).map(([, text]) => text)
+  );
+  assert.match(first.memory.earlierSummary, /^Turn 0 /);
+
+  const stored = await store.findOne("sessions", {
+    sessionId: session.sessionId,
+  });
+  assert.equal(stored.memory.summarizedCount, folded);
+
+  // Within budget again: nothing is summarized a second time
+  const again = await memory.build(stored, "Another question");
+  assert.equal(ai.calls.length, 1);
+  assert.equal(again.memory.earlierSummary, first.memory.earlierSummary);
+  assert.deepEqual(again.memory.history, first.memory.history);
+});
+
+test("a failed summary falls back to the newest turns that fit", async (t) => {
+  const turns = Array.from({ length: 8 }, (_, index) => ["USER", turn(index)]);
+  const { memory, ai, session } = await memoryFor(t, turns, {
+    tokenBudget: 100,
+  });
+  ai.summarizeConversation = async () => {
+    throw new Error("provider down");
+  };
+
+  const { memory: built } = await memory.build(session, "A new question");
+  assert.deepEqual(
+    built.history.map((t) => t.text),
+    turns.slice(-4).map(([, text]) => text)
+  );
+  assert.equal(built.earlierSummary, "");
+});
@@ -0,0 +1,89 @@
+// Exports hold every generated report, whatever the length of its path.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { JSONStore } = require("../services/storage");
+const PrivacyService = require("../services/PrivacyService");
+const ReportService = require("../services/ReportService").constructor;
+
+// { "path/in/archive": Buffer } from a .tar.gz
+function readTarGz(archive) {
+  const tar = zlib.gunzipSync(archive);
+  const field = (block, offset, length) =>
+    block
+      .subarray(offset, offset + length)
+      .toString("utf8")
+      .replace(/\0.*$/s, "");
+  const files = {};
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    const name = field(header, 0, 100);
+    if (!name) break;
+    const prefix = field(header, 345, 155);
+    const size = parseInt(field(header, 124, 12), 8);
+    files[prefix ? `${prefix}/${name}` : name] = tar.subarray(
+      offset + 512,
+      offset + 512 + size
+    );
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+test("an export includes a generated barangay complaint", async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-privacy-"));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const store = new JSONStore(
+    Object.fromEntries(
+      ["sessions", "users", ...PrivacyService.SESSION_COLLECTIONS].map(
+        (name) => [name, path.join(dataDir, `${name}.json`)]
+      )
+    )
+  );
+  await store.init();
+  const reportService = new ReportService(path.join(dataDir, "reports"));
+
+  const session = {
+    sessionId: "0f8fad5b-d9cb-469f-a165-70867728950e",
+    userId: "user-1",
+    category: "BARANGAY",
+    status: "COMPLETED",
+    startTime: Date.now(),
+  };
+  await store.append("sessions", session);
+  const report = await reportService.generate({
+    session,
+    summary: null,
+    reportType: "BARANGAY_COMPLAINT",
+    templateData: {
+      userName: "Maria Santos",
+      userAddress: "Purok 3, Brgy. San Roque",
+      respondentName: "Pedro Reyes",
+      respondentAddress: "Purok 4, Brgy. San Roque",
+      barangay: "San Roque",
+      details: "The neighbor's dog keeps biting passers-by.",
+      reliefSought: "Keep the dog on a leash",
+    },
+  });
+  await store.append("reports", report);
+
+  const reportPath = `${session.sessionId}/reports/${report.fileName}`;
+  assert.ok(Buffer.byteLength(reportPath) > 100, "longer than a ustar name");
+  const html = fs.readFileSync(reportService.getFilePath(report.fileName));
+
+  const privacy = new PrivacyService({ store, reportService });
+  for (const archive of [
+    await privacy.exportSession(session.sessionId),
+    await privacy.exportUser("user-1"),
+  ]) {
+    const files = readTarGz(archive);
+    assert.ok(files[reportPath], `${reportPath} is in the export`);
+    assert.deepEqual(files[reportPath], html);
+    assert.ok(files[`${session.sessionId}/session.json`]);
+  }
+});
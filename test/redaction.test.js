@@ -0,0 +1,117 @@
+// Names, numbers and addresses are masked before text reaches a provider,
+// in English, Tagalog and Taglish, and put back in what comes out.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectEntities } = require("../services/redaction/detectors");
+const { RedactionScope, getPolicy } = require("../services/redaction");
+
+function found(text) {
+  return detectEntities(text).map(({ type, value }) => [type, value]);
+}
+
+function scope(category = "TENANT") {
+  return new RedactionScope({
+    session: { sessionId: "redaction-test", category },
+    policy: getPolicy(category),
+  });
+}
+
+test("English self-introductions and contact details", () => {
+  assert.deepEqual(
+    found(
+      "Hi, I am Maria Santos and my landlord is Pedro Reyes. Call me at 0917 123 4567 or maria.santos@example.com."
+    ),
+    [
+      ["PERSON", "Maria Santos"],
+      ["PERSON", "Pedro Reyes"],
+      ["PHONE", "0917 123 4567"],
+      ["EMAIL", "maria.santos@example.com"],
+    ]
+  );
+  assert.deepEqual(found("I'm Juan dela Cruz."), [
+    ["PERSON", "Juan dela Cruz"],
+  ]);
+  assert.deepEqual(found("I’m Ana Reyes from Cebu"), [["PERSON", "Ana Reyes"]]);
+  assert.deepEqual(found("my name is ana reyes"), [["PERSON", "ana reyes"]]);
+  // Plain "I am" only takes capitalized words
+  assert.deepEqual(found("I am tired and I'm not sure what to do."), []);
+});
+
+test("Tagalog introductions, relationships and places", () => {
+  assert.deepEqual(
+    found(
+      "Ako po si Juan dela Cruz. Ang landlord ko si Aling Nena Reyes, taga Brgy. San Roque."
+    ),
+    [
+      ["PERSON", "Juan dela Cruz"],
+      ["PERSON", "Nena Reyes"],
+      ["ADDRESS", "San Roque"],
+    ]
+  );
+  assert.deepEqual(found("Ang pangalan ko ay Liza Mercado po."), [
+    ["PERSON", "Liza Mercado"],
+  ]);
+});
+
+test("Taglish workplaces and ID numbers", () => {
+  assert.deepEqual(
+    found(
+      "Nagwowork ako sa Golden Harvest Trading kasi yung boss ko si Mr. Tan, hindi niya binayaran ang sahod ko. SSS ko ay 34-1234567-8."
+    ),
+    [
+      ["ORGANIZATION", "Golden Harvest Trading"],
+      ["PERSON", "Tan"],
+      ["ID_NUMBER", "34-1234567-8"],
+    ]
+  );
+});
+
+test("masked text restores to the original", () => {
+  const redaction = scope();
+  const text =
+    "I am Maria Santos. Si Pedro Reyes ang landlord ko, tawagan mo ako sa 0917 123 4567.";
+  const masked = redaction.redact(text);
+
+  assert.doesNotMatch(masked, /Maria|Pedro|0917/);
+  assert.equal(redaction.restore(masked), text);
+  // Known values are masked again without a cue, the same way
+  const again = redaction.redact("Pedro Reyes called Maria Santos today.");
+  assert.doesNotMatch(again, /Maria|Pedro/);
+  assert.equal(
+    redaction.restore(again),
+    "Pedro Reyes called Maria Santos today."
+  );
+  assert.deepEqual(redaction.restore({ steps: [masked], note: null }), {
+    steps: [text],
+    note: null,
+  });
+});
+
+test("the stream restorer handles placeholders split across chunks", () => {
+  const redaction = scope();
+  const masked = redaction.redact("Ako po si Juan dela Cruz.");
+  const placeholder = masked.match(/\[PERSON_[0-9A-F]{6}\]/)[0];
+  const reply = `Salamat, ${placeholder}. Pumunta ka sa barangay, ${placeholder}.`;
+  const restored =
+    "Salamat, Juan dela Cruz. Pumunta ka sa barangay, Juan dela Cruz.";
+
+  for (let cut = 1; cut < reply.length; cut++) {
+    const stream = redaction.createStreamRestorer();
+    const out =
+      stream.push(reply.slice(0, cut)) +
+      stream.push(reply.slice(cut)) +
+      stream.flush();
+    assert.equal(out, restored, `split at ${cut}`);
+  }
+
+  // One character at a time never lets part of a placeholder through
+  const stream = redaction.createStreamRestorer();
+  let out = "";
+  for (const char of reply) {
+    const piece = stream.push(char);
+    assert.doesNotMatch(piece, /PERSON|\[/);
+    out += piece;
+  }
+  assert.equal(out + stream.flush(), restored);
+});
@@ -0,0 +1,27 @@
+// A report type that isn't a string is a bad request, not a server error.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+test("a non-string reportType gets a 400", async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const client = app.client();
+
+  const start = await client.json("POST", "/api/session/start", {
+    category: "TENANT",
+  });
+  assert.equal(start.status, 200);
+  const { sessionId } = start.body;
+
+  for (const reportType of [123, { type: "INCIDENT" }, ["INCIDENT"], true]) {
+    const response = await client.json("POST", "/api/report/generate", {
+      sessionId,
+      reportType,
+      templateData: { details: "The landlord changed the locks." },
+    });
+    assert.equal(response.status, 400, JSON.stringify(reportType));
+    assert.equal(response.body.error, "reportType must be a string");
+  }
+});
@@ -0,0 +1,41 @@
+// Danger said as not happening is not danger, and the safety message is
+// written in the session's language.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { assessRisk, safetyMessage } = require("../services/riskClassifier");
+
+test("a negated phrase does not count", () => {
+  assert.equal(assessRisk("Hindi niya ako sinasaktan").severity, "NONE");
+  assert.equal(assessRisk("Hindi na niya ako sinasaktan.").severity, "NONE");
+  assert.equal(assessRisk("He is not hitting me anymore").severity, "NONE");
+});
+
+test("a negation elsewhere in the message does not hide the danger", () => {
+  assert.equal(assessRisk("Sinasaktan niya ako").severity, "HIGH");
+  assert.equal(
+    assessRisk("Hindi ko alam, sinasaktan niya ako").severity,
+    "HIGH"
+  );
+  assert.equal(
+    assessRisk(
+      "Dati hindi niya ako sinasaktan, pero ngayon sinasaktan niya ako"
+    ).severity,
+    "HIGH"
+  );
+  // The negation is part of the phrase itself
+  assert.equal(assessRisk("Hindi ako makalabas ng bahay").severity, "HIGH");
+});
+
+test("the safety message follows the session's language", () => {
+  const risk = assessRisk("Sinasaktan niya ako");
+  const tagalog = safetyMessage(risk, "tl");
+  assert.match(tagalog, /^Ang kaligtasan mo ang pinakamahalaga/);
+  assert.doesNotMatch(tagalog, /Your safety comes first/);
+
+  const english = safetyMessage(risk, "en");
+  assert.match(english, /^Your safety comes first/);
+  assert.doesNotMatch(english, /Kung nasa panganib/);
+
+  assert.equal(safetyMessage(risk), english);
+});
@@ -0,0 +1,146 @@
+// A model's summary is checked against the schema, sent back once with its
+// mistakes, and repaired; the summary page shows the final summary, not the
+// running analysis the call page stores while the conversation is going.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const multiAIService = require("../services/AIService");
+const { validateSummary, repairSummary } = require("../services/summarySchema");
+
+const VALID = {
+  situation: "Dismissed without notice after three years of work.",
+  relevantLaws: ["Labor Code, Art. 297"],
+  recommendedSteps: ["File a complaint at the DOLE field office"],
+  watchOutFor: ["Do not sign a quitclaim yet"],
+  nextAction: "Request for Assistance at DOLE",
+};
+
+// Answers completeJSON with each of `replies` in turn
+function scriptedAdapter(replies) {
+  return {
+    prompts: [],
+    async completeJSON(messages) {
+      this.prompts.push(messages);
+      return replies.shift();
+    },
+  };
+}
+
+test("wrong types are listed and repaired field by field", () => {
+  const broken = {
+    ...VALID,
+    relevantLaws: "1. Labor Code, Art. 297\n2. Labor Code, Art. 301",
+    recommendedSteps: [{ step: "Go to DOLE", timeline: "this week" }],
+    watchOutFor: [],
+    nextAction: { action: "Call PAO" },
+  };
+
+  assert.deepEqual(validateSummary(VALID), []);
+  assert.equal(validateSummary(broken).length, 4);
+
+  const { summary, repairedFields } = repairSummary(broken);
+  assert.deepEqual(summary.relevantLaws, [
+    "Labor Code, Art. 297",
+    "Labor Code, Art. 301",
+  ]);
+  assert.deepEqual(summary.recommendedSteps, [
+    "Go to DOLE (Timeline: this week)",
+  ]);
+  assert.ok(summary.watchOutFor.length > 0, "an empty list gets the default");
+  assert.equal(summary.nextAction, "Call PAO");
+  assert.equal(summary.situation, VALID.situation);
+  assert.deepEqual(repairedFields.sort(), [
+    "nextAction",
+    "recommendedSteps",
+    "relevantLaws",
+    "watchOutFor",
+  ]);
+  assert.deepEqual(validateSummary(summary), []);
+});
+
+test("an invalid summary is sent back with its errors once", async () => {
+  const adapter = scriptedAdapter([
+    JSON.stringify({ ...VALID, recommendedSteps: "Go to DOLE" }),
+    JSON.stringify(VALID),
+  ]);
+  const summary = await multiAIService._completeValidSummary(
+    adapter,
+    [{ role: "user", content: "Summarize" }],
+    {}
+  );
+
+  assert.equal(adapter.prompts.length, 2);
+  const feedback = adapter.prompts[1].at(-1).content;
+  assert.match(feedback, /"recommendedSteps" must be a non-empty array/);
+  assert.equal(summary.reprompted, true);
+  assert.deepEqual(summary.repairedFields, []);
+  assert.deepEqual(summary.recommendedSteps, VALID.recommendedSteps);
+});
+
+test("what is still wrong after the retry is repaired", async () => {
+  const adapter = scriptedAdapter([
+    "not json at all",
+    JSON.stringify({ ...VALID, situation: null }),
+  ]);
+  const summary = await multiAIService._completeValidSummary(adapter, [], {});
+
+  assert.equal(adapter.prompts.length, 2);
+  assert.deepEqual(summary.repairedFields, ["situation"]);
+  assert.ok(summary.situation);
+
+  const unreadable = scriptedAdapter(["not json", "still not json"]);
+  await assert.rejects(
+    multiAIService._completeValidSummary(unreadable, [], {}),
+    /invalid JSON/
+  );
+});
+
+test("a bilingual summary shows its translation after a mid-call analysis", async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const client = app.client();
+
+  const start = await client.json("POST", "/api/session/start", {
+    category: "LABOR",
+    language: "tl",
+    bilingualSummary: true,
+  });
+  assert.equal(start.status, 200);
+  const { sessionId } = start.body;
+
+  const lines = [
+    ["USER", "Tinanggal ako sa trabaho nang walang abiso."],
+    ["AI", "Kailan po kayo tinanggal?"],
+    ["USER", "Noong isang linggo, at hindi pa ako nababayaran."],
+  ];
+  for (const [speaker, text] of lines) {
+    const saved = await client.post("/api/transcript/save", {
+      sessionId,
+      speaker,
+      text,
+    });
+    assert.equal(saved.status, 200);
+  }
+
+  const analysis = await client.json("POST", "/api/ai/process", {
+    sessionId,
+    category: "LABOR",
+    fullTranscript: lines.map(([s, text]) => `${s}: ${text}`).join("\n"),
+  });
+  assert.equal(analysis.status, 200);
+
+  assert.equal(
+    (await client.post("/api/session/end", { sessionId })).status,
+    200
+  );
+  const summary = await client.json("POST", "/api/session/summarize", {
+    sessionId,
+  });
+  assert.equal(summary.status, 200);
+  assert.ok(summary.body.translation, "the summary has a translation");
+
+  const page = await client.get(`/summary/${sessionId}`);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /\[Tagalog\]/);
+});
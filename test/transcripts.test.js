@@ -0,0 +1,42 @@
+// Saving transcript lines in parallel must not lose any: every append goes
+// through the store's per-file write queue.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const PARALLEL_SAVES = 300;
+
+test("parallel transcript saves are all stored", async (t) => {
+  const app = await startApp();
+  t.after(() => app.stop());
+  const client = app.client();
+
+  const start = await client.json("POST", "/api/session/start", {
+    category: "GENERAL",
+  });
+  assert.equal(start.status, 200);
+  const { sessionId } = start.body;
+
+  const responses = await Promise.all(
+    Array.from({ length: PARALLEL_SAVES }, (_, index) =>
+      client.post("/api/transcript/save", {
+        sessionId,
+        speaker: index % 2 ? "AI" : "USER",
+        text: `Message number ${index}`,
+      })
+    )
+  );
+  assert.ok(
+    responses.every((response) => response.status === 200),
+    "every save succeeds"
+  );
+
+  const stored = await client.json("GET", `/api/sessions/${sessionId}`);
+  assert.equal(stored.status, 200);
+  assert.equal(stored.body.transcripts.length, PARALLEL_SAVES);
+  const texts = new Set(stored.body.transcripts.map((t) => t.text));
+  for (let index = 0; index < PARALLEL_SAVES; index++) {
+    assert.ok(texts.has(`Message number ${index}`), `message ${index} kept`);
+  }
+});
@@ -0,0 +1,98 @@
+// Cached speech is session data: encrypted at rest and erased with the
+// session.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { FieldCipher, JSONStore } = require("../services/storage");
+const { TTSService } = require("../services/tts");
+const PrivacyService = require("../services/PrivacyService");
+
+const REPLY = "Juan dela Cruz, tumawag ka sa 0917 123 4567";
+
+// Speaks by echoing the text back, so the audio is the reply itself
+function echoEngine() {
+  return {
+    id: "echo",
+    name: "Echo",
+    enabled: true,
+    contentType: "audio/mpeg",
+    extension: "mp3",
+    calls: 0,
+    async synthesize(text) {
+      this.calls++;
+      return Buffer.from(text);
+    },
+  };
+}
+
+function scratchDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "justifi-tts-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function cachedFiles(cacheDir) {
+  return fs
+    .readdirSync(cacheDir, { recursive: true })
+    .map((name) => path.join(cacheDir, name))
+    .filter((file) => fs.statSync(file).isFile());
+}
+
+test("cached audio is encrypted and kept per session", async (t) => {
+  const cacheDir = scratchDir(t);
+  const engine = echoEngine();
+  const tts = new TTSService({
+    engines: [engine],
+    cacheDir,
+    cipher: new FieldCipher({ key: "tts-test-key" }),
+  });
+
+  const first = await tts.synthesize(REPLY, { sessionId: "session-1" });
+  const again = await tts.synthesize(REPLY, { sessionId: "session-1" });
+  assert.equal(first.cached, false);
+  assert.equal(again.cached, true);
+  assert.equal(again.audio.toString(), REPLY);
+  assert.equal(engine.calls, 1);
+
+  const files = cachedFiles(cacheDir);
+  assert.equal(files.length, 1);
+  assert.equal(path.dirname(files[0]), path.join(cacheDir, "session-1"));
+  assert.doesNotMatch(fs.readFileSync(files[0], "utf8"), /Juan|0917/);
+
+  // Another session does not get this one's audio
+  const other = await tts.synthesize(REPLY, { sessionId: "session-2" });
+  assert.equal(other.cached, false);
+});
+
+test("erasing a session deletes its cached audio", async (t) => {
+  const dataDir = scratchDir(t);
+  const cacheDir = path.join(dataDir, "tts-cache");
+  const store = new JSONStore(
+    Object.fromEntries(
+      ["sessions", ...PrivacyService.SESSION_COLLECTIONS, "erasureAudit"].map(
+        (name) => [name, path.join(dataDir, `${name}.json`)]
+      )
+    )
+  );
+  await store.init();
+  await store.append("sessions", { sessionId: "erased", userId: "u1" });
+  await store.append("sessions", { sessionId: "kept", userId: "u2" });
+
+  const tts = new TTSService({ engines: [echoEngine()], cacheDir });
+  await tts.synthesize(REPLY, { sessionId: "erased" });
+  await tts.synthesize(REPLY, { sessionId: "kept" });
+
+  const privacy = new PrivacyService({
+    store,
+    reportService: { getFilePath: (name) => path.join(dataDir, name) },
+    ttsService: tts,
+  });
+  const record = await privacy.eraseSession("erased");
+
+  assert.equal(record.counts.ttsCache, 1);
+  assert.equal(fs.existsSync(path.join(cacheDir, "erased")), false);
+  assert.equal(cachedFiles(cacheDir).length, 1);
+});